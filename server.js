@@ -2,21 +2,71 @@ const express = require('express');
 const cors = require('cors');
 const multer = require('multer');
 const fs = require('fs').promises;
-const pdfParseModule = require('pdf-parse');
-const pdfParse = typeof pdfParseModule === 'function' ? pdfParseModule : pdfParseModule.default;
-const Groq = require('groq-sdk');
-const { Document, Packer, Paragraph, TextRun, HeadingLevel, AlignmentType, TabStopPosition, TabStopType, ExternalHyperlink } = require('docx');
+const path = require('path');
+const { Packer } = require('docx');
+const { validateSchema } = require('./src/utils/schema');
+const { RESUME_FILE_TYPES, detectResumeFileType, extractResumeText } = require('./src/utils/resumeText');
+const { parseResume, formatParsedResume } = require('./src/utils/resumeParser');
+const { scoreResume, describeAtsResult } = require('./src/utils/atsScorer');
+const { matchKeywords } = require('./src/utils/keywordMatch');
+const { createGroundingCheck } = require('./src/utils/grounding');
+const { createLLMClient, createProviderFromEnv, parseProfileOverrides } = require('./src/utils/llmProviders');
+const { createSessionStore } = require('./src/utils/chatSessions');
+const { hashContent, createCache, createBackend, parseTtlOverrides } = require('./src/utils/cache');
+const { getResumeTemplate, listResumeTemplates, DEFAULT_TEMPLATE } = require('./src/utils/documentTemplates');
+const { createWordResume } = require('./src/utils/wordResume');
+const { createTextResume } = require('./src/utils/textResume');
+const { checkResumeData } = require('./src/utils/resumeFormatting');
+const { createPdfResume } = require('./src/utils/pdfResume');
+const { diffResumeSections, compareScores, compareKeywords } = require('./src/utils/resumeDiff');
+const { COVER_LETTER_SCHEMA, groundCoverLetter, createTextCoverLetter } = require('./src/utils/coverLetter');
+const { createWordCoverLetter } = require('./src/utils/wordCoverLetter');
+const { LINKEDIN_LIMITS, MAX_SKILLS, LINKEDIN_PROFILE_SCHEMA, groundLinkedinProfile } = require('./src/utils/linkedinProfile');
+const {
+  MAX_BATCH_RESUMES,
+  BATCH_EXPORT_FORMATS,
+  isZipUpload,
+  readZipResumes,
+  createLimiter,
+  pickTopGaps,
+  createBatchStore,
+} = require('./src/utils/batchAnalysis');
+const { createJobQueue } = require('./src/utils/jobQueue');
+const {
+  ROADMAP_SCHEMA,
+  DEFAULT_HOURS_PER_WEEK,
+  normalizeRoadmap,
+  roadmapFromParsedData,
+  personalizeRoadmap,
+  scheduleRoadmap,
+  toLegacyParsedData,
+} = require('./src/utils/roadmap');
+const { ROADMAP_EXPORT_FORMATS } = require('./src/utils/roadmapExport');
+const { createResourceRegistry, verifyRoadmapResources } = require('./src/utils/resourceRegistry');
+const { TOPIC_STATUSES, createRoadmapStore } = require('./src/utils/roadmapProgress');
+const { AUDIT_HEADERS, METRIC_CHECK_MODES, createResumeAudit, applyMetricCheck, getAuditHeaders } = require('./src/utils/resumeAudit');
+const {
+  INTERVIEW_DIFFICULTIES,
+  RUBRICS,
+  INTERVIEW_QUESTIONS_SCHEMA,
+  INTERVIEW_REPORT_SCHEMA,
+  rubricSchemaFor,
+  summarizeScores,
+  createInterviewStore,
+} = require('./src/utils/interviewSessions');
 require('dotenv').config();
 
 const app = express();
 const port = process.env.PORT || 3001;
-const API_KEY = process.env.GROQ_API_KEY;
 
-// Groq configuration with optimized settings
-const groq = new Groq({ 
-  apiKey: API_KEY,
-  timeout: 30000,
-  maxRetries: 2,
+// LLM configuration: LLM_PROVIDER (groq | openai | fake) with optional LLM_FALLBACK_PROVIDER.
+// GROQ_MOCK=true keeps working as a shortcut for the offline fake provider.
+const primaryProvider = process.env.LLM_PROVIDER || (process.env.GROQ_MOCK === 'true' ? 'fake' : 'groq');
+const llm = createLLMClient({
+  providers: [primaryProvider, process.env.LLM_FALLBACK_PROVIDER]
+    .filter(Boolean)
+    .map(name => createProviderFromEnv(name)),
+  profiles: parseProfileOverrides(process.env.LLM_PROFILES),
 });
 
 // Middleware
@@ -25,6 +75,7 @@ app.use(cors({
   origin: ['https://cypherai-interview-prep.vercel.app', 'http://localhost:3000', 'https://cypher-ai.vercel.app'],
   methods: ['GET', 'POST', 'PUT', 'DELETE'],
   credentials: true,
+  exposedHeaders: AUDIT_HEADERS,
 }));
 
 // Multer configuration with optimizations
@@ -32,91 +83,212 @@ const upload = multer({
   dest: 'uploads/',
   limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'application/pdf') {
+    if (detectResumeFileType(file)) {
       cb(null, true);
     } else {
-      cb(new Error('Only PDF files are allowed'));
+      const error = new Error(`Only ${Object.keys(RESUME_FILE_TYPES).map(type => type.toUpperCase()).join(', ')} files are allowed`);
+      error.code = 'UNSUPPORTED_FILE_TYPE';
+      cb(error);
     }
   }
 });
 
-// In-memory context cache with TTL (Time To Live)
-const contextCache = new Map();
-const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
-const cleanupCacheInterval = setInterval(() => {
-  const now = Date.now();
-  for (const [key, value] of contextCache.entries()) {
-    if (now - value.timestamp > CACHE_TTL) {
-      contextCache.delete(key);
+// Batch analysis also takes zip archives of resumes
+const batchUpload = multer({
+  dest: 'uploads/',
+  limits: { fileSize: 10 * 1024 * 1024, files: MAX_BATCH_RESUMES },
+  fileFilter: (req, file, cb) => {
+    if (detectResumeFileType(file) || isZipUpload(file)) {
+      cb(null, true);
+    } else {
+      const error = new Error(`Only ${[...Object.keys(RESUME_FILE_TYPES), 'zip'].map(type => type.toUpperCase()).join(', ')} files are allowed`);
+      error.code = 'UNSUPPORTED_FILE_TYPE';
+      cb(error);
     }
   }
+});
+
+// Response cache with per-route TTLs (Time To Live); CACHE_BACKEND=disk keeps results across restarts
+const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+const CACHE_TTLS = {
+  chat: CACHE_TTL,
+  resume: 60 * 60 * 1000,
+  'resume-json': 60 * 60 * 1000,
+  'jd-skills': 24 * 60 * 60 * 1000,
+  analysis: 7 * 24 * 60 * 60 * 1000,
+  'ideal-resume': 60 * 60 * 1000,
+  'cover-letter': 60 * 60 * 1000,
+  linkedin: 60 * 60 * 1000,
+  roadmap: 24 * 60 * 60 * 1000,
+  ...parseTtlOverrides(process.env.CACHE_TTLS),
+};
+const contextCache = createCache({
+  backend: createBackend(process.env.CACHE_BACKEND || 'memory', {
+    maxEntries: Number(process.env.CACHE_MAX_ENTRIES) || undefined,
+    directory: process.env.CACHE_DIR || '.cache',
+  }),
+  ttls: CACHE_TTLS,
+  defaultTtl: CACHE_TTL,
+});
+const cleanupCacheInterval = setInterval(() => {
+  contextCache.prune().catch(err => console.error('Cache cleanup error:', err));
 }, CACHE_TTL);
 
 // Graceful cleanup on server exit
 process.on('exit', () => clearInterval(cleanupCacheInterval));
 
-// Normalize PDF text extraction to preserve word spacing
-const normalizePdfText = (text) => {
-  if (!text) return '';
-  return text
-    .replace(/\r\n/g, '\n')
-    .replace(/([a-z])([A-Z])/g, '$1 $2')
-    .replace(/([A-Za-z])\n([A-Za-z])/g, '$1 $2')
-    .replace(/\n{2,}/g, '\n')
-    .replace(/[\t\f\v]+/g, ' ')
-    .replace(/ {3,}/g, '  ')
-    .trim();
+// Server-side chat sessions (role-tagged history, older turns summarised)
+const chatSessions = createSessionStore({
+  ttl: Number(process.env.CHAT_SESSION_TTL_MS) || undefined,
+  maxContextTokens: Number(process.env.CHAT_CONTEXT_TOKENS) || undefined,
+});
+
+// Mock interview sessions (questions, rubric-scored answers, final report)
+const interviews = createInterviewStore({ ttl: Number(process.env.INTERVIEW_SESSION_TTL_MS) || undefined });
+
+// Batch resume analyses (ranked candidate tables); BATCH_CONCURRENCY bounds the resumes analysed at once
+// across all batches
+const batchAnalyses = createBatchStore({ ttl: Number(process.env.BATCH_ANALYSIS_TTL_MS) || undefined });
+const BATCH_CONCURRENCY = Math.max(1, Number(process.env.BATCH_CONCURRENCY) || 2);
+const batchLimiter = createLimiter(BATCH_CONCURRENCY);
+
+// Vetted roadmap channels/resources; edit the JSON file to change them (picked up without a restart)
+const resourceRegistry = createResourceRegistry({
+  file: process.env.ROADMAP_RESOURCES_FILE || path.join(__dirname, 'src', 'data', 'roadmapResources.json'),
+});
+
+// Saved roadmaps and study progress (one JSON file per user)
+const roadmapStore = createRoadmapStore({ directory: process.env.ROADMAP_STORE_DIR || 'data/roadmaps' });
+
+// Read a resume (PDF, DOCX, TXT or MD) into { type, rawText, text, lineText, numPages, parsed }
+const readResumeBuffer = async (dataBuffer, type) => {
+  const extracted = await extractResumeText(dataBuffer, type);
+  return { ...extracted, parsed: parseResume(extracted.lineText) };
+};
+const readUploadedResume = async (file) => readResumeBuffer(await fs.readFile(file.path), detectResumeFileType(file));
+
+// Section-labelled resume text for prompts; falls back to the flat text when the parser found too few sections
+const formatResumeForPrompt = (resumeText, maxChars = 0) => {
+  const structured = formatParsedResume(resumeText.parsed, { maxChars });
+  if (structured) return structured;
+  if (!maxChars || resumeText.text.length <= maxChars) return resumeText.text;
+  return `${resumeText.text.substring(0, maxChars)} ...[truncated]`;
 };
 
-// Helper function to call Groq API with optimized parameters
-const callGroqAPI = async (messages, maxTokens = 1024) => {
+// Helper function to call the configured LLM provider(s) with a per-route generation profile;
+// signal (optional) aborts the request, e.g. when a background job is cancelled
+const callLLM = async (messages, maxTokens = 1024, profile = 'default', signal) => {
   try {
-    const response = await groq.chat.completions.create({
-      messages,
-      model: 'llama-3.1-8b-instant',
-      temperature: 0.7,
-      max_tokens: Math.min(maxTokens, 2048), // Cap at 2048 for efficiency
-      top_p: 0.9, // Better response quality with less randomness
-    });
-    return response.choices[0].message.content;
+    return await llm.complete(messages, maxTokens, profile, signal);
   } catch (error) {
-    console.error('Groq API Error:', error.message);
+    if (signal && signal.aborted) throw error;
+    console.error('LLM API Error:', error.message);
     throw new Error('AI service error: ' + error.message);
   }
 };
 
-// Helper function to generate cache key
-const getCacheKey = (type, data) => {
-  return `${type}:${JSON.stringify(data).substring(0, 100)}`;
+// Helper function to stream completions; yields content tokens as they arrive
+const streamLLM = async function* (messages, maxTokens = 1024, profile = 'default', signal) {
+  try {
+    yield* llm.stream(messages, maxTokens, profile, signal);
+  } catch (error) {
+    if (signal && signal.aborted) throw error;
+    console.error('LLM API Error:', error.message);
+    throw new Error('AI service error: ' + error.message);
+  }
 };
 
+// Helpers to pull a JSON object out of model output
+const extractJson = (text) => {
+  const cleaned = (text || '').toString().replace(/```(?:json)?/gi, '').trim();
+  const match = cleaned.match(/\{[\s\S]*\}/);
+  return match ? match[0] : '';
+};
+const tryParseJson = (text) => {
+  const jsonText = extractJson(text);
+  if (!jsonText) {
+    throw new Error('No JSON found in response');
+  }
+  return JSON.parse(jsonText);
+};
+const repairJsonWithAI = async (raw, issues = '', { profile = 'jsonRepair', signal } = {}) => {
+  const repairPrompt = `You are a strict JSON repair tool.
+Fix the input so it is valid JSON that matches the original structure.
+Rules:
+- Output ONLY the JSON object (no markdown, no commentary).
+- Preserve all keys and values; only fix escaping, quotes, commas, and brackets.
+${issues ? `- Also fix these schema problems: ${issues}
+` : ''}INPUT:
+${raw}`;
+  return await callLLM([{ role: 'user', content: repairPrompt }], 1500, profile, signal);
+};
 
-// Chat conversation endpoint with context optimization
-app.post('/generate-content', async (req, res) => {
+// Parse model JSON and validate it against a schema, with one AI repair attempt if needed.
+// Long outputs pass a repairProfile with a budget big enough to echo them back.
+const parseModelJson = async (raw, schema, { repairProfile, signal } = {}) => {
+  const parseAndValidate = (text) => {
+    const parsed = tryParseJson(text);
+    const { value, errors } = validateSchema(parsed, schema);
+    if (errors.length > 0) {
+      throw new Error(`Schema validation failed: ${errors.slice(0, 10).join('; ')}`);
+    }
+    return value;
+  };
   try {
-    // console.log('Bot request')
-    const { currentQuery, prevConversation } = req.body;
+    return parseAndValidate(raw);
+  } catch (parseError) {
+    console.error('Error parsing model JSON (first attempt):', parseError.message);
+    const issues = parseError.message.startsWith('Schema validation failed') ? parseError.message : '';
+    const repaired = await repairJsonWithAI(raw, issues, { profile: repairProfile, signal });
+    return parseAndValidate(repaired);
+  }
+};
 
-    if (!currentQuery || typeof currentQuery !== 'string' || !currentQuery.trim()) {
-      return res.status(400).json({ error: 'Query is required.' });
-    }
+// Helper function to generate cache key (SHA-256 of the full inputs)
+const getCacheKey = (type, data) => contextCache.key(type, data);
 
-    // Optimize context: limit conversation history to last exchanges to reduce API overhead
-    let contextSummary = '';
-    if (prevConversation && typeof prevConversation === 'string') {
-      const conversationLines = prevConversation.split('\n').filter(line => line.trim());
-      // Keep last 20 lines (10 user messages + 10 bot messages = 10 full exchanges)
-      contextSummary = conversationLines.slice(-20).join('\n');
-    }
+// Optimize context: limit conversation history to last exchanges to reduce API overhead
+const summarizeConversation = (prevConversation) => {
+  if (!prevConversation || typeof prevConversation !== 'string') return '';
+  const conversationLines = prevConversation.split('\n').filter(line => line.trim());
+  // Keep last 20 lines (10 user messages + 10 bot messages = 10 full exchanges)
+  return conversationLines.slice(-20).join('\n');
+};
 
+// Summarise chat turns that no longer fit the session's context window
+const summarizeChatTurns = async (previousSummary, transcript) => {
+  const prompt = `Summarize this career-counseling conversation for later context.
+Keep facts the user shared (background, skills, target roles, constraints), questions already asked and advice already given.
+Write at most 6 short lines. No commentary.
 
-    // Check cache - include context in cache key to avoid wrong responses
-    const cacheKey = getCacheKey('chat', { query: currentQuery, context: contextSummary });
-    if (contextCache.has(cacheKey)) {
-      return res.json(contextCache.get(cacheKey).data);
-    }
-    
-const prompt = `
+${previousSummary ? `EXISTING SUMMARY:
+${previousSummary}
+
+` : ''}NEW TURNS:
+${transcript}`;
+  return await callLLM([{ role: 'user', content: prompt }], 300, 'chatSummary');
+};
+
+// Owner token issued by POST /sessions; required for every read, write and delete of a session
+const getSessionToken = (req) => (req.get('X-Session-Token') || '').toString().trim();
+
+// Resolve conversation context from a server-side session, or from the legacy prevConversation string
+const resolveChatContext = async ({ sessionId, sessionToken, prevConversation }) => {
+  if (!sessionId) {
+    return { session: null, contextSummary: summarizeConversation(prevConversation) };
+  }
+  const session = chatSessions.get(sessionId, sessionToken);
+  if (!session) return { session: null, notFound: true };
+  return { session, contextSummary: await chatSessions.buildContext(session, summarizeChatTurns) };
+};
+
+const recordChatTurn = (session, currentQuery, response) => {
+  if (!session) return;
+  chatSessions.appendMessage(session, 'user', currentQuery.trim());
+  chatSessions.appendMessage(session, 'assistant', response);
+};
+
+const buildChatPrompt = (currentQuery, contextSummary) => `
 You are CypherAI, a career counselor for freshers and early professionals.
 Your role is to provide clear, practical, career-oriented guidance in a natural, human way — similar to ChatGPT, but strictly focused on careers.
 
@@ -198,15 +370,38 @@ YOUR RESPONSE
 ========================
 `;
 
-    const response = await callGroqAPI([{ role: 'user', content: prompt }], 600);
+// Chat conversation endpoint with context optimization
+app.post('/generate-content', async (req, res) => {
+  try {
+    // console.log('Bot request')
+    const { currentQuery, prevConversation, sessionId } = req.body;
+
+    if (!currentQuery || typeof currentQuery !== 'string' || !currentQuery.trim()) {
+      return res.status(400).json({ error: 'Query is required.' });
+    }
+
+    const { session, contextSummary, notFound } = await resolveChatContext({ sessionId, sessionToken: getSessionToken(req), prevConversation });
+    if (notFound) {
+      return res.status(404).json({ error: 'Session not found.' });
+    }
+
+    // Check cache - include context in cache key to avoid wrong responses
+    const cacheKey = getCacheKey('chat', { query: currentQuery, context: contextSummary });
+    const cached = await contextCache.get(cacheKey);
+    if (cached) {
+      recordChatTurn(session, currentQuery, cached.text);
+      return res.json(session ? { ...cached, sessionId: session.id } : cached);
+    }
+
+    const prompt = buildChatPrompt(currentQuery, contextSummary);
+
+    const response = await callLLM([{ role: 'user', content: prompt }], 600, 'chat');
 
     // Cache the result
-    contextCache.set(cacheKey, {
-      data: { text: response },
-      timestamp: Date.now(),
-    });
+    await contextCache.set(cacheKey, { text: response });
 
-    res.json({ text: response });
+    recordChatTurn(session, currentQuery, response);
+    res.json(session ? { text: response, sessionId: session.id } : { text: response });
   } catch (error) {
     console.error('Chat generation error:', error);
     res.status(500).json({ error: 'Error generating response: ' + error.message });
@@ -214,47 +409,278 @@ YOUR RESPONSE
 
 });
 
+// Streaming variant of the chat endpoint (Server-Sent Events)
+// Events: "token" { token }, then "done" { text } with the full answer, or "error" { error }
+app.post('/generate-content/stream', async (req, res) => {
+  const { currentQuery, prevConversation, sessionId } = req.body;
+
+  if (!currentQuery || typeof currentQuery !== 'string' || !currentQuery.trim()) {
+    return res.status(400).json({ error: 'Query is required.' });
+  }
+  const sessionToken = getSessionToken(req);
+  if (sessionId && !chatSessions.get(sessionId, sessionToken)) {
+    return res.status(404).json({ error: 'Session not found.' });
+  }
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // Disable proxy buffering (nginx)
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Stop generating as soon as the client goes away
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) abortController.abort();
+  });
 
-// Resume analysis endpoint with optimized context handling
-app.post('/upload-file', upload.single('file'), async (req, res) => {
-  let uploadedFilePath = null;
   try {
-    // console.log('Resume Analysis request')
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file was uploaded.' });
+    const { session, contextSummary } = await resolveChatContext({ sessionId, sessionToken, prevConversation });
+    const cacheKey = getCacheKey('chat', { query: currentQuery, context: contextSummary });
+    const cached = await contextCache.get(cacheKey);
+    if (cached) {
+      recordChatTurn(session, currentQuery, cached.text);
+      sendEvent('token', { token: cached.text });
+      sendEvent('done', session ? { ...cached, sessionId: session.id } : cached);
+      return res.end();
     }
 
-    uploadedFilePath = req.file.path;
-    const jobRole = (req.body.jobRole || '').trim();
-
-    if (!jobRole) {
-      return res.status(400).json({ error: 'Job role is required.' });
+    const prompt = buildChatPrompt(currentQuery, contextSummary);
+    let response = '';
+    for await (const token of streamLLM([{ role: 'user', content: prompt }], 600, 'chat', abortController.signal)) {
+      response += token;
+      sendEvent('token', { token });
     }
 
-    // Read and parse PDF
-    const dataBuffer = await fs.readFile(uploadedFilePath);
-    const pdfData = await pdfParse(dataBuffer);
-    const fileContent = normalizePdfText(pdfData.text);
+    // Only complete answers are cached or recorded; aborted or failed streams never reach here
+    await contextCache.set(cacheKey, { text: response });
 
-    if (!fileContent || fileContent.length < 50) {
-      return res.status(400).json({ error: 'PDF content is too short or empty.' });
-    }
+    recordChatTurn(session, currentQuery, response);
+    sendEvent('done', session ? { text: response, sessionId: session.id } : { text: response });
+    res.end();
+  } catch (error) {
+    if (abortController.signal.aborted) return;
+    console.error('Chat stream error:', error);
+    sendEvent('error', { error: 'Error generating response: ' + error.message });
+    res.end();
+  }
+});
+
+// Chat session management. POST /sessions returns the owner token once; send it back as X-Session-Token
+// (with an existing token the new session joins that owner's list).
+app.post('/sessions', (req, res) => {
+  const metadata = req.body && typeof req.body.metadata === 'object' ? req.body.metadata : {};
+  const { session, token } = chatSessions.create(metadata, getSessionToken(req));
+  res.status(201).json({ ...chatSessions.describe(session), token });
+});
+
+// Only the caller's own sessions
+app.get('/sessions', (req, res) => {
+  const sessionToken = getSessionToken(req);
+  if (!sessionToken) {
+    return res.status(401).json({ error: 'X-Session-Token header is required.' });
+  }
+  res.json({ sessions: chatSessions.list(sessionToken) });
+});
+
+app.get('/sessions/:sessionId', (req, res) => {
+  const session = chatSessions.get(req.params.sessionId, getSessionToken(req));
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found.' });
+  }
+  res.json({ ...chatSessions.describe(session), summary: session.summary, messages: session.messages });
+});
+
+app.delete('/sessions/:sessionId', (req, res) => {
+  if (!chatSessions.remove(req.params.sessionId, getSessionToken(req))) {
+    return res.status(404).json({ error: 'Session not found.' });
+  }
+  res.status(204).end();
+});
+
+// Schema for the structured (format=json) resume analysis
+const SCORE_SCHEMA = { type: 'number', minimum: 0, maximum: 100 };
+const RESUME_ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['scores', 'strengths', 'improvements', 'detailedAnalysis', 'roleAlignment', 'actionPlan'],
+  properties: {
+    scores: {
+      type: 'object',
+      required: ['atsCompatibility', 'contentRelevance', 'structureFormatting', 'overall'],
+      properties: {
+        atsCompatibility: SCORE_SCHEMA,
+        contentRelevance: SCORE_SCHEMA,
+        structureFormatting: SCORE_SCHEMA,
+        overall: SCORE_SCHEMA,
+      },
+    },
+    strengths: { type: 'array', items: { type: 'string' }, minItems: 1 },
+    improvements: { type: 'array', items: { type: 'string' }, minItems: 1 },
+    detailedAnalysis: {
+      type: 'object',
+      required: ['atsCompatibility', 'contentAssessment', 'formattingStructure', 'recommendations'],
+      properties: {
+        atsCompatibility: { type: 'string' },
+        contentAssessment: { type: 'string' },
+        formattingStructure: { type: 'string' },
+        recommendations: { type: 'string' },
+      },
+    },
+    roleAlignment: { type: 'string' },
+    actionPlan: { type: 'array', items: { type: 'string' }, minItems: 1 },
+  },
+};
+
+// Render structured analysis in the same markdown layout as the text mode, so existing clients keep working
+const formatAnalysisText = (analysis) => {
+  const bullets = (items) => items.map(item => `• ${item}`).join('\n');
+  return `**SCORE BREAKDOWN:**
+ATS Compatibility Score: ${analysis.scores.atsCompatibility}%
+Content Relevance Score: ${analysis.scores.contentRelevance}%
+Structure and Formatting Score: ${analysis.scores.structureFormatting}%
+Overall Resume Score: ${analysis.scores.overall}%
+
+**STRENGTHS:**
+${bullets(analysis.strengths)}
+
+**AREAS FOR IMPROVEMENT:**
+${bullets(analysis.improvements)}
+
+**DETAILED ANALYSIS:**
+
+ATS COMPATIBILITY:
+${analysis.detailedAnalysis.atsCompatibility}
+
+CONTENT ASSESSMENT:
+${analysis.detailedAnalysis.contentAssessment}
+
+FORMATTING & STRUCTURE:
+${analysis.detailedAnalysis.formattingStructure}
+
+RECOMMENDATIONS:
+${analysis.detailedAnalysis.recommendations}
+
+**TARGET ROLE ALIGNMENT:**
+${analysis.roleAlignment}
+
+**ACTION PLAN:**
+${analysis.actionPlan.map((step, index) => `${index + 1}. ${step}`).join('\n')}`;
+};
+
+// Analysis records let /compare-resumes compare two earlier /upload-file runs by analysisId
+const analysisRecordKey = (analysisId) => getCacheKey('analysis', { analysisId });
+const readAnalysisText = (text) => {
+  const score = (label) => {
+    const match = text.match(new RegExp(`${label} Score:\\s*\\[?(\\d{1,3})`, 'i'));
+    return match ? Number(match[1]) : null;
+  };
+  const improvementsBlock = (text.split(/\*\*AREAS FOR IMPROVEMENT:\*\*/i)[1] || '').split(/\*\*/)[0];
+  return {
+    scores: {
+      atsCompatibility: score('ATS Compatibility'),
+      contentRelevance: score('Content Relevance'),
+      structureFormatting: score('Structure and Formatting'),
+      overall: score('Overall Resume'),
+    },
+    improvements: improvementsBlock.split('\n').map(line => line.replace(/^\s*[•*-]\s*/, '').trim()).filter(Boolean),
+  };
+};
+const createAnalysisRecord = ({ jobRole, resumeText, result }) => {
+  const { scores, improvements } = result.analysis ? result.analysis : readAnalysisText(result.text);
+  return {
+    analysisId: result.analysisId,
+    jobRole,
+    createdAt: new Date().toISOString(),
+    resume: { text: resumeText.text, header: resumeText.parsed.header, sectionText: resumeText.parsed.sectionText },
+    scores,
+    improvements,
+    ats: result.ats,
+  };
+};
+const saveAnalysisRecord = (record) => contextCache.set(analysisRecordKey(record.analysisId), record);
+const getAnalysisRecord = (analysisId) => contextCache.get(analysisRecordKey(analysisId));
+
+// Resume analysis shared by /upload-file and /compare-resumes: { analysisId, text, ats[, analysis] },
+// or null when structured output could not be parsed
+const analyzeResume = async ({ resumeText, jobRole, structured, signal }) => {
+  const fileContent = resumeText.text;
+
+  // Check cache first
+  const cacheKey = getCacheKey(structured ? 'resume-json' : 'resume', { jobRole, content: fileContent });
+  const cached = await contextCache.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+  const analysisId = hashContent({ jobRole, content: fileContent, structured }).slice(0, 32);
+
+  // Deterministic ATS score: the model comments on this number instead of inventing one
+  const ats = scoreResume({ rawText: resumeText.rawText, text: fileContent, numPages: resumeText.numPages, jobRole, parsed: resumeText.parsed });
+  const atsContext = `DETERMINISTIC ATS CHECK (computed locally; use this score EXACTLY, do not change it):
+ATS Compatibility Score: ${ats.score}%
+${describeAtsResult(ats)}`;
+
+  if (structured) {
+    const structuredPrompt = `Analyze this resume for the "${jobRole}" role. Provide a detailed, structured analysis.
+
+RESUME CONTENT:
+${formatResumeForPrompt(resumeText, 4000)}
+
+${atsContext}
+
+Return ONLY a JSON object in EXACTLY this format (no markdown, no extra text):
+
+{
+  "scores": {
+    "atsCompatibility": ${ats.score},
+    "contentRelevance": [0-100 number],
+    "structureFormatting": [0-100 number],
+    "overall": [0-100 number]
+  },
+  "strengths": ["[Specific strength with context]", "... 5 items"],
+  "improvements": ["[Specific improvement with actionable advice]", "... 5 items"],
+  "detailedAnalysis": {
+    "atsCompatibility": "[Explain the ${ats.score}% ATS score using the rule results above]",
+    "contentAssessment": "[Analysis of relevance to target role, skills alignment, experience quality]",
+    "formattingStructure": "[Review of layout, sections, readability, professional appearance]",
+    "recommendations": "[Specific suggestions for improvement prioritized by impact]"
+  },
+  "roleAlignment": "[How well the resume matches the \"${jobRole}\" position requirements]",
+  "actionPlan": ["[Step-by-step improvement recommendation]", "..."]
+}`;
 
-    // Check cache first
-    const cacheKey = getCacheKey('resume', { jobRole, contentHash: fileContent.substring(0, 100) });
-    if (contextCache.has(cacheKey)) {
-      return res.json(contextCache.get(cacheKey).data);
+    const structuredResponse = await callLLM([{ role: 'user', content: structuredPrompt }], 1500, 'resumeAnalysis', signal);
+    let analysis;
+    try {
+      analysis = await parseModelJson(structuredResponse, RESUME_ANALYSIS_SCHEMA, { signal });
+    } catch (parseError) {
+      console.error('Error parsing resume analysis JSON (after repair):', parseError.message);
+      return null;
     }
+    analysis.scores.atsCompatibility = ats.score;
+    const result = { analysisId, analysis, text: formatAnalysisText(analysis), ats };
+
+    await contextCache.set(cacheKey, result);
+    await saveAnalysisRecord(createAnalysisRecord({ jobRole, resumeText, result }));
+    return result;
+  }
+
+  // Optimized prompt for comprehensive resume analysis
+  const prompt = `Analyze this resume for the "${jobRole}" role. Provide a detailed, structured analysis.
 
-    // Optimized prompt for comprehensive resume analysis
-    const prompt = `Analyze this resume for the "${jobRole}" role. Provide a detailed, structured analysis.
+RESUME CONTENT:
+${formatResumeForPrompt(resumeText, 4000)}
 
-RESUME CONTENT: ${fileContent.substring(0, 4000)} ${fileContent.length > 4000 ? '...[truncated]' : ''}
+${atsContext}
 
 Provide analysis in EXACTLY this format:
 
 **SCORE BREAKDOWN:**
-ATS Compatibility Score: [0-100]%
+ATS Compatibility Score: ${ats.score}%
 Content Relevance Score: [0-100]%
 Structure and Formatting Score: [0-100]%
 Overall Resume Score: [0-100]%
@@ -276,7 +702,7 @@ Overall Resume Score: [0-100]%
 **DETAILED ANALYSIS:**
 
 ATS COMPATIBILITY:
-[Detailed explanation of ATS friendliness, keywords, formatting issues]
+[Explain the ${ats.score}% ATS score using the rule results above]
 
 CONTENT ASSESSMENT:
 [Analysis of relevance to target role, skills alignment, experience quality]
@@ -293,15 +719,54 @@ RECOMMENDATIONS:
 **ACTION PLAN:**
 [Step-by-step improvement recommendations]`;
 
-    const response = await callGroqAPI([{ role: 'user', content: prompt }], 1500);
-    // console.log(response)
-    // Cache the result
-    contextCache.set(cacheKey, {
-      data: { text: response },
-      timestamp: Date.now(),
-    });
+  const generated = await callLLM([{ role: 'user', content: prompt }], 1500, 'resumeAnalysis', signal);
+  // console.log(response)
+  // Keep the reported score pinned to the local result even if the model rewrites it
+  const response = generated.replace(/(ATS Compatibility Score:\s*)\[?\d{1,3}\]?\s*%?/i, `$1${ats.score}%`);
+  const result = { analysisId, text: response, ats };
+
+  // Cache the result
+  await contextCache.set(cacheKey, result);
+  await saveAnalysisRecord(createAnalysisRecord({ jobRole, resumeText, result }));
+  return result;
+};
+
+// Validated analysis inputs from an upload request: { input } for analyzeResume, or { error } (a 400 message)
+const readAnalysisRequest = async (req) => {
+  if (!req.file) {
+    return { error: 'No file was uploaded.' };
+  }
+  const jobRole = (req.body.jobRole || '').trim();
+  // format=json returns typed fields validated against RESUME_ANALYSIS_SCHEMA instead of only markdown
+  const structured = (req.body.format || req.query.format || '').toString().trim().toLowerCase() === 'json';
+
+  if (!jobRole) {
+    return { error: 'Job role is required.' };
+  }
+
+  // Read and extract the resume text
+  const resumeText = await readUploadedResume(req.file);
+  if (!resumeText.text || resumeText.text.length < 50) {
+    return { error: 'Resume content is too short or empty.' };
+  }
+  return { input: { resumeText, jobRole, structured } };
+};
+
+// Resume analysis endpoint with optimized context handling
+app.post('/upload-file', upload.single('file'), async (req, res) => {
+  const uploadedFilePath = req.file ? req.file.path : null;
+  try {
+    // console.log('Resume Analysis request')
+    const { input, error } = await readAnalysisRequest(req);
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-    res.json({ text: response });
+    const result = await analyzeResume(input);
+    if (!result) {
+      return res.status(500).json({ error: 'Error processing resume analysis. Please try again.' });
+    }
+    res.json(result);
   } catch (error) {
     console.error('Resume analysis error:', error);
     res.status(500).json({ error: 'Error analyzing resume: ' + error.message });
@@ -314,9 +779,153 @@ RECOMMENDATIONS:
 
 });
 
-// Dynamic resume generation endpoint
-app.post('/generate-ideal-resume', upload.single('file'), async (req, res) => {
-  // console.log('Resume Generation request')
+const SUGGESTION_STATUSES = ['addressed', 'partially_addressed', 'not_addressed'];
+const RESUME_COMPARISON_SCHEMA = {
+  type: 'object',
+  required: ['summary', 'suggestions'],
+  properties: {
+    summary: { type: 'string' },
+    suggestions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['index', 'status'],
+        properties: {
+          index: { type: 'number' },
+          status: { type: 'string', enum: SUGGESTION_STATUSES },
+          note: { type: 'string', default: '' },
+        },
+      },
+    },
+    nextSteps: { type: 'array', items: { type: 'string' }, default: [] },
+  },
+};
+
+// Commentary only: the diff, scores and keywords are computed locally and passed in as facts.
+// Returns { summary, nextSteps, suggestions } with one entry per earlier improvement suggestion.
+const commentOnResumeComparison = async ({ jobRole, previous, comparison }) => {
+  const notAssessed = previous.improvements.map(suggestion => ({ suggestion, status: 'not_assessed', note: '' }));
+  if (previous.improvements.length === 0 && comparison.sections.every(section => section.status === 'unchanged')) {
+    return { summary: 'The two versions have the same content.', nextSteps: [], suggestions: notAssessed };
+  }
+
+  const changedSections = comparison.sections
+    .filter(section => section.status !== 'unchanged')
+    .map(section => `### ${section.section} (${section.status})
+${section.removed.slice(0, 15).map(line => `- ${line}`).join('\n')}
+${section.added.slice(0, 15).map(line => `+ ${line}`).join('\n')}`)
+    .join('\n\n')
+    .substring(0, 4000);
+  const prompt = `Compare two versions of a resume for the "${jobRole}" role. The diff and scores below were computed by a program; treat them as facts and do not recompute them.
+
+SCORE CHANGES (previous → current):
+${comparison.scores.map(score => `${score.label}: ${score.previous ?? 'n/a'} → ${score.current ?? 'n/a'}`).join('\n')}
+
+ROLE KEYWORDS NEWLY COVERED: ${comparison.keywords.newlyCovered.join(', ') || 'none'}
+ROLE KEYWORDS LOST: ${comparison.keywords.lost.join(', ') || 'none'}
+
+CHANGED SECTIONS ("-" removed line, "+" added line):
+${changedSections || 'No text changes.'}
+
+EARLIER IMPROVEMENT SUGGESTIONS:
+${previous.improvements.map((suggestion, index) => `${index}. ${suggestion}`).join('\n') || 'none'}
+
+For every earlier suggestion, decide from the changed lines whether it was addressed, partially_addressed or not_addressed.
+
+Return ONLY a JSON object in EXACTLY this format (no markdown, no extra text):
+{
+  "summary": "<3-4 sentences: did the resume get better for the role, and why>",
+  "suggestions": [ { "index": 0, "status": "addressed", "note": "<which change addresses it>" } ],
+  "nextSteps": ["<most valuable remaining change>"]
+}`;
+
+  try {
+    const response = await callLLM([{ role: 'user', content: prompt }], 1200, 'resumeComparison');
+    const commentary = await parseModelJson(response, RESUME_COMPARISON_SCHEMA);
+    const byIndex = new Map(commentary.suggestions.map(item => [item.index, item]));
+    return {
+      summary: commentary.summary,
+      nextSteps: commentary.nextSteps,
+      suggestions: notAssessed.map((item, index) => (byIndex.has(index)
+        ? { ...item, status: byIndex.get(index).status, note: byIndex.get(index).note }
+        : item)),
+    };
+  } catch (error) {
+    console.error('Resume comparison commentary failed:', error.message);
+    return { summary: '', nextSteps: [], suggestions: notAssessed };
+  }
+};
+
+// Compare two versions of a resume for one jobRole. Each side is an uploaded file (fields "previous" and "current")
+// or the analysisId returned by /upload-file (previousAnalysisId / currentAnalysisId); the two can be mixed.
+app.post('/compare-resumes', upload.fields([{ name: 'previous', maxCount: 1 }, { name: 'current', maxCount: 1 }]), async (req, res) => {
+  const uploadedFiles = Object.values(req.files || {}).flat();
+  try {
+    let jobRole = (req.body.jobRole || '').toString().trim();
+
+    // Stored analyses first: they can supply the jobRole for file uploads
+    const records = {};
+    for (const side of ['previous', 'current']) {
+      const analysisId = (req.body[`${side}AnalysisId`] || '').toString().trim();
+      const file = req.files && req.files[side] ? req.files[side][0] : null;
+      if (!analysisId && !file) {
+        return res.status(400).json({ error: `Provide a ${side} resume file or ${side}AnalysisId.` });
+      }
+      if (analysisId && !file) {
+        records[side] = await getAnalysisRecord(analysisId);
+        if (!records[side]) {
+          return res.status(404).json({ error: `Analysis ${analysisId} not found or expired. Upload the ${side} resume instead.` });
+        }
+      }
+    }
+    const storedRoles = Object.values(records).map(record => record.jobRole);
+    jobRole = jobRole || storedRoles[0] || '';
+    if (!jobRole) {
+      return res.status(400).json({ error: 'Job role is required.' });
+    }
+    if (storedRoles.some(role => role.toLowerCase() !== jobRole.toLowerCase())) {
+      return res.status(400).json({ error: 'Both resumes must be analysed for the same jobRole.' });
+    }
+
+    for (const side of ['previous', 'current']) {
+      if (records[side]) continue;
+      const resumeText = await readUploadedResume(req.files[side][0]);
+      if (!resumeText.text || resumeText.text.length < 50) {
+        return res.status(400).json({ error: `The ${side} resume content is too short or empty.` });
+      }
+      const result = await analyzeResume({ resumeText, jobRole, structured: true });
+      if (!result) {
+        return res.status(500).json({ error: `Error processing the ${side} resume analysis. Please try again.` });
+      }
+      records[side] = createAnalysisRecord({ jobRole, resumeText, result });
+    }
+
+    const { previous, current } = records;
+    const comparison = {
+      ...compareScores(previous, current),
+      keywords: compareKeywords(previous.ats, current.ats),
+      sections: diffResumeSections(previous.resume, current.resume),
+    };
+    const commentary = await commentOnResumeComparison({ jobRole, previous, comparison });
+
+    res.json({
+      jobRole,
+      previous: { analysisId: previous.analysisId, createdAt: previous.createdAt },
+      current: { analysisId: current.analysisId, createdAt: current.createdAt },
+      ...comparison,
+      suggestions: commentary.suggestions,
+      commentary: { summary: commentary.summary, nextSteps: commentary.nextSteps },
+    });
+  } catch (error) {
+    console.error('Resume comparison error:', error);
+    res.status(500).json({ error: 'Error comparing resumes: ' + error.message });
+  } finally {
+    uploadedFiles.forEach(file => fs.unlink(file.path).catch(err => console.error('Cleanup error:', err)));
+  }
+});
+
+// Local resume parsing (no LLM call): sections, entries and per-field confidence
+app.post('/parse-resume', upload.single('file'), async (req, res) => {
   let uploadedFilePath = null;
   try {
     if (!req.file) {
@@ -324,89 +933,361 @@ app.post('/generate-ideal-resume', upload.single('file'), async (req, res) => {
     }
 
     uploadedFilePath = req.file.path;
-    const jobRole = (req.body.jobRole || '').trim();
-    const analysisReport = req.body.analysisReport || '';
+    const resumeText = await readUploadedResume(req.file);
 
-    if (!jobRole) {
-      return res.status(400).json({ error: 'Job role is required.' });
+    if (!resumeText.text || resumeText.text.length < 50) {
+      return res.status(400).json({ error: 'Resume content is too short or empty.' });
     }
 
-    // Read and parse PDF
-    const dataBuffer = await fs.readFile(uploadedFilePath);
-    const pdfData = await pdfParse(dataBuffer);
-    const fileContent = normalizePdfText(pdfData.text);
-
-    if (!fileContent || fileContent.length < 50) {
-      return res.status(400).json({ error: 'PDF content is too short or empty.' });
-    }
-    const normalizeForMatch = (text) => (text || '')
-      .toString()
-      .toLowerCase()
-      .replace(/\s*\/\s*/g, '/')
-      .replace(/\s*,\s*/g, ',')
-      .replace(/\s+/g, ' ')
-      .trim();
-    const normalizeLoose = (text) => (text || '')
-      .toString()
-      .toLowerCase()
-      .replace(/[^a-z0-9]/g, '');
-    const stripAddedTags = (text) => (text || '').toString().replace(/\[ADDED\]|\[\/ADDED\]/g, '');
-    const IN_PROGRESS_TAG_REGEX = /\(in-progress\)|\(in\-progess\)/gi;
-    const normalizeUrlForCompare = (value) => {
-      if (!value) return '';
-      let cleaned = value.toString().trim().replace(/[)\],.;]+$/g, '');
-      cleaned = cleaned.replace(/\[ADDED\]|\[\/ADDED\]/g, '').replace(IN_PROGRESS_TAG_REGEX, '');
-      let url = cleaned.toLowerCase();
-      url = url.replace(/^https?:\/\//, '');
-      url = url.replace(/^www\./, '');
-      return url;
-    };
-    const URL_REGEX = /\b(?:https?:\/\/)?(?:www\.)?[a-z0-9.-]+\.(?:com|in|org|net|io|ai|dev|app|edu|gov|co|us)(?:\/[^\s)>,]*)?/gi;
-    const extractAllowedUrls = (text) => {
-      const matches = (text || '').match(URL_REGEX) || [];
-      const set = new Set();
-      matches.forEach(match => {
-        const normalized = normalizeUrlForCompare(match);
-        if (normalized) set.add(normalized);
-      });
-      return set;
-    };
-    const originalNormalized = normalizeForMatch(fileContent);
-    const allowedUrlSet = extractAllowedUrls(fileContent);
-
-    // Check cache first
-    const cacheKey = getCacheKey('ideal-resume', { jobRole, contentHash: fileContent.substring(0, 100), analysis: analysisReport.substring(0, 100) });
-    if (contextCache.has(cacheKey)) {
-      const cachedData = contextCache.get(cacheKey).data;
-      
-      // Return the cached Word document buffer
-      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
-      res.setHeader('Content-Disposition', `attachment; filename="Ideal_Resume_${jobRole.replace(/[^a-zA-Z0-9]/g, '_')}.docx"`);
-      return res.send(cachedData.buffer);
+    res.json({ fileType: resumeText.type, numPages: resumeText.numPages, ...resumeText.parsed });
+  } catch (error) {
+    console.error('Resume parse error:', error);
+    res.status(500).json({ error: 'Error parsing resume: ' + error.message });
+  } finally {
+    if (uploadedFilePath) {
+      fs.unlink(uploadedFilePath).catch(err => console.error('Cleanup error:', err));
     }
+  }
+});
 
-    // Enhanced prompt for intelligent resume enhancement with analysis data
-    const prompt = `You are a professional resume writer. Create an enhanced, ideal resume for the "${jobRole}" role using the original resume and analysis data.
+const JOB_DESCRIPTION_SKILLS_SCHEMA = {
+  type: 'object',
+  required: ['requiredSkills'],
+  properties: {
+    jobTitle: { type: 'string', default: '' },
+    requiredSkills: { type: 'array', items: { type: 'string' } },
+    preferredSkills: { type: 'array', items: { type: 'string' }, default: [] },
+  },
+};
 
-  ORIGINAL RESUME CONTENT:
-  ${fileContent}
+// Extract required and preferred skills from a job description
+const extractJobDescriptionSkills = async (jobDescription) => {
+  const cacheKey = getCacheKey('jd-skills', { jd: jobDescription });
+  const cached = await contextCache.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
 
-  ${analysisReport ? `ANALYSIS REPORT:
-  ${analysisReport}
+  const prompt = `Extract the skills from this job description.
 
-  ` : ''}INSTRUCTIONS:
-1. Use the original resume as the ONLY factual source of truth. Do NOT invent, fabricate, or assume any data.
-2. Be CONSERVATIVE with additions. Only add a skill/certification/project if it is a direct, obvious complement to what already exists AND is critical for the target role. Do not add random or tangential items.
-3. Restructure and rewrite existing content professionally with strong action verbs and quantified impact where possible.
-4. Craft a compelling Professional Summary (3-4 lines) tailored to the target role using ONLY skills and experience already present.
-5. Categorize skills from the original resume into logical groups (Programming, Frameworks/Tools, Data/Cloud, Other etc). Only add a new skill if it is an extremely close complement (e.g., user has React → add Next.js). Mark any added skill with [ADDED]...[/ADDED].
-6. For certifications: keep all original ones. Only add 1-2 new ones if they are industry-standard for the target role and realistic given the user's background. Mark added ones with [ADDED]...[/ADDED].
-7. Do NOT add entirely new projects unless the analysis report explicitly says so. If you must add one, mark its name with [ADDED]...[/ADDED].
-8. Do NOT tag or color: professional summary, project descriptions, experience bullets, education details, or any rephrased/reworded text. Only tag newly added entity names.
+JOB DESCRIPTION:
+${jobDescription.substring(0, 6000)}
 
-NAME PARSING (CRITICAL):
-- The candidate's name MUST have proper spacing between first name and last name (e.g., "First Last" NOT "FirstLast").
-- If the extracted text shows the name without spaces, intelligently split it at the camelCase boundary or logical word boundary.
+RULES:
+- requiredSkills: skills, tools, technologies and qualifications the posting marks as required / must-have (or lists without qualification).
+- preferredSkills: items marked as preferred, nice-to-have, bonus or plus.
+- Use short keyword phrases as written in the posting (e.g. "React", "REST APIs", "AWS"), not sentences.
+- Do not include soft-skill filler such as "team player" unless explicitly required.
+
+Return ONLY this JSON object:
+{
+  "jobTitle": "[Title from the posting or empty string]",
+  "requiredSkills": ["..."],
+  "preferredSkills": ["..."]
+}`;
+
+  const response = await callLLM([{ role: 'user', content: prompt }], 800, 'jdExtraction');
+  const skills = await parseModelJson(response, JOB_DESCRIPTION_SKILLS_SCHEMA);
+
+  await contextCache.set(cacheKey, skills);
+  return skills;
+};
+
+// Resume text against extracted JD skills
+const matchJobDescription = (skills, fileContent) => {
+  const required = matchKeywords(skills.requiredSkills, fileContent);
+  const preferred = matchKeywords(skills.preferredSkills, fileContent);
+  // Required skills weigh more than preferred ones when both are present
+  const matchPercentage = preferred.total === 0
+    ? required.matchPercentage
+    : Math.round(required.matchPercentage * 0.7 + preferred.matchPercentage * 0.3);
+  return {
+    matchPercentage,
+    required,
+    preferred,
+    matchedKeywords: [...required.matched, ...preferred.matched],
+    partialKeywords: [...required.partial, ...preferred.partial],
+    missingKeywords: [...required.missing, ...preferred.missing],
+  };
+};
+
+// Job description matching endpoint: resume vs. pasted JD gap analysis
+app.post('/match-job-description', upload.single('file'), async (req, res) => {
+  let uploadedFilePath = null;
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file was uploaded.' });
+    }
+
+    uploadedFilePath = req.file.path;
+    const jobDescription = (req.body.jobDescription || '').toString().trim();
+
+    if (jobDescription.length < 50) {
+      return res.status(400).json({ error: 'Job description is required (at least 50 characters).' });
+    }
+
+    // Read and extract the resume text
+    const resumeText = await readUploadedResume(req.file);
+    const fileContent = resumeText.text;
+
+    if (!fileContent || fileContent.length < 50) {
+      return res.status(400).json({ error: 'Resume content is too short or empty.' });
+    }
+
+    let skills;
+    try {
+      skills = await extractJobDescriptionSkills(jobDescription);
+    } catch (parseError) {
+      console.error('Error parsing job description skills:', parseError.message);
+      return res.status(500).json({ error: 'Error reading the job description. Please try again.' });
+    }
+
+    res.json({ jobTitle: skills.jobTitle, ...matchJobDescription(skills, fileContent) });
+  } catch (error) {
+    console.error('Job description match error:', error);
+    res.status(500).json({ error: 'Error matching job description: ' + error.message });
+  } finally {
+    // Cleanup uploaded file immediately
+    if (uploadedFilePath) {
+      fs.unlink(uploadedFilePath).catch(err => console.error('Cleanup error:', err));
+    }
+  }
+});
+
+// Analyse every resume of a batch in the background; one resume failing never stops the others.
+// Without a job role the title from the job description is used. Once the batch is deleted (cancelled),
+// resumes that are still waiting are dropped without calling the model.
+const runBatchAnalysis = async (batch, resumes) => {
+  batchAnalyses.update(batch, { status: 'processing' });
+  try {
+    let jobRole = batch.jobRole;
+    let skills = null;
+    if (batch.jobDescription) {
+      skills = await extractJobDescriptionSkills(batch.jobDescription);
+      jobRole = jobRole || skills.jobTitle || 'the role in the job description';
+      batchAnalyses.update(batch, { jobRole, jobTitle: skills.jobTitle });
+    }
+
+    const isCancelled = () => batch.status === 'cancelled';
+    await Promise.all(resumes.map((resume, index) => batchLimiter(async () => {
+      if (isCancelled()) {
+        resume.buffer = null;
+        return;
+      }
+      batchAnalyses.updateCandidate(batch, index, { status: 'processing' });
+      try {
+        const resumeText = await readResumeBuffer(resume.buffer, resume.type);
+        resume.buffer = null;
+        if (!resumeText.text || resumeText.text.length < 50) {
+          throw new Error('Resume content is too short or empty.');
+        }
+        if (isCancelled()) return;
+        const result = await analyzeResume({ resumeText, jobRole, structured: true });
+        if (!result) {
+          throw new Error('The analysis could not be parsed.');
+        }
+        const match = skills && matchJobDescription(skills, resumeText.text);
+        const jobDescriptionMatch = match && {
+          matchPercentage: match.matchPercentage,
+          matchedKeywords: match.matchedKeywords,
+          missingKeywords: match.missingKeywords,
+          missingRequired: match.required.missing,
+        };
+        batchAnalyses.updateCandidate(batch, index, {
+          status: 'completed',
+          name: (resumeText.parsed.contact && resumeText.parsed.contact.name) || '',
+          analysisId: result.analysisId,
+          scores: result.analysis.scores,
+          jobDescriptionMatch,
+          topGaps: pickTopGaps({ jobDescriptionMatch, ats: result.ats, improvements: result.analysis.improvements }),
+        });
+      } catch (error) {
+        console.error(`Batch analysis error (${resume.name}):`, error.message);
+        batchAnalyses.updateCandidate(batch, index, { status: 'failed', error: error.message });
+      }
+    })));
+    if (!isCancelled()) batchAnalyses.update(batch, { status: 'completed' });
+  } catch (error) {
+    console.error('Batch analysis error:', error);
+    batchAnalyses.update(batch, { status: 'failed', error: 'Error running batch analysis: ' + error.message });
+  }
+};
+
+// Batch analysis for placement cells and recruiters: files (resumes and/or zips of resumes) plus jobRole and/or
+// jobDescription. Responds 202 with the batch; poll GET /batch-analyses/:batchId for progress and the ranked table.
+app.post('/batch-analyses', batchUpload.array('files'), async (req, res) => {
+  const uploadedFiles = req.files || [];
+  try {
+    if (uploadedFiles.length === 0) {
+      return res.status(400).json({ error: 'No files were uploaded.' });
+    }
+    const jobRole = (req.body.jobRole || '').toString().trim();
+    const jobDescription = (req.body.jobDescription || '').toString().trim();
+    if (!jobRole && !jobDescription) {
+      return res.status(400).json({ error: 'A job role or job description is required.' });
+    }
+    if (jobDescription && jobDescription.length < 50) {
+      return res.status(400).json({ error: 'Job description must be at least 50 characters.' });
+    }
+
+    const resumes = [];
+    const skipped = [];
+    for (const file of uploadedFiles) {
+      const buffer = await fs.readFile(file.path);
+      if (!isZipUpload(file)) {
+        resumes.push({ name: file.originalname, type: detectResumeFileType(file), buffer });
+        continue;
+      }
+      try {
+        const zipped = await readZipResumes(buffer);
+        zipped.resumes.forEach(resume => resumes.push({ ...resume, name: `${file.originalname}/${resume.name}` }));
+        zipped.skipped.forEach(item => skipped.push({ ...item, file: `${file.originalname}/${item.file}` }));
+      } catch (zipError) {
+        return res.status(400).json({ error: `Could not read ${file.originalname}: ${zipError.message}` });
+      }
+    }
+    if (resumes.length === 0) {
+      return res.status(400).json({ error: 'No resumes were found in the upload.', skipped });
+    }
+    if (resumes.length > MAX_BATCH_RESUMES) {
+      return res.status(400).json({ error: `Too many resumes (max ${MAX_BATCH_RESUMES} per batch).` });
+    }
+
+    const batch = batchAnalyses.create({ jobRole, jobDescription, files: resumes, skipped });
+    runBatchAnalysis(batch, resumes);
+    res.status(202).json(batchAnalyses.describe(batch));
+  } catch (error) {
+    console.error('Batch analysis error:', error);
+    res.status(500).json({ error: 'Error starting batch analysis: ' + error.message });
+  } finally {
+    // Resumes are held in memory from here on
+    uploadedFiles.forEach(file => fs.unlink(file.path).catch(err => console.error('Cleanup error:', err)));
+  }
+});
+
+app.get('/batch-analyses/:batchId', (req, res) => {
+  const batch = batchAnalyses.get(req.params.batchId);
+  if (!batch) {
+    return res.status(404).json({ error: 'Batch analysis not found.' });
+  }
+  res.json(batchAnalyses.describe(batch));
+});
+
+// Cancel a batch and drop its results; resumes already being analysed finish but are no longer reported
+app.delete('/batch-analyses/:batchId', (req, res) => {
+  if (!batchAnalyses.remove(req.params.batchId)) {
+    return res.status(404).json({ error: 'Batch analysis not found.' });
+  }
+  res.status(204).end();
+});
+
+// Ranked table as CSV (default) or XLSX once the batch has finished
+app.get('/batch-analyses/:batchId/export', async (req, res) => {
+  try {
+    const format = (req.query.format || 'csv').toString().trim().toLowerCase();
+    if (!Object.hasOwn(BATCH_EXPORT_FORMATS, format)) {
+      return res.status(400).json({ error: `Unsupported format. Use one of: ${Object.keys(BATCH_EXPORT_FORMATS).join(', ')}.` });
+    }
+    const batch = batchAnalyses.get(req.params.batchId);
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch analysis not found.' });
+    }
+    if (!['completed', 'failed'].includes(batch.status)) {
+      return res.status(409).json({ error: 'Batch analysis is still running.' });
+    }
+    const { contentType, render } = BATCH_EXPORT_FORMATS[format];
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="Batch_Analysis_${(batch.jobRole || 'Candidates').replace(/[^a-zA-Z0-9]/g, '_')}.${format}"`);
+    res.send(await render(batchAnalyses.describe(batch)));
+  } catch (error) {
+    console.error('Batch export error:', error);
+    res.status(500).json({ error: 'Error exporting batch analysis: ' + error.message });
+  }
+});
+
+// Output formats for generated resumes
+const RESUME_DOCUMENT_FORMATS = {
+  docx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    render: (resumeData, jobRole, options) => Packer.toBuffer(createWordResume(resumeData, jobRole, options)),
+  },
+  pdf: {
+    contentType: 'application/pdf',
+    render: (resumeData, jobRole, options) => createPdfResume(resumeData, jobRole, options),
+  },
+  txt: {
+    contentType: 'text/plain; charset=utf-8',
+    render: async (resumeData, jobRole, options) => Buffer.from(createTextResume(resumeData, jobRole, options), 'utf8'),
+  },
+};
+
+// format: docx (default) | pdf | txt; template: see GET /resume-templates;
+// highlightAdded=false drops the red [ADDED] highlighting for the final submission copy
+const getResumeRenderOptions = (req) => {
+  const params = { ...req.query, ...req.body };
+  return {
+    format: (params.format || 'docx').toString().trim().toLowerCase(),
+    template: (params.template || DEFAULT_TEMPLATE).toString().trim().toLowerCase(),
+    highlightAdded: !['false', '0', 'no'].includes((params.highlightAdded ?? '').toString().trim().toLowerCase()),
+  };
+};
+
+// audit (optional): fabrication audit from buildIdealResumeData, sent as X-Resume-Audit* headers
+const sendResumeDocument = async (res, resumeData, jobRole, options, audit) => {
+  const { contentType, render } = RESUME_DOCUMENT_FORMATS[options.format];
+  const buffer = await render(resumeData, jobRole, options);
+  if (audit) {
+    Object.entries(getAuditHeaders(audit)).forEach(([name, value]) => res.setHeader(name, value));
+  }
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="Ideal_Resume_${jobRole.replace(/[^a-zA-Z0-9]/g, '_')}.${options.format}"`);
+  res.send(buffer);
+};
+
+// Templates available to /generate-ideal-resume
+app.get('/resume-templates', (req, res) => {
+  res.json({ templates: listResumeTemplates(), default: DEFAULT_TEMPLATE });
+});
+
+// Build the post-processed ideal resume JSON (LLM rewrite + URL sanitisation, [ADDED] tagging, honors split).
+// Returns { resumeData, audit } (see resumeAudit.js), or null when the model output cannot be parsed.
+const buildIdealResumeData = async ({ resumeText, jobRole, analysisReport, jobDescription, signal }) => {
+  const fileContent = resumeText.text;
+  const cacheKey = getCacheKey('ideal-resume', { jobRole, content: fileContent, analysis: analysisReport, jd: jobDescription });
+  const cachedData = await contextCache.get(cacheKey);
+  if (cachedData) {
+    // Every format/highlight/template variant and the JSON endpoint share one LLM call
+    return {
+      resumeData: cachedData.resumeData,
+      audit: cachedData.audit || createResumeAudit({ resumeData: cachedData.resumeData, sourceText: fileContent }),
+    };
+  }
+
+  // Enhanced prompt for intelligent resume enhancement with analysis data
+  const prompt = `You are a professional resume writer. Create an enhanced, ideal resume for the "${jobRole}" role using the original resume and analysis data.
+
+  ORIGINAL RESUME CONTENT:
+  ${formatResumeForPrompt(resumeText)}
+
+  ${analysisReport ? `ANALYSIS REPORT:
+  ${analysisReport}
+
+  ` : ''}${jobDescription ? `TARGET JOB DESCRIPTION (tailor wording and ordering to it; mirror its terminology ONLY for skills and experience already in the original resume; it is NOT a source of facts about the candidate):
+  ${jobDescription.substring(0, 3000)}
+
+  ` : ''}INSTRUCTIONS:
+1. Use the original resume as the ONLY factual source of truth. Do NOT invent, fabricate, or assume any data.
+2. Be CONSERVATIVE with additions. Only add a skill/certification/project if it is a direct, obvious complement to what already exists AND is critical for the target role. Do not add random or tangential items.
+3. Restructure and rewrite existing content professionally with strong action verbs and quantified impact where the original resume provides the figures. Never invent numbers, percentages, amounts or durations.
+4. Craft a compelling Professional Summary (3-4 lines) tailored to the target role using ONLY skills and experience already present.
+5. Categorize skills from the original resume into logical groups (Programming, Frameworks/Tools, Data/Cloud, Other etc). Only add a new skill if it is an extremely close complement (e.g., user has React → add Next.js). Mark any added skill with [ADDED]...[/ADDED].
+6. For certifications: keep all original ones. Only add 1-2 new ones if they are industry-standard for the target role and realistic given the user's background. Mark added ones with [ADDED]...[/ADDED].
+7. Do NOT add entirely new projects unless the analysis report explicitly says so. If you must add one, mark its name with [ADDED]...[/ADDED].
+8. Do NOT tag or color: professional summary, project descriptions, experience bullets, education details, or any rephrased/reworded text. Only tag newly added entity names.
+
+NAME PARSING (CRITICAL):
+- The candidate's name MUST have proper spacing between first name and last name (e.g., "First Last" NOT "FirstLast").
+- If the extracted text shows the name without spaces, intelligently split it at the camelCase boundary or logical word boundary.
 
 URL/LINK RULES (CRITICAL):
 - ONLY include URLs that are EXPLICITLY written in the original resume text (e.g., linkedin.com/in/..., github.com/... etc).
@@ -477,192 +1358,206 @@ Provide the enhanced resume in EXACTLY this JSON format:
 
 No extra text, only return the JSON object. Be VERY conservative — only add items that are critical for the target role and a natural fit for the user's existing background. Mark any added entity with [ADDED]...[/ADDED]. Do NOT add random or unnecessary items.`;
 
-    const response = await callGroqAPI([{ role: 'user', content: prompt }], 2000);
-    // console.log(response);
-    const extractJson = (text) => {
-      const cleaned = (text || '').toString().replace(/```(?:json)?/gi, '').trim();
-      const match = cleaned.match(/\{[\s\S]*\}/);
-      return match ? match[0] : '';
-    };
-    const tryParseJson = (text) => {
-      const jsonText = extractJson(text);
-      if (!jsonText) {
-        throw new Error('No JSON found in response');
-      }
-      return JSON.parse(jsonText);
-    };
-    const repairJsonWithAI = async (raw) => {
-      const repairPrompt = `You are a strict JSON repair tool.
-Fix the input so it is valid JSON that matches the original structure.
-Rules:
-- Output ONLY the JSON object (no markdown, no commentary).
-- Preserve all keys and values; only fix escaping, quotes, commas, and brackets.
-INPUT:
-${raw}`;
-      return await callGroqAPI([{ role: 'user', content: repairPrompt }], 1500);
-    };
-    // Parse the JSON response (with one AI repair attempt if needed)
-    let resumeData;
+  const response = await callLLM([{ role: 'user', content: prompt }], 2000, 'resumeJson', signal);
+  // console.log(response);
+  // Parse the JSON response (with one AI repair attempt if needed)
+  let resumeData;
+  try {
+    resumeData = tryParseJson(response);
+  } catch (parseError) {
+    console.error('Error parsing resume JSON (first attempt):', parseError.message);
     try {
-      resumeData = tryParseJson(response);
-    } catch (parseError) {
-      console.error('Error parsing resume JSON (first attempt):', parseError.message);
-      try {
-        const repaired = await repairJsonWithAI(response);
-        resumeData = tryParseJson(repaired);
-      } catch (repairError) {
-        console.error('Error parsing resume JSON (after repair):', repairError.message);
-        return res.status(500).json({ error: 'Error processing resume enhancement. Please try again.' });
-      }
+      const repaired = await repairJsonWithAI(response, '', { signal });
+      resumeData = tryParseJson(repaired);
+    } catch (repairError) {
+      console.error('Error parsing resume JSON (after repair):', repairError.message);
+      return null;
     }
+  }
 
-    // Post-process: fix name spacing, enforce added tagging, and sanitize all URLs
-    const isLikelyUrl = (value) => {
-      if (!value) return false;
-      const cleaned = value.toString().trim();
-      if (!cleaned) return false;
-      if (/\s/.test(cleaned)) return false;
-      if (/^[a-zA-Z]:[\\/]/.test(cleaned)) return false;
-      if (cleaned.toLowerCase().startsWith('file:')) return false;
-      if (cleaned.includes('\\')) return false;
-      if (/^https?:\/\//i.test(cleaned)) return true;
-      return /\./.test(cleaned);
-    };
-    const isInOriginal = (value) => {
-      const normalized = normalizeForMatch(stripAddedTags(value));
-      if (normalized.length === 0) return false;
-      if (originalNormalized.includes(normalized)) return true;
-      const looseValue = normalizeLoose(normalized);
-      if (!looseValue) return false;
-      const looseOriginal = normalizeLoose(originalNormalized);
-      return looseOriginal.includes(looseValue);
-    };
-    const tagIfMissing = (value) => {
-      const cleaned = stripAddedTags(value).replace(IN_PROGRESS_TAG_REGEX, '').trim();
-      if (!cleaned) return cleaned;
-      if (isInOriginal(cleaned)) return cleaned;
-      return `[ADDED]${cleaned}[/ADDED]`;
-    };
-    const tagListItems = (list) => (Array.isArray(list)
-      ? list.map(item => (typeof item === 'string' ? tagIfMissing(item) : item))
-      : []);
-    if (resumeData.personalInfo) {
-      // Fix name: insert space at camelCase boundaries (e.g., "AnuragGaddamwar" → "Anurag Gaddamwar")
-      if (resumeData.personalInfo.name) {
-        resumeData.personalInfo.name = resumeData.personalInfo.name
-          .replace(/([a-z])([A-Z])/g, '$1 $2')
-          .replace(/\s{2,}/g, ' ')
-          .trim();
-      }
-      // Sanitize all URL fields — strip local paths, file:// URLs, and non-URLs
-      const urlFields = ['linkedin', 'github', 'portfolio', 'website'];
-      urlFields.forEach(field => {
-        const val = (resumeData.personalInfo[field] || '').trim();
-        const normalized = normalizeUrlForCompare(val);
-        const isOriginalText = isInOriginal(val);
-        if (!val || val.toLowerCase().startsWith('file:') || /^[a-zA-Z]:[\\/]/.test(val) || val.includes('\\') || (!isLikelyUrl(val) && !isOriginalText) || (!normalized && !isOriginalText) || (!allowedUrlSet.has(normalized) && !isOriginalText)) {
-          resumeData.personalInfo[field] = '';
-        }
-      });
+  // Post-process: fix name spacing, enforce added tagging, and sanitize all URLs
+  // Project and certification names are checked against the whole resume, not just their parsed section:
+  // the parser can file an item under the wrong heading, and a real project must not come back as [ADDED]
+  const { tagIfMissing, getUrlRejection } = createGroundingCheck(resumeText);
+  const strippedUrls = [];
+  const keepUrl = (url, path, options) => {
+    if (!url) return false;
+    const reason = getUrlRejection(url, options);
+    if (reason) strippedUrls.push({ path, url, reason });
+    return !reason;
+  };
+  const tagListItems = (list) => (Array.isArray(list)
+    ? list.map(item => (typeof item === 'string' ? tagIfMissing(item) : item))
+    : []);
+  if (resumeData.personalInfo) {
+    // Fix name: insert space at camelCase boundaries (e.g., "AnuragGaddamwar" → "Anurag Gaddamwar")
+    if (resumeData.personalInfo.name) {
+      resumeData.personalInfo.name = resumeData.personalInfo.name
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .replace(/\s{2,}/g, ' ')
+        .trim();
     }
-    if (resumeData.coreSkills) {
-      if (Array.isArray(resumeData.coreSkills)) {
-        resumeData.coreSkills = tagListItems(resumeData.coreSkills);
-      } else if (typeof resumeData.coreSkills === 'object') {
-        Object.keys(resumeData.coreSkills).forEach(category => {
-          resumeData.coreSkills[category] = tagListItems(resumeData.coreSkills[category]);
-        });
+    // Sanitize all URL fields — strip local paths, file:// URLs, and non-URLs
+    const urlFields = ['linkedin', 'github', 'portfolio', 'website'];
+    urlFields.forEach(field => {
+      const val = (resumeData.personalInfo[field] || '').trim();
+      if (!keepUrl(val, `personalInfo.${field}`, { allowOriginalText: true })) {
+        resumeData.personalInfo[field] = '';
       }
-    }
-    // Sanitize project URLs
-    if (Array.isArray(resumeData.projects)) {
-      resumeData.projects.forEach(p => {
-        const url = (p.url || p.link || '').trim();
-        const normalized = normalizeUrlForCompare(url);
-        if (!url || url.toLowerCase().startsWith('file:') || /^[a-zA-Z]:[\\/]/.test(url) || url.includes('\\') || !isLikelyUrl(url) || !normalized || !allowedUrlSet.has(normalized)) {
-          p.url = '';
-          p.link = '';
-        }
-        if (p.name) {
-          p.name = tagIfMissing(p.name);
-        }
-        if (Array.isArray(p.technologies)) {
-          p.technologies = tagListItems(p.technologies);
-        }
-      });
-    }
-    // Sanitize certification URLs
-    if (Array.isArray(resumeData.certifications)) {
-      resumeData.certifications.forEach(c => {
-        if (typeof c === 'object' && c !== null) {
-          const url = (c.url || '').trim();
-          const normalized = normalizeUrlForCompare(url);
-          if (!url || url.toLowerCase().startsWith('file:') || /^[a-zA-Z]:[\\/]/.test(url) || url.includes('\\') || !isLikelyUrl(url) || !normalized || !allowedUrlSet.has(normalized)) {
-            c.url = '';
-          }
-          if (c.name) {
-            c.name = tagIfMissing(c.name);
-          }
-        }
+    });
+  }
+  if (resumeData.coreSkills) {
+    if (Array.isArray(resumeData.coreSkills)) {
+      resumeData.coreSkills = tagListItems(resumeData.coreSkills);
+    } else if (typeof resumeData.coreSkills === 'object') {
+      Object.keys(resumeData.coreSkills).forEach(category => {
+        resumeData.coreSkills[category] = tagListItems(resumeData.coreSkills[category]);
       });
     }
-    if (resumeData.additionalSections && typeof resumeData.additionalSections === 'object') {
-      ['languages', 'achievements', 'volunteering'].forEach(key => {
-        if (Array.isArray(resumeData.additionalSections[key])) {
-          resumeData.additionalSections[key] = tagListItems(resumeData.additionalSections[key]);
+  }
+  // Sanitize project URLs
+  if (Array.isArray(resumeData.projects)) {
+    resumeData.projects.forEach((p, index) => {
+      const url = (p.url || p.link || '').trim();
+      if (!keepUrl(url, `projects[${index}].${p.url ? 'url' : 'link'}`)) {
+        p.url = '';
+        p.link = '';
+      }
+      if (p.name) {
+        p.name = tagIfMissing(p.name);
+      }
+      if (Array.isArray(p.technologies)) {
+        p.technologies = tagListItems(p.technologies);
+      }
+    });
+  }
+  // Sanitize certification URLs
+  if (Array.isArray(resumeData.certifications)) {
+    resumeData.certifications.forEach((c, index) => {
+      if (typeof c === 'object' && c !== null) {
+        const url = (c.url || '').trim();
+        if (!keepUrl(url, `certifications[${index}].url`)) {
+          c.url = '';
         }
-      });
-      Object.keys(resumeData.additionalSections).forEach(key => {
-        if (!Array.isArray(resumeData.additionalSections[key]) || resumeData.additionalSections[key].length === 0) {
-          delete resumeData.additionalSections[key];
+        if (c.name) {
+          c.name = tagIfMissing(c.name);
         }
-      });
-      if (Object.keys(resumeData.additionalSections).length === 0) {
-        resumeData.additionalSections = {};
       }
-    }
-    if (Array.isArray(resumeData.education) && resumeData.education.length > 0) {
-      const hasHonorsEntry = resumeData.education.some(edu => /honors/i.test((edu.degree || '')));
-      const primaryEdu = resumeData.education[0];
-      const details = (primaryEdu.details || '').toString();
-      const honorsMatch = details.match(/Honors?\s+in\s+([^,;]+)(?:\s*\((\d{4})\))?/i);
-      if (!hasHonorsEntry && honorsMatch) {
-        const honorsName = `Honors in ${honorsMatch[1].trim()}`;
-        const honorsYear = honorsMatch[2] || '';
-        const cgpaMatch = details.match(/(\d+(?:\.\d+)?)\s*CGPA/i);
-        const sgpaMatch = details.match(/(\d+(?:\.\d+)?)\s*SGPA/i);
-        const btechDetails = (cgpaMatch ? `${cgpaMatch[1]} CGPA` : details)
-          .replace(/Honors?\s+in\s+[^,;]+(?:\s*\(\d{4}\))?/i, '')
-          .replace(/\s*,\s*/g, ', ')
-          .replace(/^,|,$/g, '')
-          .trim();
-        primaryEdu.details = btechDetails;
-        resumeData.education = [
-          primaryEdu,
-          {
-            degree: honorsName,
-            institution: primaryEdu.institution || '',
-            year: honorsYear || primaryEdu.year || '',
-            details: sgpaMatch ? `${sgpaMatch[1]} SGPA` : '',
-          },
-          ...resumeData.education.slice(1),
-        ];
+    });
+  }
+  if (resumeData.additionalSections && typeof resumeData.additionalSections === 'object') {
+    ['languages', 'achievements', 'volunteering'].forEach(key => {
+      if (Array.isArray(resumeData.additionalSections[key])) {
+        resumeData.additionalSections[key] = tagListItems(resumeData.additionalSections[key]);
+      }
+    });
+    Object.keys(resumeData.additionalSections).forEach(key => {
+      if (!Array.isArray(resumeData.additionalSections[key]) || resumeData.additionalSections[key].length === 0) {
+        delete resumeData.additionalSections[key];
       }
+    });
+    if (Object.keys(resumeData.additionalSections).length === 0) {
+      resumeData.additionalSections = {};
     }
+  }
+  if (Array.isArray(resumeData.education) && resumeData.education.length > 0) {
+    const hasHonorsEntry = resumeData.education.some(edu => /honors/i.test((edu.degree || '')));
+    const primaryEdu = resumeData.education[0];
+    const details = (primaryEdu.details || '').toString();
+    const honorsMatch = details.match(/Honors?\s+in\s+([^,;]+)(?:\s*\((\d{4})\))?/i);
+    if (!hasHonorsEntry && honorsMatch) {
+      const honorsName = `Honors in ${honorsMatch[1].trim()}`;
+      const honorsYear = honorsMatch[2] || '';
+      const cgpaMatch = details.match(/(\d+(?:\.\d+)?)\s*CGPA/i);
+      const sgpaMatch = details.match(/(\d+(?:\.\d+)?)\s*SGPA/i);
+      const btechDetails = (cgpaMatch ? `${cgpaMatch[1]} CGPA` : details)
+        .replace(/Honors?\s+in\s+[^,;]+(?:\s*\(\d{4}\))?/i, '')
+        .replace(/\s*,\s*/g, ', ')
+        .replace(/^,|,$/g, '')
+        .trim();
+      primaryEdu.details = btechDetails;
+      resumeData.education = [
+        primaryEdu,
+        {
+          degree: honorsName,
+          institution: primaryEdu.institution || '',
+          year: honorsYear || primaryEdu.year || '',
+          details: sgpaMatch ? `${sgpaMatch[1]} SGPA` : '',
+        },
+        ...resumeData.education.slice(1),
+      ];
+    }
+  }
 
-    // Generate Word document
-    const doc = createWordResume(resumeData, jobRole);
-    const buffer = await Packer.toBuffer(doc);
+  const audit = createResumeAudit({ resumeData, sourceText: fileContent, strippedUrls });
 
-    // Cache the result
-    contextCache.set(cacheKey, {
-      data: { buffer },
-      timestamp: Date.now(),
-    });
+  // Cache the result
+  await contextCache.set(cacheKey, { resumeData, audit });
+  return { resumeData, audit };
+};
 
-    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
-    res.setHeader('Content-Disposition', `attachment; filename="Ideal_Resume_${jobRole.replace(/[^a-zA-Z0-9]/g, '_')}.docx"`);
-    res.send(buffer);
+// Unsupported figures in rewritten bullets: warn | tag | strip (see resumeAudit.js); overridable per request with metricCheck
+const DEFAULT_METRIC_CHECK = METRIC_CHECK_MODES.includes((process.env.METRIC_CHECK_MODE || '').trim().toLowerCase())
+  ? process.env.METRIC_CHECK_MODE.trim().toLowerCase()
+  : 'warn';
+
+// Validated ideal resume inputs from an upload request: { input } or { error } (a 400 message)
+const readIdealResumeRequest = async (req) => {
+  if (!req.file) {
+    return { error: 'No file was uploaded.' };
+  }
+  const jobRole = (req.body.jobRole || '').trim();
+  const analysisReport = req.body.analysisReport || '';
+  const jobDescription = (req.body.jobDescription || '').toString().trim();
+  const renderOptions = getResumeRenderOptions(req);
+  const metricCheck = (req.body.metricCheck || req.query.metricCheck || DEFAULT_METRIC_CHECK).toString().trim().toLowerCase();
+
+  if (!jobRole) {
+    return { error: 'Job role is required.' };
+  }
+  if (!METRIC_CHECK_MODES.includes(metricCheck)) {
+    return { error: `Unknown metricCheck. Use one of: ${METRIC_CHECK_MODES.join(', ')}.` };
+  }
+  if (!Object.hasOwn(RESUME_DOCUMENT_FORMATS, renderOptions.format)) {
+    return { error: `Unsupported format. Use one of: ${Object.keys(RESUME_DOCUMENT_FORMATS).join(', ')}.` };
+  }
+  if (!getResumeTemplate(renderOptions.template)) {
+    return { error: `Unknown template. Use one of: ${listResumeTemplates().map(template => template.id).join(', ')}.` };
+  }
+
+  // Read and extract the resume text
+  const resumeText = await readUploadedResume(req.file);
+  if (!resumeText.text || resumeText.text.length < 50) {
+    return { error: 'Resume content is too short or empty.' };
+  }
+  return { input: { resumeText, jobRole, analysisReport, jobDescription, metricCheck, renderOptions } };
+};
+
+// { resumeData, audit } for readIdealResumeRequest's input, or null when the model output cannot be parsed
+const generateIdealResume = async ({ resumeText, jobRole, analysisReport, jobDescription, metricCheck, signal }) => {
+  const result = await buildIdealResumeData({ resumeText, jobRole, analysisReport, jobDescription, signal });
+  if (!result) return null;
+  // Applied after the cache so every mode shares one LLM call; the audit always lists the original figures
+  return {
+    resumeData: applyMetricCheck(result.resumeData, resumeText.text, metricCheck),
+    audit: { ...result.audit, metricCheck },
+  };
+};
+
+// Shared upload handling for the ideal resume endpoints; respond(res, resumeData, jobRole, renderOptions, audit) sends the result
+const handleIdealResumeRequest = (respond) => async (req, res) => {
+  // console.log('Resume Generation request')
+  const uploadedFilePath = req.file ? req.file.path : null;
+  try {
+    const { input, error } = await readIdealResumeRequest(req);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const result = await generateIdealResume(input);
+    if (!result) {
+      return res.status(500).json({ error: 'Error processing resume enhancement. Please try again.' });
+    }
+    await respond(res, result.resumeData, input.jobRole, input.renderOptions, result.audit);
 
   } catch (error) {
     console.error('Ideal resume generation error:', error);
@@ -673,535 +1568,972 @@ ${raw}`;
       fs.unlink(uploadedFilePath).catch(err => console.error('Cleanup error:', err));
     }
   }
-});
+};
 
-// Helper function to create Word document from resume data
-const createWordResume = (resumeData, jobRole) => {
-  const ADDED_TAG_REGEX = /\[ADDED\]([\s\S]*?)\[\/ADDED\]/g;
-  const IN_PROGRESS_REGEX = /\(in-progress\)|\(in\-progess\)/gi;
-
-  const splitAddedSegments = (text) => {
-    ADDED_TAG_REGEX.lastIndex = 0;
-    const segments = [];
-    let lastIndex = 0;
-    let match;
-    while ((match = ADDED_TAG_REGEX.exec(text)) !== null) {
-      if (match.index > lastIndex) {
-        segments.push({ text: text.slice(lastIndex, match.index), added: false });
-      }
-      segments.push({ text: match[1], added: true });
-      lastIndex = match.index + match[0].length;
+// Dynamic resume generation endpoint (DOCX/PDF/TXT download); the fabrication audit rides along in X-Resume-Audit* headers
+app.post('/generate-ideal-resume', upload.single('file'), handleIdealResumeRequest(sendResumeDocument));
+
+// Same pipeline, but returns the post-processed resumeData (and its audit) so it can be reviewed/edited before rendering
+app.post('/generate-ideal-resume/data', upload.single('file'), handleIdealResumeRequest((res, resumeData, jobRole, renderOptions, audit) => {
+  res.json({ jobRole, resumeData, audit });
+}));
+
+// Render (possibly user-edited) resumeData without another LLM call
+app.post('/render-resume', async (req, res) => {
+  try {
+    const { resumeData } = req.body;
+    const jobRole = (req.body.jobRole || '').toString().trim();
+    const renderOptions = getResumeRenderOptions(req);
+
+    if (!jobRole) {
+      return res.status(400).json({ error: 'Job role is required.' });
     }
-    if (lastIndex < text.length) {
-      segments.push({ text: text.slice(lastIndex), added: false });
+    const problems = checkResumeData(resumeData);
+    if (problems.length > 0) {
+      return res.status(400).json({ error: 'Invalid resumeData: ' + problems.join(' ') });
+    }
+    if (!Object.hasOwn(RESUME_DOCUMENT_FORMATS, renderOptions.format)) {
+      return res.status(400).json({ error: `Unsupported format. Use one of: ${Object.keys(RESUME_DOCUMENT_FORMATS).join(', ')}.` });
+    }
+    if (!getResumeTemplate(renderOptions.template)) {
+      return res.status(400).json({ error: `Unknown template. Use one of: ${listResumeTemplates().map(template => template.id).join(', ')}.` });
     }
-    return segments;
-  };
 
-  const createTextRunsWithAddedColor = (text, options = {}) => {
-    if (!text) return [];
-    const normalized = text.toString().replace(IN_PROGRESS_REGEX, '').replace(/ {2,}/g, ' ');
-    const segments = splitAddedSegments(normalized);
-    if (segments.length === 0) return [];
-    const useSegmentColor = segments.some(segment => segment.added);
-    if (!useSegmentColor || options.highlightAdded === false) {
-      const cleaned = normalized.replace(/\[ADDED\]|\[\/ADDED\]/g, '');
-      return [new TextRun({ text: cleaned, ...options, noProof: options.noProof !== undefined ? options.noProof : true, color: options.forceAddedColor ? 'ff0000' : options.color })];
-    }
-    return segments
-      .map(segment => ({
-        text: segment.text.replace(/\[ADDED\]|\[\/ADDED\]/g, ''),
-        added: segment.added,
-      }))
-      .filter(segment => segment.text.length > 0)
-      .map(segment => {
-        const isAdded = segment.added || options.forceAddedColor;
-        return new TextRun({ text: segment.text, ...options, noProof: options.noProof !== undefined ? options.noProof : true, color: isAdded ? 'ff0000' : options.color });
-      });
-  };
+    await sendResumeDocument(res, resumeData, jobRole, renderOptions);
+  } catch (error) {
+    console.error('Resume render error:', error);
+    res.status(500).json({ error: 'Error rendering resume: ' + error.message });
+  }
+});
 
-  const sanitizeUrlText = (value) => {
-    if (!value) return '';
-    const cleaned = value.toString()
-      .replace(/\[ADDED\]|\[\/ADDED\]/g, '')
-      .replace(IN_PROGRESS_REGEX, '')
-      .trim();
-    if (!cleaned) return '';
-    const lower = cleaned.toLowerCase();
-    if (lower.startsWith('file:')) return '';
-    if (/^[a-zA-Z]:\\/.test(cleaned)) return '';
-    if (/^[a-zA-Z]:\//.test(cleaned)) return '';
-    if (cleaned.includes('\\')) return '';
-    if (/\s/.test(cleaned)) return '';
-    if (cleaned.includes('@')) return cleaned;
-    if (/^(mailto:|tel:)/i.test(cleaned)) return cleaned;
-    if (/^https?:\/\//i.test(cleaned)) {
-      return cleaned.replace(/^http:\/\//i, 'https://');
-    }
-    if (/\./.test(cleaned)) {
-      return `https://${cleaned}`;
-    }
-    return '';
-  };
+// Output formats for cover letters; json returns the letter with its audit and the plain-text version
+const COVER_LETTER_FORMATS = {
+  docx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    render: (letter, options) => Packer.toBuffer(createWordCoverLetter(letter, options)),
+  },
+  txt: {
+    contentType: 'text/plain; charset=utf-8',
+    render: async (letter, options) => Buffer.from(createTextCoverLetter(letter, options), 'utf8'),
+  },
+};
 
-  const createHyperlinkRun = (text, url, options = {}) => {
-    if (!url) {
-      return createTextRunsWithAddedColor(text, options);
-    }
-    const hyperlinkRuns = createTextRunsWithAddedColor(text, { ...options, color: options.color || '2563eb', underline: { type: 'single' } });
-    return [
-      new ExternalHyperlink({
-        link: url,
-        children: hyperlinkRuns,
-      }),
-    ];
-  };
+// Cover letter from the resume's own facts: every sentence cites its resume evidence and is checked against the
+// original (see coverLetter.js); the result is cached so every format shares one LLM call
+const buildCoverLetter = async ({ resumeText, jobRole, companyName, jobDescription }) => {
+  const cacheKey = getCacheKey('cover-letter', { jobRole, content: resumeText.text, company: companyName, jd: jobDescription });
+  const cached = await contextCache.get(cacheKey);
+  if (cached) return cached;
 
-  const createSectionHeading = (text, options = {}) => new Paragraph({
-    children: [
-      new TextRun({
-        text,
-        font: 'Calibri',
-        size: 24,
-        bold: true,
-        color: options.color || '1f2937',
-        noProof: options.noProof !== undefined ? options.noProof : true,
-      }),
-    ],
-    heading: HeadingLevel.HEADING_2,
-    spacing: { before: 200, after: 120 },
-  });
+  const prompt = `You are a professional cover letter writer. Write a cover letter for the "${jobRole}" role${companyName ? ` at ${companyName}` : ''} using ONLY facts from the candidate's resume.
 
-  const createBulletParagraph = (text, options = {}) => new Paragraph({
-    children: [
-      new TextRun({ text: '• ', ...options, noProof: options.noProof !== undefined ? options.noProof : true, color: options.color || '1f2937' }),
-      ...createTextRunsWithAddedColor(text, options),
-    ],
-    indent: { left: 360 },
-    spacing: { after: 100 },
-  });
+RESUME (the ONLY source of facts about the candidate):
+${formatResumeForPrompt(resumeText, 4000)}
 
-  const ensureArray = (value) => (Array.isArray(value) ? value : []);
-  const ensureString = (value) => (value ? value.toString() : '');
-  const isAddedText = (value) => {
-    ADDED_TAG_REGEX.lastIndex = 0;
-    return ADDED_TAG_REGEX.test(ensureString(value));
-  };
-  const formatLink = (value) => ensureString(value).trim();
-
-  const personalInfo = resumeData.personalInfo || {};
-  const email = ensureString(personalInfo.email);
-  const phone = ensureString(personalInfo.phone);
-  const location = ensureString(personalInfo.location);
-  const linkedin = ensureString(personalInfo.linkedin);
-  const github = ensureString(personalInfo.github);
-  const portfolio = ensureString(personalInfo.portfolio || personalInfo.website || '');
-  const emailUrl = sanitizeUrlText(email);
-  const phoneUrl = sanitizeUrlText(phone).replace(/\s+/g, '');
-  const linkedinUrl = sanitizeUrlText(linkedin);
-  const githubUrl = sanitizeUrlText(github);
-  const portfolioUrl = sanitizeUrlText(portfolio);
-
-  const contactParts = [];
-  if (email) contactParts.push({ text: email, url: emailUrl ? `mailto:${emailUrl}` : '' });
-  if (phone) contactParts.push({ text: phone, url: phoneUrl ? `tel:${phoneUrl}` : '' });
-  if (location) contactParts.push({ text: location, url: '' });
-  const contactRuns = [];
-  contactParts.forEach((part, index) => {
-    if (index > 0) {
-      contactRuns.push(new TextRun({ text: ' | ', font: 'Calibri', size: 22, color: '6b7280' }));
-    }
-    contactRuns.push(...createHyperlinkRun(part.text, part.url, { font: 'Calibri', size: 22, color: '6b7280' }));
-  });
+${jobDescription ? `JOB DESCRIPTION (use it to choose which resume facts to highlight and to mirror its terminology; it is NOT a source of facts about the candidate):
+${jobDescription.substring(0, 3000)}
 
-  const linkParts = [
-    linkedin ? { text: linkedin, url: linkedinUrl } : null,
-    github ? { text: github, url: githubUrl } : null,
-    portfolio ? { text: portfolio, url: portfolioUrl } : null,
-  ].filter(Boolean);
-  const linkRuns = [];
-  linkParts.forEach((part, index) => {
-    if (index > 0) {
-      linkRuns.push(new TextRun({ text: ' | ', font: 'Calibri', size: 20, color: '2563eb' }));
-    }
-    linkRuns.push(...createHyperlinkRun(part.text, part.url, { font: 'Calibri', size: 20, color: '2563eb' }));
+` : ''}RULES:
+1. 3-4 paragraphs, 250-350 words in total: opening (role${companyName ? ' and company' : ''}), 1-2 paragraphs matching the candidate's experience and projects to the role, closing with a call to action.
+2. Never invent employers, projects, skills, numbers, dates, certifications or links. Only use figures exactly as they appear in the resume.
+3. Split every paragraph into sentences. For each sentence about the candidate's experience, skills or results, set "evidence" to a phrase of at least 3 words copied EXACTLY from the resume that supports it; every employer, tool, title or number the sentence names must come from the resume. Leave "evidence" empty only for sentences that make no claim about the candidate (greeting lines, interest in the role, call to action).
+4. Do not include the candidate's contact details, the date or an address block; they are added separately.
+${companyName ? '' : '5. No company name was given: do not name or guess a company.\n'}
+Return ONLY a JSON object in EXACTLY this format (no markdown, no extra text):
+{
+  "greeting": "Dear Hiring Manager,",
+  "paragraphs": [
+    { "sentences": [ { "text": "<sentence>", "evidence": "<exact phrase from the resume, or empty>" } ] }
+  ],
+  "closing": "Sincerely,"
+}`;
+
+  const response = await callLLM([{ role: 'user', content: prompt }], 2000, 'coverLetter');
+  const grounded = groundCoverLetter(await parseModelJson(response, COVER_LETTER_SCHEMA), {
+    grounding: createGroundingCheck(resumeText, { targetTerms: [jobRole, companyName] }),
   });
+  await contextCache.set(cacheKey, grounded);
+  return grounded;
+};
 
-  const skillsData = resumeData.coreSkills;
-  const skillsSections = [];
-  if (Array.isArray(skillsData)) {
-    skillsSections.push({ title: 'Skills', values: skillsData });
-  } else if (skillsData && typeof skillsData === 'object') {
-    Object.entries(skillsData).forEach(([category, values]) => {
-      skillsSections.push({ title: category, values: Array.isArray(values) ? values : [] });
-    });
-  }
+// Cover letter endpoint: file (resume), jobRole, optional companyName and jobDescription;
+// format docx (default) | txt | json, template and highlightAdded as for /generate-ideal-resume
+app.post('/generate-cover-letter', upload.single('file'), async (req, res) => {
+  let uploadedFilePath = null;
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file was uploaded.' });
+    }
 
-  const certifications = resumeData.certifications || [];
-  const certificationItems = Array.isArray(certifications) ? certifications : [];
-  const normalizedCerts = certificationItems.map(item => {
-    if (typeof item === 'string') return { name: item, url: '' };
-    if (item && typeof item === 'object') return { name: item.name || '', url: item.url || '' };
-    return { name: '', url: '' };
-  }).filter(item => item.name);
+    uploadedFilePath = req.file.path;
+    const jobRole = (req.body.jobRole || '').trim();
+    const companyName = (req.body.companyName || '').toString().trim().substring(0, 120);
+    const jobDescription = (req.body.jobDescription || '').toString().trim();
+    const renderOptions = getResumeRenderOptions(req);
 
-  const projects = ensureArray(resumeData.projects);
-  const experience = ensureArray(resumeData.experience);
-  const education = ensureArray(resumeData.education);
-  const additionalSections = resumeData.additionalSections || {};
+    if (!jobRole) {
+      return res.status(400).json({ error: 'Job role is required.' });
+    }
+    if (renderOptions.format !== 'json' && !Object.hasOwn(COVER_LETTER_FORMATS, renderOptions.format)) {
+      return res.status(400).json({ error: `Unsupported format. Use one of: ${[...Object.keys(COVER_LETTER_FORMATS), 'json'].join(', ')}.` });
+    }
+    if (!getResumeTemplate(renderOptions.template)) {
+      return res.status(400).json({ error: `Unknown template. Use one of: ${listResumeTemplates().map(template => template.id).join(', ')}.` });
+    }
 
-  const CM_TO_TWIP = 567; // 1 cm ≈ 567 twips
-  const doc = new Document({
-    sections: [
-      {
-        properties: {
-          page: {
-            margin: {
-              top: CM_TO_TWIP,
-              bottom: CM_TO_TWIP,
-              left: CM_TO_TWIP,
-              right: CM_TO_TWIP,
-            },
-          },
-        },
-        children: [
-          // Header with name
-          new Paragraph({
-            children: [
-              new TextRun({
-                text: resumeData.personalInfo.name || '[Your Name]',
-                font: 'Calibri',
-                size: 32,
-                bold: true,
-                color: '2563eb',
-              }),
-            ],
-            alignment: AlignmentType.CENTER,
-            spacing: { after: 200 },
-          }),
-
-          // Contact Information
-          new Paragraph({
-            children: contactRuns.length > 0 ? contactRuns : [
-              new TextRun({
-                text: `${personalInfo.email || '[Email]'} | ${personalInfo.phone || '[Phone]'} | ${personalInfo.location || '[Location]'}`,
-                font: 'Calibri',
-                size: 22,
-                color: '6b7280',
-              }),
-            ],
-            alignment: AlignmentType.CENTER,
-            spacing: { after: 200 },
-          }),
-
-          // LinkedIn/GitHub if available
-          ...(linkRuns.length > 0 ? [
-            new Paragraph({
-              children: linkRuns,
-              alignment: AlignmentType.CENTER,
-              spacing: { after: 300 },
-            })
-          ] : []),
-
-
-          // Professional Summary
-          createSectionHeading('PROFESSIONAL SUMMARY'),
-
-          new Paragraph({
-            children: createTextRunsWithAddedColor(resumeData.professionalSummary || `Motivated ${jobRole} with relevant experience and skills.`, { font: 'Calibri', size: 22, highlightAdded: false }),
-            spacing: { after: 200 },
-          }),
-
-          // Core Skills
-          createSectionHeading('CORE COMPETENCIES'),
-
-          ...skillsSections.flatMap(section => [
-            new Paragraph({
-              children: [
-                new TextRun({
-                  text: `${section.title}: `,
-                  font: 'Calibri',
-                  size: 22,
-                  bold: true,
-                  color: '1f2937',
-                }),
-                ...createTextRunsWithAddedColor(section.values.map(ensureString).join(', '), { font: 'Calibri', size: 22, highlightAdded: true }),
-              ],
-              spacing: { after: 140 },
-            })
-          ]),
-
-          // Professional Experience
-          ...(experience.length > 0 ? [
-            createSectionHeading('PROFESSIONAL EXPERIENCE'),
-            ...experience.flatMap(exp => {
-              const titleLine = `${exp.company || '[Company]'} | ${exp.position || '[Position]'}${exp.duration ? ` | ${exp.duration}` : ''}`;
-              return [
-                new Paragraph({
-                  children: createTextRunsWithAddedColor(titleLine, { font: 'Calibri', size: 22, bold: true }),
-                  spacing: { before: 100, after: 60 },
-                }),
-                ...ensureArray(exp.achievements).map(achievement => createBulletParagraph(ensureString(achievement), { font: 'Calibri', size: 20, highlightAdded: true })),
-              ];
-            }),
-          ] : []),
-
-          // Projects
-          ...(projects.length > 0 ? [
-            createSectionHeading('KEY PROJECTS'),
-            ...projects.flatMap(project => {
-              const projectName = ensureString(project.name || '[Project Name]');
-              const projectUrl = sanitizeUrlText(formatLink(project.url || project.link || ''));
-              const isProjectAdded = isAddedText(projectName);
-              return [
-                new Paragraph({
-                  children: projectUrl
-                    ? createHyperlinkRun(projectName, projectUrl, { font: 'Calibri', size: 22, bold: true, highlightAdded: true })
-                    : createTextRunsWithAddedColor(projectName, { font: 'Calibri', size: 22, bold: true, highlightAdded: true }),
-                  spacing: { before: 100, after: 60 },
-                }),
-                ...(project.description ? [
-                  new Paragraph({
-                    children: createTextRunsWithAddedColor(ensureString(project.description), { font: 'Calibri', size: 20, highlightAdded: false }),
-                    indent: { left: 360 },
-                    spacing: { after: 80 },
-                  })
-                ] : []),
-                ...(ensureArray(project.technologies).length > 0 ? [
-                  new Paragraph({
-                    children: createTextRunsWithAddedColor(`Technologies: ${ensureArray(project.technologies).join(', ')}`, { font: 'Calibri', size: 20, italics: true, highlightAdded: true }),
-                    indent: { left: 360 },
-                    spacing: { after: 80 },
-                  })
-                ] : []),
-                ...ensureArray(project.highlights).map(highlight => createBulletParagraph(ensureString(highlight), { font: 'Calibri', size: 20, highlightAdded: true })),
-              ];
-            }),
-          ] : []),
-
-          // Education
-          ...(education.length > 0 ? [
-            createSectionHeading('EDUCATION'),
-            ...education.map(edu => {
-              const line = `${edu.degree || '[Degree]'} | ${edu.institution || '[Institution]'} | ${edu.year || '[Year]'}`;
-              const details = ensureString(edu.details || '');
-              return [
-                new Paragraph({
-                  children: createTextRunsWithAddedColor(line, { font: 'Calibri', size: 22, bold: true }),
-                  spacing: { after: details ? 80 : 200 },
-                }),
-                ...(details ? [
-                  new Paragraph({
-                    children: createTextRunsWithAddedColor(details, { font: 'Calibri', size: 20, highlightAdded: true }),
-                    indent: { left: 360 },
-                    spacing: { after: 200 },
-                  })
-                ] : []),
-              ];
-            }).flat(),
-          ] : []),
-
-          // Certifications
-          ...(normalizedCerts.length > 0 ? [
-            createSectionHeading('CERTIFICATIONS'),
-            ...normalizedCerts.map(cert => {
-              const certName = ensureString(cert.name);
-              const certUrl = sanitizeUrlText(formatLink(cert.url));
-              if (certUrl) {
-                return new Paragraph({
-                  children: [
-                    new TextRun({ text: '• ', font: 'Calibri', size: 20, color: '1f2937' }),
-                    ...createHyperlinkRun(certName, certUrl, { font: 'Calibri', size: 20, highlightAdded: true }),
-                  ],
-                  spacing: { after: 100 },
-                });
-              }
-              return createBulletParagraph(certName, { font: 'Calibri', size: 20, highlightAdded: true });
-            }),
-          ] : []),
-
-          ...((ensureArray(additionalSections.languages).length > 0
-            || ensureArray(additionalSections.achievements).length > 0
-            || ensureArray(additionalSections.volunteering).length > 0) ? [
-            createSectionHeading('ADDITIONAL INFORMATION', {
-              color: (isAddedText(ensureArray(additionalSections.languages).join(' '))
-                || isAddedText(ensureArray(additionalSections.achievements).join(' '))
-                || isAddedText(ensureArray(additionalSections.volunteering).join(' ')))
-                ? 'ff0000'
-                : '1f2937',
-            }),
-            ...(ensureArray(additionalSections.languages).length > 0 ? [
-              new Paragraph({
-                children: [
-                  new TextRun({ text: 'Languages: ', font: 'Calibri', size: 20, bold: true, color: '1f2937' }),
-                  ...createTextRunsWithAddedColor(ensureArray(additionalSections.languages).join(', '), { font: 'Calibri', size: 20, highlightAdded: true }),
-                ],
-                spacing: { after: 100 },
-              })
-            ] : []),
-            ...(ensureArray(additionalSections.achievements).length > 0 ? [
-              new Paragraph({
-                children: [
-                  new TextRun({ text: 'Achievements: ', font: 'Calibri', size: 20, bold: true, color: '1f2937' }),
-                  ...createTextRunsWithAddedColor(ensureArray(additionalSections.achievements).join(', '), { font: 'Calibri', size: 20, highlightAdded: true }),
-                ],
-                spacing: { after: 100 },
-              })
-            ] : []),
-            ...(ensureArray(additionalSections.volunteering).length > 0 ? [
-              new Paragraph({
-                children: [
-                  new TextRun({ text: 'Volunteering: ', font: 'Calibri', size: 20, bold: true, color: '1f2937' }),
-                  ...createTextRunsWithAddedColor(ensureArray(additionalSections.volunteering).join(', '), { font: 'Calibri', size: 20, highlightAdded: true }),
-                ],
-                spacing: { after: 100 },
-              })
-            ] : []),
-          ] : []),
-        ],
-      },
-    ],
-  });
+    const resumeText = await readUploadedResume(req.file);
+    if (!resumeText.text || resumeText.text.length < 50) {
+      return res.status(400).json({ error: 'Resume content is too short or empty.' });
+    }
 
-  return doc;
-};
+    const { letter, audit } = await buildCoverLetter({ resumeText, jobRole, companyName, jobDescription });
+    const letterOptions = { ...renderOptions, contact: resumeText.parsed.contact, companyName };
+    if (renderOptions.format === 'json') {
+      return res.json({ jobRole, companyName, letter, text: createTextCoverLetter(letter, letterOptions), audit });
+    }
 
-// Roadmap generation endpoint with optimized parsing
-app.post('/generate-roadmap', async (req, res) => {
-  // console.log('Roadmap Generation request')
+    const { contentType, render } = COVER_LETTER_FORMATS[renderOptions.format];
+    const buffer = await render(letter, letterOptions);
+    Object.entries(getAuditHeaders(audit)).forEach(([name, value]) => res.setHeader(name, value));
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="Cover_Letter_${jobRole.replace(/[^a-zA-Z0-9]/g, '_')}.${renderOptions.format}"`);
+    res.send(buffer);
+  } catch (error) {
+    console.error('Cover letter generation error:', error);
+    res.status(500).json({ error: 'Error generating cover letter: ' + error.message });
+  } finally {
+    if (uploadedFilePath) {
+      fs.unlink(uploadedFilePath).catch(err => console.error('Cleanup error:', err));
+    }
+  }
+});
 
+// LinkedIn profile endpoint: file (resume) and targetRole (or jobRole). Returns headline, About, experience entries
+// and skills sized to LinkedIn's limits; anything the resume doesn't back up is listed in each field's "flagged"
+app.post('/optimize-linkedin', upload.single('file'), async (req, res) => {
+  let uploadedFilePath = null;
   try {
-    const { currentQuery } = req.body;
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file was uploaded.' });
+    }
 
-    if (!currentQuery || typeof currentQuery !== 'string' || !currentQuery.trim()) {
-      return res.status(400).json({ error: 'Job role is required.' });
+    uploadedFilePath = req.file.path;
+    const targetRole = (req.body.targetRole || req.body.jobRole || '').toString().trim();
+    if (!targetRole) {
+      return res.status(400).json({ error: 'Target role is required.' });
+    }
+
+    const resumeText = await readUploadedResume(req.file);
+    if (!resumeText.text || resumeText.text.length < 50) {
+      return res.status(400).json({ error: 'Resume content is too short or empty.' });
+    }
+
+    const cacheKey = getCacheKey('linkedin', { targetRole, content: resumeText.text });
+    const cached = await contextCache.get(cacheKey);
+    if (cached) {
+      return res.json(cached);
     }
 
-    // Check cache first
-    const cacheKey = getCacheKey('roadmap', { role: currentQuery });
-    if (contextCache.has(cacheKey)) {
-      return res.json(contextCache.get(cacheKey).data);
+    const prompt = `You are a LinkedIn profile strategist. Rewrite this candidate's resume into LinkedIn profile sections aimed at "${targetRole}" recruiters, using ONLY facts from the resume.
+
+RESUME (the ONLY source of facts about the candidate):
+${formatResumeForPrompt(resumeText, 4000)}
+
+RULES:
+1. headline: at most ${LINKEDIN_LIMITS.headline} characters, segments separated by " | ": the target role, 3-5 of the candidate's strongest skills for it, and one credential or result from the resume.
+2. about: first person, 2-4 short paragraphs, at most ${LINKEDIN_LIMITS.about} characters in total; open with a hook, then experience and projects, then what the candidate is looking for.
+3. experience: one entry per job in the resume with the title, company and dates exactly as written there; 2-5 bullets each, at most ${LINKEDIN_LIMITS.experienceDescription} characters per entry.
+4. For every about sentence and bullet that states something about the candidate, set "evidence" to a phrase of at least 3 words copied EXACTLY from the resume; every employer, tool, title or number it names must come from the resume. Leave it empty only for sentences that make no claim (e.g. what they are looking for).
+5. skills: up to ${MAX_SKILLS} skills that appear in the resume, most relevant to "${targetRole}" first. Never add skills the resume does not mention.
+6. Never invent employers, titles, numbers, dates, certifications or links.
+
+Return ONLY a JSON object in EXACTLY this format (no markdown, no extra text):
+{
+  "headline": "<headline>",
+  "about": [ { "sentences": [ { "text": "<sentence>", "evidence": "<exact phrase from the resume, or empty>" } ] } ],
+  "experience": [
+    { "title": "<title>", "company": "<company>", "dates": "<dates>", "bullets": [ { "text": "<bullet>", "evidence": "<exact phrase from the resume>" } ] }
+  ],
+  "skills": ["<skill>"]
+}`;
+
+    const response = await callLLM([{ role: 'user', content: prompt }], 2000, 'linkedinProfile');
+    const profile = groundLinkedinProfile(await parseModelJson(response, LINKEDIN_PROFILE_SCHEMA), {
+      grounding: createGroundingCheck(resumeText, { targetTerms: [targetRole] }),
+      targetRole,
+    });
+    const result = { targetRole, limits: LINKEDIN_LIMITS, ...profile };
+    await contextCache.set(cacheKey, result);
+    res.json(result);
+  } catch (error) {
+    console.error('LinkedIn optimization error:', error);
+    res.status(500).json({ error: 'Error optimizing LinkedIn profile: ' + error.message });
+  } finally {
+    if (uploadedFilePath) {
+      fs.unlink(uploadedFilePath).catch(err => console.error('Cleanup error:', err));
     }
+  }
+});
 
-    const prompt = `
+// Check resources against the registry on every response (not before caching) so registry edits apply at once
+const withVerifiedResources = async ({ roadmap }) => {
+  const verified = verifyRoadmapResources(roadmap, await resourceRegistry.load());
+  return { parsedData: toLegacyParsedData(verified.roadmap), roadmap: verified.roadmap, resourceCheck: verified.report };
+};
+
+// Base roadmap for a role: validated JSON roadmap plus the legacy flat parsedData list and a resource check report.
+// Returns { parsedData: [], rawResponse } when the role is rejected or the model output is unusable.
+const generateRoadmap = async (role, { signal } = {}) => {
+  // Check cache first
+  const cacheKey = getCacheKey('roadmap', { role, format: 'phases' });
+  const cached = await contextCache.get(cacheKey);
+  if (cached) {
+    return withVerifiedResources(cached);
+  }
+  const registry = await resourceRegistry.load();
+  const vettedChannels = registry.entries.filter(entry => entry.type === 'youtube').map(entry => entry.title);
+
+  const prompt = `
 You are an expert industry curriculum designer.
 
 TASK:
-Create a proper industry-oriented learning roadmap for the role "${currentQuery.trim()}".
+Create a proper industry-oriented learning roadmap for the role "${role}".
 
 IMPORTANT VALIDATION (MANDATORY):
 1. FIRST, determine whether the given role is a **genuine professional career** that:
    - Typically requires formal education (college degree / diploma / structured professional training), AND
    - Has a clearly defined industry skill stack (e.g., Software Engineer, Data Scientist, Mechanical Engineer, Chartered Accountant, Cybersecurity Analyst, AI Engineer, etc.)
 2. If the role does NOT meet the above criteria (random terms, vague roles, non-technical/non-professional jobs, blue-collar work, casual skills, or unclear inputs), DO NOT generate a roadmap.
-3. In such cases, output EXACTLY this single line and NOTHING ELSE:
-INVALID_ROLE
+3. In such cases, return exactly: {"valid": false, "phases": []}
 
 STRICT GENERATION RULES (only if role is valid):
-- Start from absolute basics and go to advanced level.
+- Start from absolute basics and go to advanced level, split into beginner, intermediate and advanced phases.
 - Target audience is a fresher.
 - Topics must be DIRECTLY relevant to the given role.
 - DO NOT include web development, HTML, CSS, JavaScript, or unrelated technologies unless they are CORE requirements of the role.
 - Keep duration realistic (each topic must be 10+ days).
-- Include only popular Indian YouTube channels.
-- Do NOT add explanations, headings, numbering, or extra text.
-
-FORMAT (FOLLOW EXACTLY, NO DEVIATION):
-Topic Name - X days
-   - YouTube Channel: Channel Name (https://youtube.com/...)
-Topic Name - X days
-   - YouTube Channel: Channel Name (https://youtube.com/...)
-Topic Name - X days
-   - YouTube Channel: Channel Name (https://youtube.com/...)
-
-DO NOT:
-- Add examples
-- Add summaries
-- Add extra blank lines
-- Add any text before or after the roadmap
-`;
-    const response = await callGroqAPI([{ role: 'user', content: prompt }], 900);
-
-
-
-    // Clean and normalize the text
-    const cleanedText = response
-      .split('\n')
-      .map(line => line.replace(/\*\*/g, '').trim())
-      .filter(line => line.length > 0)
-      .join('\n')
-      .replace(/\n\s+/g, '\n'); // Remove excessive whitespace
-
-
-    // Updated regex pattern to handle the actual format more flexibly
-    const lines = cleanedText.split('\n');
-    const parsedData = [];
-    let skillNumber = 1;
-    
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-      
-      // Check if line matches the skill format: "Topic - X days"
-      const skillMatch = line.match(/^([^-]+?)\s*-\s*(\d+\s*days?)\s*$/i);
-      if (skillMatch) {
-        const skillName = skillMatch[1].trim();
-        const days = skillMatch[2].trim();
-        
-        // Look for the next line that contains YouTube channel info
-        const nextLine = i + 1 < lines.length ? lines[i + 1].trim() : '';
-        const channelMatch = nextLine.match(/^-\s*YouTube\s*Channel:\s*([^(]+?)\s*\((https?:\/\/[^)]*)\)?\s*$/i);
-        
-        if (channelMatch) {
-          let channelName = channelMatch[1].trim();
-          let channelUrl = channelMatch[2] || '';
-          
-          // If URL is incomplete, try to reconstruct it
-          if (channelUrl && !channelUrl.includes('youtube.com')) {
-            channelUrl = `https://youtube.com/${channelName.replace(/\s+/g, '')}`;
-          } else if (!channelUrl) {
-            channelUrl = `https://youtube.com/${channelName.replace(/\s+/g, '')}`;
-          }
-          
-          parsedData.push({
-            skillNumber: skillNumber.toString(),
-            skillName: skillName,
-            days: days,
-            channel: channelName,
-            link: channelUrl,
-          });
-          skillNumber++;
-          i++; // Skip the next line since we processed it
+- prerequisites: ids of EARLIER topics that must be learned first (empty for the first topics).
+- subtopics: 3-6 short items per topic.
+- resources: 2-4 per topic, mixing types: "youtube" (popular Indian YouTube channels), "docs", "course", "book", "practice". Use real, well-known URLs only; leave url empty if unsure.
+${vettedChannels.length > 0 ? `- Prefer these vetted YouTube channels when one fits the topic: ${vettedChannels.join(', ')}.
+` : ''}
+- milestones: 1-2 mini-projects per phase that apply that phase's topics (list the topic ids they use).
+
+Return ONLY this JSON object (no markdown, no commentary):
+{
+  "valid": true,
+  "role": "[Role name]",
+  "phases": [
+    {
+      "level": "beginner",
+      "title": "[Phase title]",
+      "topics": [
+        {
+          "id": "[short-kebab-case-id]",
+          "name": "[Topic name]",
+          "days": 14,
+          "prerequisites": [],
+          "subtopics": ["..."],
+          "resources": [
+            { "type": "youtube", "title": "[Channel name]", "url": "https://youtube.com/..." },
+            { "type": "docs", "title": "[Resource title]", "url": "https://..." }
+          ]
         }
-      }
+      ],
+      "milestones": [
+        { "title": "[Mini-project]", "description": "[One sentence]", "topics": ["[topic-id]"] }
+      ]
     }
+  ]
+}
+`;
+  const response = await callLLM([{ role: 'user', content: prompt }], 4096, 'roadmap', signal);
+
+  // Same response the line-based format gave for rejected roles
+  if (/^\s*INVALID_ROLE\s*$/.test(response)) {
+    return { parsedData: [], rawResponse: 'INVALID_ROLE' };
+  }
+
+  let roadmapJson;
+  try {
+    roadmapJson = await parseModelJson(response, ROADMAP_SCHEMA, { repairProfile: 'roadmapRepair', signal });
+  } catch (parseError) {
+    console.warn('Roadmap JSON could not be parsed, returning raw response:', parseError.message);
+    return { parsedData: [], rawResponse: response };
+  }
+
+  if (!roadmapJson.valid || roadmapJson.phases.length === 0) {
+    return { parsedData: [], rawResponse: 'INVALID_ROLE' };
+  }
+
+  // parsedData keeps the original flat shape; roadmap carries phases, prerequisites, subtopics, milestones and resources
+  const roadmap = normalizeRoadmap(roadmapJson, role);
+
+  // Cache the result
+  await contextCache.set(cacheKey, { roadmap });
+  return withVerifiedResources({ roadmap });
+};
 
-    // Validate we got at least some data
-    if (parsedData.length === 0) {
-      console.warn('No skills parsed, returning raw response');
-      return res.json({ parsedData: [], rawResponse: cleanedText });
+// Skills to personalise against: an uploaded resume's skills section (any supported type) or a skills list /
+// comma-separated string. Returns null without either, or { error } for an empty resume.
+const readRoadmapSkills = async (req) => {
+  if (req.file) {
+    const resumeText = await readUploadedResume(req.file);
+    if (!resumeText.text || resumeText.text.length < 50) {
+      return { error: 'Resume content is too short or empty.' };
     }
+    const { skills, sectionText } = resumeText.parsed;
+    return { source: 'resume', skills: skills.all, text: sectionText.skills || skills.all.join(', ') };
+  }
+  const raw = req.body.skills;
+  const skills = (Array.isArray(raw) ? raw : (raw || '').toString().split(/[,\n]/))
+    .map(skill => skill.toString().trim())
+    .filter(Boolean);
+  return skills.length > 0 ? { source: 'skills', skills, text: skills.join(', ') } : null;
+};
+
+// hoursPerWeek / startDate (YYYY-MM-DD) from a request; defaults fill in what the caller left out
+const readScheduleOptions = (params, defaults = {}) => {
+  const hasHours = params.hoursPerWeek !== undefined && params.hoursPerWeek !== '';
+  const hoursPerWeek = hasHours ? Number(params.hoursPerWeek) : (defaults.hoursPerWeek || DEFAULT_HOURS_PER_WEEK);
+  if (!Number.isFinite(hoursPerWeek) || hoursPerWeek < 1 || hoursPerWeek > 100) {
+    return { error: 'hoursPerWeek must be a number between 1 and 100.' };
+  }
+  const startDate = (params.startDate || defaults.startDate || '').toString().trim();
+  if (startDate && (!/^\d{4}-\d{2}-\d{2}$/.test(startDate) || Number.isNaN(Date.parse(startDate)))) {
+    return { error: 'startDate must be a date in YYYY-MM-DD format.' };
+  }
+  return { hasHours, hoursPerWeek, startDate };
+};
 
-    const result = { parsedData };
+// Validated roadmap inputs from a request (multipart or JSON). Optional personalisation:
+// file (resume) or skills skip/shorten covered topics; hoursPerWeek and startDate (YYYY-MM-DD) add calendar dates.
+// Returns { input } or { error } (a 400 message).
+const readRoadmapRequest = async (req) => {
+  const { currentQuery } = req.body;
 
-    // Cache the result
-    contextCache.set(cacheKey, {
-      data: result,
-      timestamp: Date.now(),
-    });
+  if (!currentQuery || typeof currentQuery !== 'string' || !currentQuery.trim()) {
+    return { error: 'Job role is required.' };
+  }
+  const schedule = readScheduleOptions(req.body);
+  if (schedule.error) {
+    return { error: schedule.error };
+  }
+  const { hasHours, hoursPerWeek, startDate } = schedule;
 
-    res.json(result);
+  const userSkills = await readRoadmapSkills(req);
+  if (userSkills && userSkills.error) {
+    return { error: userSkills.error };
+  }
+  return { input: { role: currentQuery.trim(), userSkills, hasHours, hoursPerWeek, startDate } };
+};
+
+// { plan, base, customized } for readRoadmapRequest's input; plan is null when the role was rejected (see base.rawResponse)
+const buildRoadmapPlan = async ({ role, userSkills, hasHours, hoursPerWeek, startDate, signal }) => {
+  const base = await generateRoadmap(role, { signal });
+  const customized = Boolean(userSkills || hasHours || startDate);
+  if (!base.roadmap) {
+    return { plan: null, base, customized };
+  }
+
+  const personalized = userSkills
+    ? personalizeRoadmap(base.roadmap, { skills: userSkills.skills, skillsText: userSkills.text })
+    : { roadmap: base.roadmap, skipped: [], shortened: [] };
+  const roadmap = scheduleRoadmap(personalized.roadmap, { hoursPerWeek, startDate: startDate || new Date() });
+
+  const plan = {
+    parsedData: toLegacyParsedData(roadmap),
+    roadmap,
+    personalization: {
+      source: userSkills ? userSkills.source : null,
+      skills: userSkills ? userSkills.skills : [],
+      hoursPerWeek,
+      startDate: roadmap.startDate,
+      endDate: roadmap.endDate,
+      originalDays: base.roadmap.totalDays,
+      plannedDays: roadmap.totalDays,
+      skipped: personalized.skipped,
+      shortened: personalized.shortened,
+    },
+    resourceCheck: base.resourceCheck,
+  };
+  return { plan, base, customized };
+};
+
+// Shared roadmap request handling (see readRoadmapRequest for the inputs).
+// respond(res, plan, { req, base, customized }) sends the result; plan is null when the role was rejected (see base.rawResponse).
+const handleRoadmapRequest = (respond) => async (req, res) => {
+  // console.log('Roadmap Generation request')
+  let uploadedFilePath = req.file ? req.file.path : null;
+  try {
+    const { input, error } = await readRoadmapRequest(req);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const { plan, base, customized } = await buildRoadmapPlan(input);
+    await respond(res, plan, { req, base, customized });
   } catch (error) {
     console.error('Roadmap generation error:', error);
     res.status(500).json({ error: 'Error generating roadmap: ' + error.message });
+  } finally {
+    if (uploadedFilePath) {
+      fs.unlink(uploadedFilePath).catch(err => console.error('Cleanup error:', err));
+    }
+  }
+};
+
+// /generate-roadmap response: without personalisation inputs it is the cached base roadmap
+const selectRoadmapResponse = ({ plan, base, customized }) => (plan && customized ? plan : base);
+
+// Roadmap generation endpoint
+app.post('/generate-roadmap', upload.single('file'), handleRoadmapRequest((res, plan, { base, customized }) => {
+  res.json(selectRoadmapResponse({ plan, base, customized }));
+}));
+
+const sendRoadmapExport = (res, roadmap, format) => {
+  const { contentType, render } = ROADMAP_EXPORT_FORMATS[format];
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="Roadmap_${(roadmap.role || 'Learning').replace(/[^a-zA-Z0-9]/g, '_')}.${format}"`);
+  res.send(render(roadmap));
+};
+const getExportFormat = (params) => (params.format || 'ics').toString().trim().toLowerCase();
+const UNSUPPORTED_EXPORT_FORMAT = `Unsupported format. Use one of: ${Object.keys(ROADMAP_EXPORT_FORMATS).join(', ')}.`;
+
+// Export a /generate-roadmap result as ICS (default), CSV or Markdown: { roadmap } or legacy { parsedData },
+// plus optional currentQuery (role), startDate and hoursPerWeek. Topics are rescheduled from startDate (default today).
+app.post('/export-roadmap', (req, res) => {
+  try {
+    const format = getExportFormat({ ...req.query, ...req.body });
+    if (!Object.hasOwn(ROADMAP_EXPORT_FORMATS, format)) {
+      return res.status(400).json({ error: UNSUPPORTED_EXPORT_FORMAT });
+    }
+    const role = (req.body.currentQuery || (req.body.roadmap && req.body.roadmap.role) || '').toString().trim();
+    let roadmap;
+    if (req.body.roadmap && typeof req.body.roadmap === 'object') {
+      const { value, errors } = validateSchema({ ...req.body.roadmap, valid: true }, ROADMAP_SCHEMA);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid roadmap: ' + errors.slice(0, 5).join('; ') });
+      }
+      roadmap = normalizeRoadmap(value, role);
+    } else if (Array.isArray(req.body.parsedData)) {
+      roadmap = roadmapFromParsedData(req.body.parsedData, role);
+    } else {
+      return res.status(400).json({ error: 'Provide the roadmap (or parsedData) returned by /generate-roadmap.' });
+    }
+    if (roadmap.totalDays === 0) {
+      return res.status(400).json({ error: 'The roadmap has no topics with a day count.' });
+    }
+
+    // A scheduled roadmap keeps its own pace and start date unless the request overrides them
+    const schedule = readScheduleOptions(req.body, req.body.roadmap || {});
+    if (schedule.error) {
+      return res.status(400).json({ error: schedule.error });
+    }
+    const scheduled = scheduleRoadmap(roadmap, { hoursPerWeek: schedule.hoursPerWeek, startDate: schedule.startDate || new Date() });
+    sendRoadmapExport(res, scheduled, format);
+  } catch (error) {
+    console.error('Roadmap export error:', error);
+    res.status(500).json({ error: 'Error exporting roadmap: ' + error.message });
+  }
+});
+
+// Saved roadmaps with progress tracking. POST /roadmaps returns the user's token; send it back as X-User-Token
+// to save more roadmaps under the same user and to read or update them.
+const getUserToken = (req) => (req.get('X-User-Token') || '').toString().trim();
+const requireUserToken = (req, res, next) => {
+  const userToken = getUserToken(req);
+  if (!userToken) {
+    return res.status(401).json({ error: 'X-User-Token header is required.' });
+  }
+  req.userToken = userToken;
+  next();
+};
+
+// Generate (same inputs as /generate-roadmap) and save; always scheduled so progress has dates to compare against
+app.post('/roadmaps', upload.single('file'), handleRoadmapRequest(async (res, plan, { req, base }) => {
+  if (!plan) {
+    return res.status(422).json({ error: 'No roadmap could be generated for this role.', rawResponse: base.rawResponse });
+  }
+  const { record, token } = await roadmapStore.create(getUserToken(req), {
+    role: plan.roadmap.role,
+    roadmap: plan.roadmap,
+    personalization: plan.personalization,
+  });
+  res.status(201).json({ ...record, token });
+}));
+
+app.get('/roadmaps', requireUserToken, async (req, res) => {
+  try {
+    const roadmaps = await roadmapStore.list(req.userToken);
+    if (!roadmaps) {
+      return res.status(404).json({ error: 'Unknown X-User-Token.' });
+    }
+    res.json({ roadmaps });
+  } catch (error) {
+    console.error('Roadmap list error:', error);
+    res.status(500).json({ error: 'Error loading roadmaps: ' + error.message });
+  }
+});
+
+app.get('/roadmaps/:roadmapId', requireUserToken, async (req, res) => {
+  try {
+    const record = await roadmapStore.get(req.userToken, req.params.roadmapId);
+    if (!record) {
+      return res.status(404).json({ error: 'Roadmap not found.' });
+    }
+    res.json(record);
+  } catch (error) {
+    console.error('Roadmap load error:', error);
+    res.status(500).json({ error: 'Error loading roadmap: ' + error.message });
+  }
+});
+
+app.delete('/roadmaps/:roadmapId', requireUserToken, async (req, res) => {
+  try {
+    if (!(await roadmapStore.remove(req.userToken, req.params.roadmapId))) {
+      return res.status(404).json({ error: 'Roadmap not found.' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error('Roadmap delete error:', error);
+    res.status(500).json({ error: 'Error deleting roadmap: ' + error.message });
+  }
+});
+
+// Export a saved roadmap with its planned dates; completed topics are checked off in the Markdown checklist
+app.get('/roadmaps/:roadmapId/export', requireUserToken, async (req, res) => {
+  try {
+    const format = getExportFormat(req.query);
+    if (!Object.hasOwn(ROADMAP_EXPORT_FORMATS, format)) {
+      return res.status(400).json({ error: UNSUPPORTED_EXPORT_FORMAT });
+    }
+    const record = await roadmapStore.get(req.userToken, req.params.roadmapId);
+    if (!record) {
+      return res.status(404).json({ error: 'Roadmap not found.' });
+    }
+    sendRoadmapExport(res, record.roadmap, format);
+  } catch (error) {
+    console.error('Roadmap export error:', error);
+    res.status(500).json({ error: 'Error exporting roadmap: ' + error.message });
+  }
+});
+
+const sendTopicUpdate = (res, result) => {
+  if (result.error) {
+    return res.status(404).json({ error: result.error === 'topic' ? 'Topic not found in this roadmap.' : 'Roadmap not found.' });
+  }
+  res.json(result.record);
+};
+
+// Mark a topic not_started / started / completed
+app.put('/roadmaps/:roadmapId/topics/:topicId', requireUserToken, async (req, res) => {
+  try {
+    const status = (req.body.status || '').toString().trim().toLowerCase();
+    if (!TOPIC_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${TOPIC_STATUSES.join(', ')}.` });
+    }
+    sendTopicUpdate(res, await roadmapStore.setTopicStatus(req.userToken, req.params.roadmapId, req.params.topicId, status));
+  } catch (error) {
+    console.error('Roadmap progress error:', error);
+    res.status(500).json({ error: 'Error updating progress: ' + error.message });
+  }
+});
+
+// Log study hours against a topic: { hours, date?: YYYY-MM-DD, note? }
+app.post('/roadmaps/:roadmapId/topics/:topicId/hours', requireUserToken, async (req, res) => {
+  try {
+    const hours = Number(req.body.hours);
+    if (!Number.isFinite(hours) || hours <= 0 || hours > 24) {
+      return res.status(400).json({ error: 'hours must be a number greater than 0 and at most 24.' });
+    }
+    const date = (req.body.date || '').toString().trim();
+    if (date && (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date)))) {
+      return res.status(400).json({ error: 'date must be in YYYY-MM-DD format.' });
+    }
+    const note = (req.body.note || '').toString().trim().substring(0, 500);
+    sendTopicUpdate(res, await roadmapStore.logHours(req.userToken, req.params.roadmapId, req.params.topicId, { hours, date, note }));
+  } catch (error) {
+    console.error('Roadmap progress error:', error);
+    res.status(500).json({ error: 'Error logging hours: ' + error.message });
   }
 });
 
+const DEFAULT_INTERVIEW_QUESTIONS = 6;
+const MAX_INTERVIEW_QUESTIONS = 12;
+const MAX_ANSWER_LENGTH = 6000;
+
+const describeRubric = (type) => RUBRICS[type]
+  .map(criterion => `- ${criterion.id}: ${criterion.label}`)
+  .join('\n');
+
+const generateInterviewQuestions = async ({ role, difficulty, questionCount, resumeText }) => {
+  const technicalCount = Math.ceil(questionCount / 2);
+  const behaviouralCount = questionCount - technicalCount;
+  const prompt = `You are an experienced interviewer for the "${role}" role. Write a ${difficulty} mock interview with exactly ${technicalCount} technical and ${behaviouralCount} behavioural questions.
+${resumeText ? `
+CANDIDATE RESUME:
+${formatResumeForPrompt(resumeText, 3000)}
+
+Base at least half of the questions on the candidate's own projects and experience from the resume, and set "basedOn" to the project or role a question refers to.
+` : ''}
+Difficulty guide: easy = fundamentals and definitions; medium = applied problems and trade-offs; hard = system design, edge cases and deep follow-ups.
+
+Return ONLY a JSON object in EXACTLY this format (no markdown, no extra text):
+{
+  "questions": [
+    {
+      "type": "technical",
+      "question": "<question text>",
+      "topic": "<short topic, e.g. SQL joins or Conflict resolution>",
+      "basedOn": "<resume project/role this refers to, or empty string>",
+      "keyPoints": ["<point a strong answer covers>", "..."]
+    }
+  ]
+}
+
+Rules:
+- "type" is "technical" or "behavioural".
+- 3 to 5 keyPoints per question; they are used to grade the answer and are not shown to the candidate beforehand.
+- One question per item; no numbering inside the question text.`;
+
+  const response = await callLLM([{ role: 'user', content: prompt }], 2000, 'interviewQuestions');
+  const { questions } = await parseModelJson(response, INTERVIEW_QUESTIONS_SCHEMA);
+  return questions.slice(0, questionCount);
+};
+
+const evaluateInterviewAnswer = async ({ session, question, answer }) => {
+  const prompt = `You are grading a ${session.difficulty} mock interview for the "${session.role}" role.
+
+QUESTION (${question.type}): ${question.question}
+KEY POINTS A STRONG ANSWER COVERS:
+${question.keyPoints.length > 0 ? question.keyPoints.map(point => `- ${point}`).join('\n') : '- (none given; use your judgement)'}
+
+CANDIDATE ANSWER:
+${answer}
+
+Score each rubric criterion from 0 to 10 (0 = missing, 5 = adequate, 10 = excellent) for the ${session.difficulty} level:
+${describeRubric(question.type)}
+
+Return ONLY a JSON object in EXACTLY this format (no markdown, no extra text):
+{
+  "scores": { ${RUBRICS[question.type].map(criterion => `"${criterion.id}": <0-10>`).join(', ')} },
+  "feedback": "<2-4 sentences of specific feedback addressed to the candidate>",
+  "strengths": ["<what the answer did well>"],
+  "improvements": ["<concrete thing to add or change>"],
+  "modelAnswer": "<a concise strong answer>"
+}
+
+Grade only what the candidate wrote; an empty, off-topic or very short answer scores low.`;
+
+  const response = await callLLM([{ role: 'user', content: prompt }], 1200, 'interviewEvaluation');
+  return await parseModelJson(response, rubricSchemaFor(question.type));
+};
+
+// Deterministic scores always; the narrative comes from the model and falls back to the weak areas computed here
+const buildInterviewReport = async (session) => {
+  const scores = summarizeScores(session);
+  const fallback = {
+    summary: `Answered ${scores.answered} of ${scores.total} questions with an overall score of ${scores.overall}/100.`,
+    strengths: scores.criteria.filter(entry => entry.score >= 70).map(entry => entry.label),
+    weakAreas: [...scores.weakCriteria, ...scores.weakTopics],
+    recommendations: [],
+  };
+  if (scores.answered === 0) {
+    return { scores, ...fallback };
+  }
+
+  const transcript = session.questions
+    .filter(question => question.evaluation)
+    .map(question => `[${question.type}${question.topic ? ` · ${question.topic}` : ''}] ${question.question}
+Score: ${question.evaluation.overall}/100
+Feedback: ${question.evaluation.feedback}`)
+    .join('\n\n');
+  const prompt = `Summarise this ${session.difficulty} mock interview for the "${session.role}" role.
+
+PER-QUESTION RESULTS:
+${transcript}
+
+COMPUTED SCORES (use these, do not change them):
+Overall: ${scores.overall}/100
+${scores.criteria.map(entry => `${entry.label}: ${entry.score}/100`).join('\n')}
+
+Return ONLY a JSON object in EXACTLY this format (no markdown, no extra text):
+{
+  "summary": "<3-4 sentence overall assessment>",
+  "strengths": ["<strength>"],
+  "weakAreas": ["<weak area>"],
+  "recommendations": ["<specific next step to prepare>"]
+}`;
+
+  try {
+    const response = await callLLM([{ role: 'user', content: prompt }], 1000, 'interviewReport');
+    return { scores, ...(await parseModelJson(response, INTERVIEW_REPORT_SCHEMA)) };
+  } catch (error) {
+    console.error('Interview report summary failed, using computed summary:', error.message);
+    return { scores, ...fallback };
+  }
+};
+
+const getInterviewOr404 = (req, res) => {
+  const session = interviews.get(req.params.interviewId);
+  if (!session) {
+    res.status(404).json({ error: 'Interview not found or expired.' });
+  }
+  return session;
+};
+
+// Start a mock interview: role, difficulty (easy/medium/hard), questionCount and an optional resume (file)
+app.post('/interviews', upload.single('file'), async (req, res) => {
+  let uploadedFilePath = req.file ? req.file.path : null;
+  try {
+    const role = (req.body.role || req.body.jobRole || '').toString().trim();
+    const difficulty = (req.body.difficulty || 'medium').toString().trim().toLowerCase();
+    const questionCount = req.body.questionCount === undefined || req.body.questionCount === ''
+      ? DEFAULT_INTERVIEW_QUESTIONS
+      : Number(req.body.questionCount);
+
+    if (!role) {
+      return res.status(400).json({ error: 'Job role is required.' });
+    }
+    if (!INTERVIEW_DIFFICULTIES.includes(difficulty)) {
+      return res.status(400).json({ error: `difficulty must be one of: ${INTERVIEW_DIFFICULTIES.join(', ')}.` });
+    }
+    if (!Number.isInteger(questionCount) || questionCount < 2 || questionCount > MAX_INTERVIEW_QUESTIONS) {
+      return res.status(400).json({ error: `questionCount must be a whole number from 2 to ${MAX_INTERVIEW_QUESTIONS}.` });
+    }
+
+    let resumeText = null;
+    if (req.file) {
+      resumeText = await readUploadedResume(req.file);
+      if (!resumeText.text || resumeText.text.length < 50) {
+        return res.status(400).json({ error: 'Resume content is too short or empty.' });
+      }
+    }
+
+    const questions = await generateInterviewQuestions({ role, difficulty, questionCount, resumeText });
+    const session = interviews.create({ role, difficulty, usedResume: Boolean(resumeText), questions });
+    res.status(201).json(interviews.describe(session));
+  } catch (error) {
+    console.error('Interview start error:', error);
+    res.status(500).json({ error: 'Error starting interview: ' + error.message });
+  } finally {
+    if (uploadedFilePath) {
+      fs.unlink(uploadedFilePath).catch(err => console.error('Cleanup error:', err));
+    }
+  }
+});
+
+app.get('/interviews/:interviewId', (req, res) => {
+  const session = getInterviewOr404(req, res);
+  if (session) res.json(interviews.describe(session));
+});
+
+app.delete('/interviews/:interviewId', (req, res) => {
+  if (!interviews.remove(req.params.interviewId)) {
+    return res.status(404).json({ error: 'Interview not found or expired.' });
+  }
+  res.status(204).end();
+});
+
+// Submit an answer: { questionId?, answer }; questionId defaults to the next unanswered question
+app.post('/interviews/:interviewId/answers', async (req, res) => {
+  try {
+    const session = getInterviewOr404(req, res);
+    if (!session) return;
+    if (session.status === 'completed') {
+      return res.status(409).json({ error: 'This interview is already completed.' });
+    }
+
+    const answer = (req.body.answer || '').toString().trim();
+    if (!answer) {
+      return res.status(400).json({ error: 'answer is required.' });
+    }
+    if (answer.length > MAX_ANSWER_LENGTH) {
+      return res.status(400).json({ error: `answer must be at most ${MAX_ANSWER_LENGTH} characters.` });
+    }
+    const questionId = (req.body.questionId || '').toString().trim();
+    const question = questionId
+      ? session.questions.find(item => item.id === questionId)
+      : session.questions.find(item => !item.evaluation);
+    if (!question) {
+      return res.status(404).json({ error: questionId ? 'Question not found in this interview.' : 'All questions have been answered.' });
+    }
+    if (question.evaluation) {
+      return res.status(409).json({ error: 'This question has already been answered.' });
+    }
+    if (!interviews.beginAnswer(session, question.id)) {
+      return res.status(409).json({ error: 'An answer to this question is already being evaluated.' });
+    }
+
+    let answered;
+    try {
+      const evaluation = await evaluateInterviewAnswer({ session, question, answer });
+      answered = interviews.recordEvaluation(session, question.id, answer, evaluation);
+    } finally {
+      interviews.endAnswer(session, question.id);
+    }
+    const { nextQuestion, progress } = interviews.describe(session);
+    res.json({
+      question: interviews.publicQuestion(answered),
+      rubric: RUBRICS[answered.type],
+      progress,
+      nextQuestion,
+    });
+  } catch (error) {
+    console.error('Interview evaluation error:', error);
+    res.status(500).json({ error: 'Error evaluating answer: ' + error.message });
+  }
+});
+
+// Finish the interview (unanswered questions are left out of the scores) and return the final report
+app.post('/interviews/:interviewId/report', async (req, res) => {
+  try {
+    const session = getInterviewOr404(req, res);
+    if (!session) return;
+    if (!session.report) {
+      interviews.complete(session, await buildInterviewReport(session));
+    }
+    res.json({ id: session.id, role: session.role, difficulty: session.difficulty, report: session.report });
+  } catch (error) {
+    console.error('Interview report error:', error);
+    res.status(500).json({ error: 'Error generating interview report: ' + error.message });
+  }
+});
+
+// Background jobs for the slow generation endpoints. POST /jobs/:type takes the same inputs as the synchronous route
+// and answers 202 with a job id; poll GET /jobs/:jobId, then GET /jobs/:jobId/result. POST /jobs/:jobId/cancel stops it.
+// run(input) returns the job result; sendResult (optional, default JSON) answers GET /jobs/:jobId/result.
+const JOB_TYPES = {
+  // Same inputs as /generate-ideal-resume; the document is rendered on retrieval (format=json returns the data instead)
+  'ideal-resume': {
+    readRequest: readIdealResumeRequest,
+    run: async (input, { signal }) => {
+      const result = await generateIdealResume({ ...input, signal });
+      if (!result) {
+        throw new Error('Error processing resume enhancement.');
+      }
+      return { jobRole: input.jobRole, renderOptions: input.renderOptions, ...result };
+    },
+    sendResult: async (req, res, { jobRole, renderOptions, resumeData, audit }) => {
+      const format = (req.query.format || renderOptions.format).toString().trim().toLowerCase();
+      if (format === 'json') {
+        return res.json({ jobRole, resumeData, audit });
+      }
+      if (!Object.hasOwn(RESUME_DOCUMENT_FORMATS, format)) {
+        return res.status(400).json({ error: `Unsupported format. Use one of: json, ${Object.keys(RESUME_DOCUMENT_FORMATS).join(', ')}.` });
+      }
+      await sendResumeDocument(res, resumeData, jobRole, { ...renderOptions, format }, audit);
+    },
+  },
+  // Same inputs and result as /upload-file
+  analysis: {
+    readRequest: readAnalysisRequest,
+    run: async (input, { signal }) => {
+      const result = await analyzeResume({ ...input, signal });
+      if (!result) {
+        throw new Error('Error processing resume analysis.');
+      }
+      return result;
+    },
+  },
+  // Same inputs and result as /generate-roadmap
+  roadmap: {
+    readRequest: readRoadmapRequest,
+    run: async (input, { signal }) => selectRoadmapResponse(await buildRoadmapPlan({ ...input, signal })),
+  },
+};
+
+// JOB_CONCURRENCY jobs at a time, JOB_MAX_ATTEMPTS tries each with backoff from JOB_RETRY_DELAY_MS;
+// JOB_QUEUE_DIR keeps queued jobs and results across restarts
+const jobQueue = createJobQueue({
+  handlers: Object.fromEntries(Object.entries(JOB_TYPES).map(([type, { run }]) => [type, run])),
+  concurrency: Number(process.env.JOB_CONCURRENCY) || undefined,
+  maxAttempts: Number(process.env.JOB_MAX_ATTEMPTS) || undefined,
+  retryDelay: Number(process.env.JOB_RETRY_DELAY_MS) || undefined,
+  ttl: Number(process.env.JOB_TTL_MS) || undefined,
+  directory: process.env.JOB_QUEUE_DIR || null,
+});
+
+app.post('/jobs/:type', upload.single('file'), async (req, res) => {
+  const uploadedFilePath = req.file ? req.file.path : null;
+  try {
+    const jobType = Object.hasOwn(JOB_TYPES, req.params.type) ? JOB_TYPES[req.params.type] : null;
+    if (!jobType) {
+      return res.status(404).json({ error: `Unknown job type. Use one of: ${Object.keys(JOB_TYPES).join(', ')}.` });
+    }
+    const { input, error } = await jobType.readRequest(req);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const job = await jobQueue.enqueue(req.params.type, input);
+    res.status(202).location(`/jobs/${job.id}`).json(jobQueue.describe(job));
+  } catch (error) {
+    console.error('Job submission error:', error);
+    res.status(500).json({ error: 'Error queuing job: ' + error.message });
+  } finally {
+    // The job keeps the extracted text, not the upload
+    if (uploadedFilePath) {
+      fs.unlink(uploadedFilePath).catch(err => console.error('Cleanup error:', err));
+    }
+  }
+});
+
+app.get('/jobs/:jobId', async (req, res) => {
+  const job = await jobQueue.get(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found.' });
+  }
+  res.json(jobQueue.describe(job));
+});
+
+const JOB_NOT_READY_ERRORS = {
+  queued: 'Job has not finished yet.',
+  running: 'Job has not finished yet.',
+  cancelled: 'Job was cancelled.',
+};
+
+app.get('/jobs/:jobId/result', async (req, res) => {
+  try {
+    const job = await jobQueue.get(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found.' });
+    }
+    if (job.status !== 'completed') {
+      const error = job.status === 'failed' ? `Job failed: ${job.error}` : JOB_NOT_READY_ERRORS[job.status];
+      return res.status(409).json({ error, status: job.status });
+    }
+    const { sendResult } = JOB_TYPES[job.type];
+    if (sendResult) {
+      return await sendResult(req, res, job.result);
+    }
+    res.json(job.result);
+  } catch (error) {
+    console.error('Job result error:', error);
+    res.status(500).json({ error: 'Error sending job result: ' + error.message });
+  }
+});
+
+app.post('/jobs/:jobId/cancel', async (req, res) => {
+  const job = await jobQueue.get(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found.' });
+  }
+  if (!jobQueue.cancel(job)) {
+    return res.status(409).json({ error: 'Job has already finished.', status: job.status });
+  }
+  res.json(jobQueue.describe(job));
+});
+
 // Health check endpoint
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
   res.json({ 
     status: 'ok',
     uptime: process.uptime(),
-    cacheSize: contextCache.size,
+    cache: await contextCache.stats(),
+    chatSessions: chatSessions.size(),
+    interviews: interviews.size(),
+    batchAnalyses: batchAnalyses.size(),
+    jobs: jobQueue.stats(),
   });
 });
 
@@ -1214,6 +2546,12 @@ app.use((err, req, res, next) => {
     if (err.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({ error: 'File too large (max 10MB)' });
     }
+    if (err.code === 'LIMIT_FILE_COUNT') {
+      return res.status(400).json({ error: 'Too many files in one upload' });
+    }
+  }
+  if (err.code === 'UNSUPPORTED_FILE_TYPE') {
+    return res.status(400).json({ error: err.message });
   }
   
   res.status(500).json({ error: 'Internal server error' });
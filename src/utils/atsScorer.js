@@ -0,0 +1,262 @@
+// Deterministic, rule-based ATS scoring.
+// Works only from the extracted resume text, so the same file and job role always produce the same score.
+
+const {
+  EMAIL_REGEX,
+  PROFILE_REGEX,
+  BULLET_REGEX,
+  DATE_RANGE_REGEX,
+  toLines,
+  hasPhoneNumber,
+  detectSections,
+  parseResume,
+} = require('./resumeParser');
+
+// Sections the ATS rule scores; "additional" blocks (awards, languages, ...) are not counted
+const SCORED_SECTIONS = ['summary', 'experience', 'education', 'skills', 'projects', 'certifications'];
+const REQUIRED_SECTIONS = ['experience', 'education', 'skills'];
+
+const ROLE_KEYWORDS = {
+  software: ['data structures', 'algorithms', 'git', 'api', 'sql', 'testing', 'oop', 'java', 'python', 'javascript', 'system design', 'agile'],
+  frontend: ['html', 'css', 'javascript', 'typescript', 'react', 'responsive', 'redux', 'next.js', 'accessibility', 'git', 'api'],
+  backend: ['node.js', 'express', 'api', 'rest', 'sql', 'mongodb', 'docker', 'microservices', 'authentication', 'caching', 'git'],
+  fullstack: ['html', 'css', 'javascript', 'react', 'node.js', 'express', 'mongodb', 'sql', 'rest', 'api', 'git', 'deployment'],
+  data: ['python', 'sql', 'excel', 'pandas', 'numpy', 'statistics', 'visualization', 'tableau', 'power bi', 'data cleaning', 'dashboard'],
+  ml: ['python', 'machine learning', 'deep learning', 'tensorflow', 'pytorch', 'scikit-learn', 'nlp', 'pandas', 'numpy', 'model', 'statistics'],
+  devops: ['linux', 'docker', 'kubernetes', 'ci/cd', 'jenkins', 'aws', 'terraform', 'ansible', 'monitoring', 'git', 'bash'],
+  cloud: ['aws', 'azure', 'gcp', 'cloud', 'docker', 'kubernetes', 'terraform', 'networking', 'linux', 'iam', 'serverless'],
+  security: ['network security', 'siem', 'vulnerability', 'penetration testing', 'firewall', 'linux', 'incident response', 'owasp', 'encryption', 'python'],
+  mobile: ['android', 'ios', 'kotlin', 'swift', 'flutter', 'react native', 'firebase', 'api', 'git', 'ui'],
+};
+const ROLE_MATCHERS = [
+  { pattern: /front\s*-?end|ui\s+developer|react/i, key: 'frontend' },
+  { pattern: /back\s*-?end|node|api\s+developer/i, key: 'backend' },
+  { pattern: /full\s*-?stack|mern|web\s+developer/i, key: 'fullstack' },
+  { pattern: /machine\s+learning|\bml\b|\bai\b|deep\s+learning|nlp/i, key: 'ml' },
+  { pattern: /data\s+(analyst|scien|engineer)|\bda\b|\bds\b|analytics|business\s+analyst/i, key: 'data' },
+  { pattern: /devops|sre|site\s+reliability/i, key: 'devops' },
+  { pattern: /cloud|aws|azure/i, key: 'cloud' },
+  { pattern: /security|cyber|soc\b|pentest/i, key: 'security' },
+  { pattern: /android|ios|mobile|flutter/i, key: 'mobile' },
+  { pattern: /software|developer|engineer|\bswe\b|programmer/i, key: 'software' },
+];
+const ROLE_STOPWORDS = new Set(['and', 'or', 'the', 'of', 'for', 'in', 'a', 'an', 'junior', 'senior', 'intern', 'fresher', 'entry', 'level', 'lead', 'associate', 'trainee']);
+
+const MONTH = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+const DATE_FORMATS = [
+  { id: 'month-year', regex: new RegExp(`\\b${MONTH}\\s+\\d{4}\\b`, 'gi') },
+  { id: 'numeric', regex: /\b(?:0?[1-9]|1[0-2])[/.-](?:\d{4}|\d{2})\b/g },
+];
+const QUANTIFIED_REGEX = /(\d+(?:\.\d+)?\s*%|\b\d+(?:\.\d+)?\s*(?:x|k|m|lakh|crore|\+)(?![a-z])|[$₹€£]\s*\d|\b\d{2,}\b\s+(?:users|clients|customers|students|requests|members|projects|downloads|hours))/i;
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const resolveRoleKeywords = (jobRole) => {
+  const match = ROLE_MATCHERS.find(({ pattern }) => pattern.test(jobRole || ''));
+  const roleTokens = (jobRole || '')
+    .toLowerCase()
+    .split(/[^a-z0-9+#.]+/)
+    .filter(token => token.length > 1 && !ROLE_STOPWORDS.has(token));
+  const base = match ? ROLE_KEYWORDS[match.key] : [];
+  return { category: match ? match.key : 'generic', keywords: Array.from(new Set([...base, ...roleTokens])) };
+};
+
+const containsKeyword = (haystack, keyword) => {
+  const pattern = new RegExp(`(^|[^a-z0-9])${escapeRegex(keyword)}($|[^a-z0-9])`, 'i');
+  return pattern.test(haystack);
+};
+
+// Each rule returns { score: 0..1, details: [..] }
+const RULES = [
+  {
+    id: 'sections',
+    label: 'Standard section headings',
+    weight: 20,
+    evaluate: ({ sections }) => {
+      const present = Object.keys(sections);
+      const missingRequired = REQUIRED_SECTIONS.filter(section => !present.includes(section));
+      const optionalFound = present.filter(section => !REQUIRED_SECTIONS.includes(section));
+      const score = clamp01(((REQUIRED_SECTIONS.length - missingRequired.length) / REQUIRED_SECTIONS.length) * 0.8
+        + Math.min(optionalFound.length, 2) * 0.1);
+      const details = [`Detected sections: ${present.length ? present.join(', ') : 'none'}`];
+      if (missingRequired.length) {
+        details.push(`Missing standard headings: ${missingRequired.join(', ')}`);
+      }
+      return { score, details };
+    },
+  },
+  {
+    id: 'contact',
+    label: 'Contact information',
+    weight: 10,
+    evaluate: ({ text }) => {
+      const checks = [
+        { name: 'email', ok: EMAIL_REGEX.test(text) },
+        { name: 'phone', ok: hasPhoneNumber(text) },
+        { name: 'LinkedIn/GitHub/portfolio link', ok: PROFILE_REGEX.test(text) },
+      ];
+      const score = (checks[0].ok ? 0.4 : 0) + (checks[1].ok ? 0.4 : 0) + (checks[2].ok ? 0.2 : 0);
+      const missing = checks.filter(check => !check.ok).map(check => check.name);
+      return {
+        score,
+        details: missing.length ? [`Missing: ${missing.join(', ')}`] : ['Email, phone and profile link found'],
+      };
+    },
+  },
+  {
+    id: 'bullets',
+    label: 'Bullet point usage',
+    weight: 10,
+    evaluate: ({ lines }) => {
+      const bulletLines = lines.filter(line => BULLET_REGEX.test(line)).length;
+      const longLines = lines.filter(line => line.length > 120 && !BULLET_REGEX.test(line)).length;
+      if (bulletLines === 0) {
+        return { score: 0.2, details: ['No bullet points detected; ATS parsers and recruiters scan bullets more reliably than paragraphs'] };
+      }
+      const score = clamp01(Math.min(bulletLines / 8, 1) - Math.min(longLines * 0.05, 0.3));
+      const details = [`${bulletLines} bullet lines detected`];
+      if (longLines) details.push(`${longLines} long paragraph lines could be split into bullets`);
+      return { score, details };
+    },
+  },
+  {
+    id: 'dates',
+    label: 'Date formatting consistency',
+    weight: 10,
+    evaluate: ({ text }) => {
+      const counts = DATE_FORMATS.map(format => ({ id: format.id, count: (text.match(format.regex) || []).length }));
+      const monthYear = counts.find(entry => entry.id === 'month-year').count;
+      const numeric = counts.find(entry => entry.id === 'numeric').count;
+      const ranges = (text.match(DATE_RANGE_REGEX) || []).length;
+      const total = monthYear + numeric;
+      if (total === 0 && ranges === 0) {
+        return { score: 0.4, details: ['No dates found; add start and end dates to experience and education'] };
+      }
+      const dominant = Math.max(monthYear, numeric);
+      const consistency = total === 0 ? 1 : dominant / total;
+      const details = [`${ranges} date ranges found`];
+      if (consistency < 1) details.push('Mixed date formats (e.g. "Jan 2023" and "01/2023"); use one format throughout');
+      return { score: clamp01(consistency * 0.7 + (ranges > 0 ? 0.3 : 0)), details };
+    },
+  },
+  {
+    id: 'quantified',
+    label: 'Quantified achievements',
+    weight: 15,
+    evaluate: ({ lines }) => {
+      const quantified = lines.filter(line => QUANTIFIED_REGEX.test(line)).length;
+      return {
+        score: clamp01(quantified / 5),
+        details: [quantified
+          ? `${quantified} lines include measurable results`
+          : 'No measurable results found; add numbers, percentages or scale where they are true'],
+      };
+    },
+  },
+  {
+    id: 'keywords',
+    label: 'Role keyword coverage',
+    weight: 25,
+    evaluate: ({ text, roleKeywords }) => {
+      const { keywords, category } = roleKeywords;
+      if (keywords.length === 0) {
+        return { score: 0.5, details: ['No keyword set available for this role'], matched: [], missing: [] };
+      }
+      const lowered = text.toLowerCase();
+      const matched = keywords.filter(keyword => containsKeyword(lowered, keyword));
+      const missing = keywords.filter(keyword => !matched.includes(keyword));
+      const details = [`Matched ${matched.length}/${keywords.length} ${category} keywords`];
+      if (missing.length) details.push(`Missing: ${missing.slice(0, 8).join(', ')}`);
+      return { score: clamp01(matched.length / Math.max(keywords.length * 0.7, 1)), details, matched, missing };
+    },
+  },
+  {
+    id: 'extraction',
+    label: 'Text extraction quality',
+    weight: 10,
+    evaluate: ({ rawText, lines, numPages }) => {
+      const issues = [];
+      let score = 1;
+      const charsPerPage = rawText.length / Math.max(numPages || 1, 1);
+      if (charsPerPage < 300) {
+        issues.push('Very little extractable text; the PDF may be image-based or scanned');
+        score -= 0.6;
+      }
+      const shortLines = lines.filter(line => line.length <= 3).length;
+      if (lines.length > 20 && shortLines / lines.length > 0.2) {
+        issues.push('Many fragmented lines; the layout may split words or use text boxes');
+        score -= 0.2;
+      }
+      // Multi-column layouts extract as long runs of wide gaps or interleaved short lines
+      const gapLines = lines.filter(line => / {4,}|\t/.test(line)).length;
+      const averageLength = lines.reduce((sum, line) => sum + line.length, 0) / Math.max(lines.length, 1);
+      if ((lines.length > 20 && gapLines / lines.length > 0.15) || (lines.length > 40 && averageLength < 25)) {
+        issues.push('Possible multi-column or table layout; ATS may read columns out of order');
+        score -= 0.3;
+      }
+      const unreadable = (rawText.match(/[�\u0000-\u0008]/g) || []).length;
+      if (unreadable > 5) {
+        issues.push('Unreadable characters found; embedded fonts may not extract cleanly');
+        score -= 0.2;
+      }
+      const glued = (rawText.match(/[a-z]{3,}[A-Z][a-z]{3,}/g) || []).length;
+      if (glued > 10) {
+        issues.push('Words run together in extracted text; check spacing and fonts');
+        score -= 0.1;
+      }
+      return { score: clamp01(score), details: issues.length ? issues : ['Text extracts cleanly'] };
+    },
+  },
+];
+
+// Score a resume from extracted text (see resumeText.js). `text` is the normalized text, `rawText` the unnormalized
+// extraction; pass `parsed` (parseResume output) to reuse an existing parse.
+const scoreResume = ({ rawText = '', text = '', numPages = 1, jobRole = '', parsed = parseResume(rawText) }) => {
+  const lines = toLines(rawText);
+  const sections = {};
+  Object.entries(parsed.sections)
+    .filter(([section]) => SCORED_SECTIONS.includes(section))
+    .forEach(([section, { line }]) => {
+      sections[section] = line;
+    });
+  const context = {
+    rawText,
+    text: text || rawText,
+    lines,
+    numPages,
+    sections,
+    roleKeywords: resolveRoleKeywords(jobRole),
+  };
+
+  const totalWeight = RULES.reduce((sum, rule) => sum + rule.weight, 0);
+  const rules = RULES.map(rule => {
+    const { score, details, ...extra } = rule.evaluate(context);
+    return {
+      id: rule.id,
+      label: rule.label,
+      weight: rule.weight,
+      score: Math.round(score * 100),
+      points: Math.round(score * rule.weight * 10) / 10,
+      details,
+      ...extra,
+    };
+  });
+  const score = Math.round(rules.reduce((sum, rule) => sum + (rule.score / 100) * rule.weight, 0) / totalWeight * 100);
+
+  return { score, rules };
+};
+
+// Short plain-text summary of the rule results for use in prompts
+const describeAtsResult = (result) => result.rules
+  .map(rule => `- ${rule.label}: ${rule.score}/100 (${rule.details.join('; ')})`)
+  .join('\n');
+
+module.exports = {
+  scoreResume,
+  describeAtsResult,
+  detectSections,
+  resolveRoleKeywords,
+  containsKeyword,
+  ROLE_KEYWORDS,
+};
@@ -0,0 +1,262 @@
+// Batch resume analysis for placement cells and recruiters: many resumes (or a zip of them) against one role or
+// job description, analysed a few at a time in the background. Jobs live in memory like chat and interview
+// sessions; the ranked table is polled by job id and exported as CSV or XLSX.
+
+const crypto = require('crypto');
+const JSZip = require('jszip');
+const { detectResumeFileType } = require('./resumeText');
+const { inflateEntry } = require('./zipEntries');
+const { createCsv, createXlsx } = require('./spreadsheet');
+
+const DEFAULT_BATCH_TTL = 24 * 60 * 60 * 1000; // results are kept for a day after the last update
+const DEFAULT_MAX_BATCHES = 100;
+const MAX_BATCH_RESUMES = 100;
+const MAX_ZIP_ENTRY_BYTES = 10 * 1024 * 1024; // same as a single upload
+const MAX_ZIP_TOTAL_BYTES = 100 * 1024 * 1024;
+const TOP_GAPS = 3;
+const GAP_KEYWORDS = 5;
+
+// A resume extension wins over a zip mimetype
+const isZipUpload = ({ originalname = '', mimetype = '' } = {}) => originalname.toLowerCase().endsWith('.zip')
+  || (['application/zip', 'application/x-zip-compressed'].includes(mimetype) && !detectResumeFileType({ originalname }));
+
+// Resumes inside a zip as [{ name, type, buffer }]; folders, macOS metadata and other file types are skipped.
+// Entries are inflated with a running byte count, so a zip bomb is cut off at the limit instead of read whole.
+const readZipResumes = async (buffer) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const resumes = [];
+  const skipped = [];
+  let totalBytes = 0;
+  for (const entry of Object.values(zip.files)) {
+    const name = entry.name.split('/').pop();
+    if (entry.dir || !name || name.startsWith('.') || entry.name.startsWith('__MACOSX/')) continue;
+    const type = detectResumeFileType({ originalname: name });
+    if (!type) {
+      skipped.push({ file: entry.name, reason: 'unsupported file type' });
+      continue;
+    }
+    const remainingBytes = MAX_ZIP_TOTAL_BYTES - totalBytes;
+    const inflated = await inflateEntry(entry, Math.min(MAX_ZIP_ENTRY_BYTES, remainingBytes));
+    if (!inflated) {
+      if (remainingBytes <= MAX_ZIP_ENTRY_BYTES) {
+        throw new Error(`Zip contents are too large (max ${MAX_ZIP_TOTAL_BYTES / (1024 * 1024)}MB uncompressed)`);
+      }
+      skipped.push({ file: entry.name, reason: 'file too large' });
+      continue;
+    }
+    totalBytes += inflated.length;
+    resumes.push({ name: entry.name, type, buffer: inflated });
+  }
+  return { resumes, skipped };
+};
+
+// run(task) starts task once fewer than `limit` tasks are running across every caller, in arrival order,
+// and resolves with its result
+const createLimiter = (limit) => {
+  let running = 0;
+  const waiting = [];
+  const next = () => {
+    if (running >= limit || waiting.length === 0) return;
+    running++;
+    const { task, resolve, reject } = waiting.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        running--;
+        next();
+      });
+  };
+  return (task) => new Promise((resolve, reject) => {
+    waiting.push({ task, resolve, reject });
+    next();
+  });
+};
+
+// Biggest gaps first: required JD skills the resume lacks, role keywords the ATS check missed, then the
+// model's own improvement list
+const pickTopGaps = ({ jobDescriptionMatch, ats, improvements = [] }) => {
+  const gaps = [];
+  if (jobDescriptionMatch && jobDescriptionMatch.missingRequired.length > 0) {
+    gaps.push(`Missing required skills: ${jobDescriptionMatch.missingRequired.slice(0, GAP_KEYWORDS).join(', ')}`);
+  }
+  const keywordRule = ats && ats.rules.find(rule => rule.id === 'keywords');
+  if (keywordRule && keywordRule.missing.length > 0) {
+    gaps.push(`Missing role keywords: ${keywordRule.missing.slice(0, GAP_KEYWORDS).join(', ')}`);
+  }
+  return [...gaps, ...improvements].slice(0, TOP_GAPS);
+};
+
+// With a job description candidates are ranked by JD match first; otherwise by the overall score.
+// ATS compatibility breaks ties, and failed resumes go last without a rank.
+const rankCandidates = (candidates, { byJobDescription }) => {
+  const key = (candidate) => [
+    byJobDescription && candidate.jobDescriptionMatch ? candidate.jobDescriptionMatch.matchPercentage : 0,
+    candidate.scores.overall,
+    candidate.scores.atsCompatibility,
+  ];
+  const completed = candidates
+    .filter(candidate => candidate.status === 'completed')
+    .sort((a, b) => {
+      const [keyA, keyB] = [key(a), key(b)];
+      const index = keyA.findIndex((value, i) => value !== keyB[i]);
+      return index === -1 ? a.index - b.index : keyB[index] - keyA[index];
+    });
+  const rest = candidates.filter(candidate => candidate.status !== 'completed');
+  return [
+    ...completed.map((candidate, position) => ({ rank: position + 1, ...candidate })),
+    ...rest.map(candidate => ({ rank: null, ...candidate })),
+  ];
+};
+
+const createBatchStore = ({ ttl = DEFAULT_BATCH_TTL, maxBatches = DEFAULT_MAX_BATCHES } = {}) => {
+  const batches = new Map();
+
+  const isExpired = (batch, now = Date.now()) => now - batch.updatedAt > ttl;
+
+  // A dropped batch is marked cancelled so its resumes that haven't started are never sent to the model
+  const drop = (id) => {
+    const batch = batches.get(id);
+    if (!batch) return false;
+    batch.status = 'cancelled';
+    return batches.delete(id);
+  };
+
+  const cleanup = () => {
+    const now = Date.now();
+    for (const [id, batch] of batches.entries()) {
+      if (isExpired(batch, now)) drop(id);
+    }
+  };
+  const cleanupInterval = setInterval(cleanup, Math.min(ttl, 60 * 60 * 1000));
+  cleanupInterval.unref();
+
+  // files: [{ name }] in upload order; skipped: zip entries that were not read
+  const create = ({ jobRole, jobDescription, files, skipped = [] }) => {
+    if (batches.size >= maxBatches) {
+      drop(batches.keys().next().value);
+    }
+    const now = Date.now();
+    const batch = {
+      id: crypto.randomUUID(),
+      jobRole,
+      jobDescription,
+      jobTitle: '',
+      status: 'queued',
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null,
+      skipped,
+      candidates: files.map((file, index) => ({
+        index,
+        file: file.name,
+        name: '',
+        status: 'pending',
+        analysisId: null,
+        scores: null,
+        jobDescriptionMatch: null,
+        topGaps: [],
+        error: null,
+      })),
+    };
+    batches.set(batch.id, batch);
+    return batch;
+  };
+
+  const get = (id) => {
+    const batch = batches.get(id);
+    if (!batch) return null;
+    if (isExpired(batch)) {
+      drop(id);
+      return null;
+    }
+    return batch;
+  };
+
+  const remove = (id) => drop(id);
+
+  const update = (batch, changes) => {
+    Object.assign(batch, changes, { updatedAt: Date.now() });
+    if (['completed', 'failed'].includes(batch.status)) batch.finishedAt = batch.updatedAt;
+  };
+
+  const updateCandidate = (batch, index, changes) => {
+    Object.assign(batch.candidates[index], changes);
+    batch.updatedAt = Date.now();
+  };
+
+  const describe = (batch) => {
+    const count = (status) => batch.candidates.filter(candidate => candidate.status === status).length;
+    const completed = count('completed');
+    const failed = count('failed');
+    return {
+      id: batch.id,
+      status: batch.status,
+      error: batch.error,
+      jobRole: batch.jobRole,
+      jobTitle: batch.jobTitle,
+      usedJobDescription: Boolean(batch.jobDescription),
+      createdAt: new Date(batch.createdAt).toISOString(),
+      finishedAt: batch.finishedAt ? new Date(batch.finishedAt).toISOString() : null,
+      progress: {
+        total: batch.candidates.length,
+        completed,
+        failed,
+        processing: count('processing'),
+        pending: count('pending'),
+        percent: Math.round(((completed + failed) / batch.candidates.length) * 100),
+      },
+      skipped: batch.skipped,
+      candidates: rankCandidates(batch.candidates, { byJobDescription: Boolean(batch.jobDescription) }),
+    };
+  };
+
+  return {
+    create,
+    get,
+    remove,
+    update,
+    updateCandidate,
+    describe,
+    size: () => batches.size,
+  };
+};
+
+const BATCH_EXPORT_COLUMNS = ['Rank', 'Candidate', 'File', 'Overall', 'ATS Compatibility', 'Content Relevance', 'Structure and Formatting', 'JD Match', 'Top Gaps', 'Status', 'Error'];
+
+// One row per candidate in rank order; described: createBatchStore().describe() output
+const createBatchRows = (described) => [
+  BATCH_EXPORT_COLUMNS,
+  ...described.candidates.map(candidate => [
+    candidate.rank,
+    candidate.name,
+    candidate.file,
+    candidate.scores ? candidate.scores.overall : null,
+    candidate.scores ? candidate.scores.atsCompatibility : null,
+    candidate.scores ? candidate.scores.contentRelevance : null,
+    candidate.scores ? candidate.scores.structureFormatting : null,
+    candidate.jobDescriptionMatch ? candidate.jobDescriptionMatch.matchPercentage : null,
+    candidate.topGaps.join('; '),
+    candidate.status,
+    candidate.error,
+  ]),
+];
+
+const BATCH_EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', render: (described) => createCsv(createBatchRows(described)) },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    render: (described) => createXlsx(createBatchRows(described), { sheetName: 'Candidates' }),
+  },
+};
+
+module.exports = {
+  MAX_BATCH_RESUMES,
+  BATCH_EXPORT_FORMATS,
+  isZipUpload,
+  readZipResumes,
+  createLimiter,
+  pickTopGaps,
+  createBatchStore,
+};
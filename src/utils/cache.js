@@ -0,0 +1,225 @@
+// Response cache with content-hashed keys and pluggable backends.
+// Backends: "memory" (size-bounded LRU) and "disk" (one JSON file per entry, survives restarts).
+// All backend methods are async so slower backends can be swapped in without touching the routes.
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_TTL = 5 * 60 * 1000; // 5 minutes
+
+const hashContent = (value) => crypto
+  .createHash('sha256')
+  .update(typeof value === 'string' ? value : JSON.stringify(value))
+  .digest('hex');
+
+// Buffers (e.g. generated DOCX files) are stored as base64 so they survive JSON serialisation
+const serialize = (value) => JSON.stringify(value, (key, item) => (
+  item && item.type === 'Buffer' && Array.isArray(item.data)
+    ? { __buffer: Buffer.from(item.data).toString('base64') }
+    : item
+));
+const deserialize = (text) => JSON.parse(text, (key, item) => (
+  item && typeof item.__buffer === 'string' ? Buffer.from(item.__buffer, 'base64') : item
+));
+
+const createMemoryBackend = ({ maxEntries = 500 } = {}) => {
+  // Map iteration order doubles as recency order: re-inserting on read moves an entry to the end
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+    get: async (key) => {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+    set: async (key, value, ttl) => {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttl });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    delete: async (key) => entries.delete(key),
+    clear: async () => entries.clear(),
+    size: async () => entries.size,
+    prune: async () => {
+      const now = Date.now();
+      for (const [key, entry] of entries.entries()) {
+        if (entry.expiresAt <= now) entries.delete(key);
+      }
+    },
+  };
+};
+
+const createDiskBackend = ({ directory, maxEntries = 5000 } = {}) => {
+  const ready = fs.mkdir(directory, { recursive: true });
+  const fileFor = (key) => path.join(directory, `${hashContent(key)}.json`);
+
+  const readEntry = async (file) => {
+    try {
+      return deserialize(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('Cache read error:', error.message);
+      return null;
+    }
+  };
+
+  const listFiles = async () => {
+    await ready;
+    const names = await fs.readdir(directory);
+    return names.filter(name => name.endsWith('.json')).map(name => path.join(directory, name));
+  };
+
+  return {
+    name: 'disk',
+    get: async (key) => {
+      await ready;
+      const file = fileFor(key);
+      const entry = await readEntry(file);
+      if (!entry || entry.key !== key) return undefined;
+      if (entry.expiresAt <= Date.now()) {
+        fs.unlink(file).catch(() => {});
+        return undefined;
+      }
+      return entry.value;
+    },
+    set: async (key, value, ttl) => {
+      await ready;
+      const file = fileFor(key);
+      // Write to a temp file and rename so readers never see a partial entry
+      const tempFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+      await fs.writeFile(tempFile, serialize({ key, value, expiresAt: Date.now() + ttl }));
+      await fs.rename(tempFile, file);
+    },
+    delete: async (key) => {
+      await ready;
+      return fs.unlink(fileFor(key)).then(() => true, () => false);
+    },
+    clear: async () => {
+      const files = await listFiles();
+      await Promise.all(files.map(file => fs.unlink(file).catch(() => {})));
+    },
+    size: async () => (await listFiles()).length,
+    // Remove expired entries, then the oldest ones beyond maxEntries
+    prune: async () => {
+      const now = Date.now();
+      const files = await listFiles();
+      const live = [];
+      for (const file of files) {
+        const entry = await readEntry(file);
+        if (!entry || entry.expiresAt <= now) {
+          await fs.unlink(file).catch(() => {});
+        } else {
+          const { mtimeMs } = await fs.stat(file).catch(() => ({ mtimeMs: 0 }));
+          live.push({ file, mtimeMs });
+        }
+      }
+      live
+        .sort((a, b) => a.mtimeMs - b.mtimeMs)
+        .slice(0, Math.max(live.length - maxEntries, 0))
+        .forEach(({ file }) => fs.unlink(file).catch(() => {}));
+    },
+  };
+};
+
+const createBackend = (name, options = {}) => {
+  switch (name) {
+    case 'memory':
+      return createMemoryBackend(options);
+    case 'disk':
+      return createDiskBackend(options);
+    default:
+      throw new Error(`Unknown cache backend "${name}" (expected memory or disk)`);
+  }
+};
+
+// CACHE_TTLS overrides ({ "roadmap": 3600000, ... }); a malformed value is ignored with a warning instead of
+// stopping the server, and entries that aren't positive numbers are dropped
+const parseTtlOverrides = (raw) => {
+  if (!raw) return {};
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    console.error('Ignoring invalid CACHE_TTLS:', error.message);
+    return {};
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    console.error('Ignoring invalid CACHE_TTLS: expected an object of type -> milliseconds');
+    return {};
+  }
+  return Object.fromEntries(Object.entries(parsed).filter(([type, ttl]) => {
+    if (Number.isFinite(ttl) && ttl > 0) return true;
+    console.error(`Ignoring CACHE_TTLS.${type}: expected a positive number of milliseconds`);
+    return false;
+  }));
+};
+
+// Cache front-end: resolves per-route TTLs from the key prefix ("roadmap:..." -> ttls.roadmap) and tracks hit/miss stats
+const createCache = ({ backend, ttls = {}, defaultTtl = DEFAULT_TTL }) => {
+  const stats = {};
+  const typeOf = (key) => key.split(':')[0];
+  const record = (key, outcome) => {
+    const type = typeOf(key);
+    stats[type] = stats[type] || { hits: 0, misses: 0 };
+    stats[type][outcome] += 1;
+  };
+
+  return {
+    // Keys are the route type plus a SHA-256 of the full inputs, so different resumes can never collide
+    key: (type, data) => `${type}:${hashContent(data)}`,
+    get: async (key) => {
+      try {
+        const value = await backend.get(key);
+        record(key, value === undefined ? 'misses' : 'hits');
+        return value;
+      } catch (error) {
+        // A broken cache should never take a route down
+        console.error('Cache get error:', error.message);
+        record(key, 'misses');
+        return undefined;
+      }
+    },
+    set: async (key, value) => {
+      try {
+        await backend.set(key, value, ttls[typeOf(key)] || defaultTtl);
+      } catch (error) {
+        console.error('Cache set error:', error.message);
+      }
+    },
+    delete: (key) => backend.delete(key),
+    clear: () => backend.clear(),
+    prune: () => backend.prune(),
+    stats: async () => {
+      const totals = Object.values(stats).reduce(
+        (sum, entry) => ({ hits: sum.hits + entry.hits, misses: sum.misses + entry.misses }),
+        { hits: 0, misses: 0 },
+      );
+      const lookups = totals.hits + totals.misses;
+      return {
+        backend: backend.name,
+        size: await backend.size().catch(() => null),
+        ...totals,
+        hitRate: lookups ? Math.round((totals.hits / lookups) * 1000) / 1000 : 0,
+        byType: stats,
+      };
+    },
+  };
+};
+
+module.exports = {
+  hashContent,
+  createMemoryBackend,
+  createDiskBackend,
+  createBackend,
+  parseTtlOverrides,
+  createCache,
+};
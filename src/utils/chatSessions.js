@@ -0,0 +1,159 @@
+// Server-side chat sessions with role-tagged message history.
+// Older turns that no longer fit the token budget are folded into a running summary instead of being cut off.
+
+const crypto = require('crypto');
+
+const DEFAULT_SESSION_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const DEFAULT_MAX_SESSIONS = 1000;
+const DEFAULT_CONTEXT_TOKENS = 1500;
+const ROLE_LABELS = { user: 'User', assistant: 'CypherAI' };
+
+// Rough token estimate (~4 characters per token for English text)
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+const formatTurn = (message) => `${ROLE_LABELS[message.role] || message.role}: ${message.content}`;
+
+// Fallback when the model summary fails: keep the user's own words, which carry most of the context
+const extractiveSummary = (previousSummary, messages) => {
+  const userPoints = messages
+    .filter(message => message.role === 'user')
+    .map(message => message.content.replace(/\s+/g, ' ').trim().substring(0, 160));
+  return [previousSummary, userPoints.length ? `User earlier said: ${userPoints.join(' | ')}` : '']
+    .filter(Boolean)
+    .join('\n');
+};
+
+// Sessions belong to whoever holds the owner token issued with them; only its hash is kept
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest();
+
+const createSessionStore = ({
+  ttl = DEFAULT_SESSION_TTL,
+  maxSessions = DEFAULT_MAX_SESSIONS,
+  maxContextTokens = DEFAULT_CONTEXT_TOKENS,
+} = {}) => {
+  const sessions = new Map();
+
+  const isExpired = (session, now = Date.now()) => now - session.updatedAt > ttl;
+
+  const cleanup = () => {
+    const now = Date.now();
+    for (const [id, session] of sessions.entries()) {
+      if (isExpired(session, now)) sessions.delete(id);
+    }
+  };
+  const cleanupInterval = setInterval(cleanup, Math.min(ttl, 60 * 60 * 1000));
+  cleanupInterval.unref();
+
+  const isOwner = (session, ownerToken) => Boolean(ownerToken)
+    && crypto.timingSafeEqual(session.ownerHash, hashToken(ownerToken.toString()));
+
+  // Returns { session, token }. A token that already owns a live session is reused so one client's
+  // sessions can be listed together; anything else gets a freshly issued token.
+  const create = (metadata = {}, ownerToken = '') => {
+    // Map preserves insertion order, so the first key is the least recently created session
+    if (sessions.size >= maxSessions) {
+      sessions.delete(sessions.keys().next().value);
+    }
+    const ownsSessions = [...sessions.values()].some(session => !isExpired(session) && isOwner(session, ownerToken));
+    const token = ownsSessions ? ownerToken : crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+    const session = {
+      id: crypto.randomUUID(),
+      ownerHash: hashToken(token),
+      createdAt: now,
+      updatedAt: now,
+      metadata,
+      messages: [],
+      summary: '',
+      summarizedCount: 0,
+    };
+    sessions.set(session.id, session);
+    return { session, token };
+  };
+
+  // Sessions of other owners are reported as missing, so ids can't be probed
+  const get = (id, ownerToken) => {
+    const session = sessions.get(id);
+    if (!session) return null;
+    if (isExpired(session)) {
+      sessions.delete(id);
+      return null;
+    }
+    return isOwner(session, ownerToken) ? session : null;
+  };
+
+  const describe = (session) => {
+    const firstUserMessage = session.messages.find(message => message.role === 'user');
+    return {
+      id: session.id,
+      title: firstUserMessage ? firstUserMessage.content.substring(0, 60) : '',
+      createdAt: new Date(session.createdAt).toISOString(),
+      updatedAt: new Date(session.updatedAt).toISOString(),
+      messageCount: session.messages.length,
+      metadata: session.metadata,
+    };
+  };
+
+  const list = (ownerToken) => {
+    cleanup();
+    return Array.from(sessions.values())
+      .filter(session => isOwner(session, ownerToken))
+      .sort((a, b) => b.updatedAt - a.updatedAt)
+      .map(describe);
+  };
+
+  const remove = (id, ownerToken) => Boolean(get(id, ownerToken)) && sessions.delete(id);
+
+  const appendMessage = (session, role, content) => {
+    session.messages.push({ role, content, timestamp: new Date().toISOString() });
+    session.updatedAt = Date.now();
+  };
+
+  // Build the prompt context: running summary of older turns + as many recent turns as fit in the token budget.
+  // summarize(previousSummary, transcript) is an async function returning the new summary text.
+  const buildContext = async (session, summarize, tokenBudget = maxContextTokens) => {
+    const { messages } = session;
+    let used = 0;
+    let firstKept = messages.length;
+    for (let index = messages.length - 1; index >= 0; index--) {
+      const cost = estimateTokens(formatTurn(messages[index]));
+      if (used + cost > tokenBudget && firstKept < messages.length) break;
+      used += cost;
+      firstKept = index;
+    }
+
+    // Fold turns that just fell out of the window into the running summary
+    if (firstKept > session.summarizedCount) {
+      const dropped = messages.slice(session.summarizedCount, firstKept);
+      try {
+        session.summary = (await summarize(session.summary, dropped.map(formatTurn).join('\n'))).trim();
+      } catch (error) {
+        console.error('Session summary error:', error.message);
+        session.summary = extractiveSummary(session.summary, dropped);
+      }
+      session.summarizedCount = firstKept;
+    }
+
+    const recent = messages.slice(firstKept).map(formatTurn).join('\n');
+    return [
+      session.summary ? `Summary of earlier conversation:\n${session.summary}` : '',
+      recent,
+    ].filter(Boolean).join('\n\n');
+  };
+
+  return {
+    create,
+    get,
+    list,
+    remove,
+    describe,
+    appendMessage,
+    buildContext,
+    size: () => sessions.size,
+  };
+};
+
+module.exports = {
+  createSessionStore,
+  estimateTokens,
+};
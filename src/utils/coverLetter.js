@@ -0,0 +1,125 @@
+// Cover letter grounded in the uploaded resume. The model writes sentences that each quote their resume evidence;
+// groundCoverLetter checks them against the original (grounding.js checkSentence) and tags what it can't back up
+// as [ADDED]...[/ADDED], so the renderers highlight it exactly like the ideal resume. The audit uses the
+// resume audit shape (resumeAudit.js) so the same X-Resume-Audit* headers describe it.
+
+const { ensureString, toDisplaySegments } = require('./resumeFormatting');
+
+const COVER_LETTER_SCHEMA = {
+  type: 'object',
+  required: ['greeting', 'paragraphs'],
+  properties: {
+    greeting: { type: 'string' },
+    paragraphs: {
+      type: 'array',
+      minItems: 2,
+      maxItems: 6,
+      items: {
+        type: 'object',
+        required: ['sentences'],
+        properties: {
+          sentences: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object',
+              required: ['text'],
+              properties: {
+                text: { type: 'string' },
+                evidence: { type: 'string', default: '' },
+              },
+            },
+          },
+        },
+      },
+    },
+    closing: { type: 'string', default: 'Sincerely,' },
+  },
+};
+
+// letter: model output validated against COVER_LETTER_SCHEMA; grounding: createGroundingCheck(resumeText)
+const groundCoverLetter = (letter, { grounding }) => {
+  const addedEntities = [];
+  const strippedUrls = [];
+  const unverifiedMetrics = [];
+
+  const paragraphs = letter.paragraphs.map((paragraph, paragraphIndex) => paragraph.sentences.map((sentence, sentenceIndex) => {
+    const path = `paragraphs[${paragraphIndex}].sentences[${sentenceIndex}]`;
+    const check = grounding.checkSentence(sentence);
+    check.strippedUrls.forEach(item => strippedUrls.push({ path, ...item }));
+    if (!check.text) return '';
+    if (check.metrics.length > 0) {
+      unverifiedMetrics.push({ section: 'cover-letter', path, text: check.text, metrics: check.metrics });
+    }
+    if (check.reasons.length === 0) return check.text;
+    addedEntities.push({ section: 'cover-letter', path, value: check.text, reasons: check.reasons });
+    return `[ADDED]${check.text}[/ADDED]`;
+  }).filter(Boolean).join(' ')).filter(Boolean);
+
+  return {
+    letter: {
+      greeting: ensureString(letter.greeting).trim() || 'Dear Hiring Manager,',
+      paragraphs,
+      closing: ensureString(letter.closing).trim() || 'Sincerely,',
+    },
+    audit: {
+      summary: {
+        addedEntities: addedEntities.length,
+        strippedUrls: strippedUrls.length,
+        unverifiedMetrics: unverifiedMetrics.length,
+        needsReview: addedEntities.length + strippedUrls.length + unverifiedMetrics.length > 0,
+      },
+      addedEntities,
+      strippedUrls,
+      unverifiedMetrics,
+    },
+  };
+};
+
+// Header lines shared by the renderers; contact details come from the parsed resume, never from the model
+const getLetterHeader = ({ contact = {}, companyName, date }) => ({
+  name: ensureString(contact.name),
+  contactLine: [contact.email, contact.phone, contact.location].filter(Boolean).join(' | '),
+  linkLine: [contact.linkedin, contact.github, contact.portfolio].filter(Boolean).join(' | '),
+  date: date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }),
+  recipient: ['Hiring Manager', ensureString(companyName)].filter(Boolean),
+});
+
+// Plain text; unsupported sentences are marked with "*" when highlighting is on
+const createTextCoverLetter = (letter, { contact, companyName, date = new Date(), highlightAdded = true } = {}) => {
+  const header = getLetterHeader({ contact, companyName, date });
+  let hasAddedItems = false;
+  const plain = (text) => toDisplaySegments(text)
+    .map(segment => {
+      if (!segment.added || !highlightAdded) return segment.text;
+      hasAddedItems = true;
+      return `${segment.text}*`;
+    })
+    .join('')
+    .trim();
+
+  const lines = [
+    ...[header.name, header.contactLine, header.linkLine].filter(Boolean),
+    '',
+    header.date,
+    '',
+    ...header.recipient,
+    '',
+    letter.greeting,
+    '',
+    ...letter.paragraphs.flatMap(paragraph => [plain(paragraph), '']),
+    letter.closing,
+    header.name,
+  ];
+  if (hasAddedItems) {
+    lines.push('', '* Not found in your resume - confirm or remove before sending.');
+  }
+  return `${lines.join('\n').replace(/\n{3,}/g, '\n\n').trim()}\n`;
+};
+
+module.exports = {
+  COVER_LETTER_SCHEMA,
+  groundCoverLetter,
+  getLetterHeader,
+  createTextCoverLetter,
+};
@@ -0,0 +1,177 @@
+// Resume document templates shared by the DOCX and PDF renderers.
+// A template controls fonts, sizes, colors, spacing, header layout and section order; content always comes from resumeData.
+// Units follow the docx library: font sizes in half-points, spacing and indents in twips, margins in centimetres.
+
+const SECTION_IDS = ['summary', 'skills', 'experience', 'projects', 'education', 'certifications', 'additional'];
+
+const DEFAULT_SECTION_TITLES = {
+  summary: 'PROFESSIONAL SUMMARY',
+  skills: 'CORE COMPETENCIES',
+  experience: 'PROFESSIONAL EXPERIENCE',
+  projects: 'KEY PROJECTS',
+  education: 'EDUCATION',
+  certifications: 'CERTIFICATIONS',
+  additional: 'ADDITIONAL INFORMATION',
+};
+
+const RESUME_TEMPLATES = {
+  // The original CypherAI layout
+  classic: {
+    id: 'classic',
+    label: 'Classic',
+    description: 'Single-column layout with a centered header and neutral section headings.',
+    fonts: { body: 'Calibri', heading: 'Calibri', pdfFamily: 'sans' },
+    sizes: { name: 32, contact: 22, links: 20, heading: 24, body: 22, detail: 20 },
+    colors: {
+      name: '2563eb',
+      heading: '1f2937',
+      label: '1f2937',
+      bullet: '1f2937',
+      muted: '6b7280',
+      link: '2563eb',
+      body: undefined, // Word default text color
+      added: 'ff0000',
+      headingBorder: null,
+    },
+    spacing: {
+      name: { after: 200 },
+      contact: { after: 200 },
+      links: { after: 300 },
+      heading: { before: 200, after: 120 },
+      summary: { after: 200 },
+      skillRow: { after: 140 },
+      entryTitle: { before: 100, after: 60 },
+      entryDetail: { after: 80 },
+      bullet: { after: 100 },
+      educationLine: { after: 80 },
+      educationBlock: { after: 200 },
+      additionalRow: { after: 100 },
+      indent: 360,
+    },
+    margins: { top: 1, bottom: 1, left: 1, right: 1 },
+    headerAlignment: 'center',
+    combineContactLines: false,
+    sectionOrder: ['summary', 'skills', 'experience', 'projects', 'education', 'certifications', 'additional'],
+    sectionTitles: DEFAULT_SECTION_TITLES,
+  },
+
+  // Dense layout aimed at fitting on one page
+  compact: {
+    id: 'compact',
+    label: 'Compact one-page',
+    description: 'Tighter spacing, smaller type and a single contact line to fit one page.',
+    fonts: { body: 'Arial', heading: 'Arial', pdfFamily: 'sans' },
+    sizes: { name: 26, contact: 18, links: 18, heading: 20, body: 19, detail: 18 },
+    colors: {
+      name: '111827',
+      heading: '111827',
+      label: '111827',
+      bullet: '374151',
+      muted: '4b5563',
+      link: '1d4ed8',
+      body: undefined,
+      added: 'ff0000',
+      headingBorder: '9ca3af',
+    },
+    spacing: {
+      name: { after: 40 },
+      contact: { after: 80 },
+      links: { after: 80 },
+      heading: { before: 120, after: 60 },
+      summary: { after: 80 },
+      skillRow: { after: 40 },
+      entryTitle: { before: 60, after: 20 },
+      entryDetail: { after: 30 },
+      bullet: { after: 30 },
+      educationLine: { after: 20 },
+      educationBlock: { after: 60 },
+      additionalRow: { after: 40 },
+      indent: 240,
+    },
+    margins: { top: 0.8, bottom: 0.8, left: 1, right: 1 },
+    headerAlignment: 'left',
+    combineContactLines: true,
+    sectionOrder: ['summary', 'skills', 'experience', 'projects', 'education', 'certifications', 'additional'],
+    sectionTitles: {
+      summary: 'SUMMARY',
+      skills: 'SKILLS',
+      experience: 'EXPERIENCE',
+      projects: 'PROJECTS',
+      education: 'EDUCATION',
+      certifications: 'CERTIFICATIONS',
+      additional: 'ADDITIONAL',
+    },
+  },
+
+  // Accent-colored layout that leads with experience
+  modern: {
+    id: 'modern',
+    label: 'Modern',
+    description: 'Left-aligned header, accent-colored headings with rules, experience before skills.',
+    fonts: { body: 'Calibri', heading: 'Georgia', pdfFamily: 'sans' },
+    sizes: { name: 40, contact: 20, links: 20, heading: 24, body: 21, detail: 20 },
+    colors: {
+      name: '0f766e',
+      heading: '0f766e',
+      label: '134e4a',
+      bullet: '0f766e',
+      muted: '475569',
+      link: '0e7490',
+      body: '1e293b',
+      added: 'dc2626',
+      headingBorder: '0f766e',
+    },
+    spacing: {
+      name: { after: 60 },
+      contact: { after: 60 },
+      links: { after: 200 },
+      heading: { before: 240, after: 100 },
+      summary: { after: 160 },
+      skillRow: { after: 80 },
+      entryTitle: { before: 120, after: 40 },
+      entryDetail: { after: 60 },
+      bullet: { after: 60 },
+      educationLine: { after: 60 },
+      educationBlock: { after: 140 },
+      additionalRow: { after: 80 },
+      indent: 300,
+    },
+    margins: { top: 1.5, bottom: 1.5, left: 1.8, right: 1.8 },
+    headerAlignment: 'left',
+    combineContactLines: false,
+    sectionOrder: ['summary', 'experience', 'projects', 'skills', 'education', 'certifications', 'additional'],
+    sectionTitles: {
+      summary: 'Profile',
+      skills: 'Skills',
+      experience: 'Experience',
+      projects: 'Projects',
+      education: 'Education',
+      certifications: 'Certifications',
+      additional: 'Additional Information',
+    },
+  },
+};
+
+const DEFAULT_TEMPLATE = 'classic';
+
+// Own keys only, so names like "constructor" are unknown templates rather than Object.prototype members
+const getResumeTemplate = (id) => {
+  const key = (id || DEFAULT_TEMPLATE).toString().trim().toLowerCase();
+  return Object.hasOwn(RESUME_TEMPLATES, key) ? RESUME_TEMPLATES[key] : null;
+};
+
+// Public summary for clients choosing a template
+const listResumeTemplates = () => Object.values(RESUME_TEMPLATES).map(template => ({
+  id: template.id,
+  label: template.label,
+  description: template.description,
+  sectionOrder: template.sectionOrder,
+}));
+
+module.exports = {
+  SECTION_IDS,
+  RESUME_TEMPLATES,
+  DEFAULT_TEMPLATE,
+  getResumeTemplate,
+  listResumeTemplates,
+};
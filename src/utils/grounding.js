@@ -0,0 +1,158 @@
+// Grounding checks against the uploaded resume, shared by every generator that rewrites resume content
+// (ideal resume, cover letter, LinkedIn profile): is a value in the original text, may a model-supplied URL be kept,
+// and is a generated sentence backed by the resume.
+
+const { normalizeForMatch, normalizeLoose, classifyKeyword } = require('./keywordMatch');
+const { ensureString, stripAddedTags } = require('./resumeFormatting');
+const { findUnverifiedMetrics, createMetricIndex } = require('./resumeAudit');
+
+const IN_PROGRESS_TAG_REGEX = /\(in-progress\)|\(in\-progess\)/gi;
+const URL_REGEX = /\b(?:https?:\/\/)?(?:www\.)?[a-z0-9.-]+\.(?:com|in|org|net|io|ai|dev|app|edu|gov|co|us)(?:\/[^\s)>,]*)?/gi;
+
+// First-person statements about what the candidate did or knows; without evidence these are unsupported claims
+const CLAIM_REGEX = /\b(I|I've|I'm|my)\b[^.!?]*\b(built|developed|designed|implemented|created|led|managed|delivered|improved|reduced|increased|launched|migrated|migration|worked|bring|experience|expertise|knowledge|background|proficient|skilled|skills?|seasoned|certified|years?|projects?|internships?)\b/i;
+// Values up to this many words (skills, tools, project names) are matched as whole terms by tagIfMissing
+const MAX_TERM_WORDS = 3;
+// Evidence has to be a quoted phrase, not a lone keyword that happens to be somewhere in the resume
+const MIN_EVIDENCE_WORDS = 3;
+// Capitalised words that open or close a letter rather than name anything
+const NON_ENTITY_WORDS = new Set(['i', "i'm", "i've", "i'd", "i'll", 'dear', 'hiring', 'manager', 'sincerely', 'regards', 'thank', 'thanks']);
+
+// Names a sentence relies on: capitalised words (employers, tools, titles) except an ordinary sentence opener;
+// "AWS" or "iOS" at the start still count. "Google's" -> "Google", "Kubernetes-based" -> "Kubernetes".
+const extractEntities = (text) => (text.match(/[A-Za-z0-9][A-Za-z0-9+#.&'’]*/g) || [])
+  .map(word => word.replace(/['’]s$/i, '').replace(/[.'’]+$/, ''))
+  .filter((word, index) => /[A-Z]/.test(word)
+    && !(index === 0 && /^[A-Z][a-z]*$/.test(word))
+    && !NON_ENTITY_WORDS.has(word.toLowerCase().replace('’', "'")));
+
+const normalizeUrlForCompare = (value) => {
+  if (!value) return '';
+  let cleaned = value.toString().trim().replace(/[)\],.;]+$/g, '');
+  cleaned = cleaned.replace(/\[ADDED\]|\[\/ADDED\]/g, '').replace(IN_PROGRESS_TAG_REGEX, '');
+  let url = cleaned.toLowerCase();
+  url = url.replace(/^https?:\/\//, '');
+  url = url.replace(/^www\./, '');
+  return url;
+};
+
+const extractAllowedUrls = (text) => {
+  const matches = (text || '').match(URL_REGEX) || [];
+  const set = new Set();
+  matches.forEach(match => {
+    const normalized = normalizeUrlForCompare(match);
+    if (normalized) set.add(normalized);
+  });
+  return set;
+};
+
+const isLikelyUrl = (value) => {
+  if (!value) return false;
+  const cleaned = value.toString().trim();
+  if (!cleaned) return false;
+  if (/\s/.test(cleaned)) return false;
+  if (/^[a-zA-Z]:[\\/]/.test(cleaned)) return false;
+  if (cleaned.toLowerCase().startsWith('file:')) return false;
+  if (cleaned.includes('\\')) return false;
+  if (/^https?:\/\//i.test(cleaned)) return true;
+  return /\./.test(cleaned);
+};
+
+// resumeText is readUploadedResume's result ({ text, parsed }); targetTerms (the role and company applied to)
+// may be named in generated prose without resume evidence
+const createGroundingCheck = (resumeText, { targetTerms = [] } = {}) => {
+  const originalNormalized = normalizeForMatch(resumeText.text);
+  const originalLoose = normalizeLoose(originalNormalized);
+  const targetNormalized = normalizeForMatch(targetTerms.filter(Boolean).join('\n'));
+  const allowedUrlSet = extractAllowedUrls(resumeText.text);
+
+  // Narrower scope for names that must appear in their own parsed section (when the parser found it)
+  const sectionScope = (sectionIds) => {
+    const text = sectionIds.map(id => resumeText.parsed && resumeText.parsed.sectionText[id]).filter(Boolean).join('\n');
+    return text ? normalizeForMatch(text) : originalNormalized;
+  };
+
+  const isInOriginal = (value, scope = originalNormalized) => {
+    const normalized = normalizeForMatch(stripAddedTags(value));
+    if (normalized.length === 0) return false;
+    if (scope.includes(normalized)) return true;
+    const looseValue = normalizeLoose(normalized);
+    if (!looseValue) return false;
+    const looseOriginal = normalizeLoose(scope);
+    return looseOriginal.includes(looseValue);
+  };
+
+  // Whole-term match ("Java" is not in "JavaScript"); long terms may differ in punctuation ("NodeJS" for "Node.js")
+  const isTermInOriginal = (term, scope = originalNormalized) => {
+    const cleaned = stripAddedTags(term);
+    if (!normalizeLoose(cleaned)) return false;
+    const looseScope = scope === originalNormalized ? originalLoose : normalizeLoose(scope);
+    return classifyKeyword(cleaned, scope, looseScope).status === 'matched';
+  };
+
+  // Skills, tools and short names must appear as whole terms; longer phrases may appear anywhere in the text
+  const tagIfMissing = (value, scope) => {
+    const cleaned = stripAddedTags(value).replace(IN_PROGRESS_TAG_REGEX, '').trim();
+    if (!cleaned) return cleaned;
+    const isShortTerm = cleaned.split(/\s+/).length <= MAX_TERM_WORDS;
+    if (isShortTerm ? isTermInOriginal(cleaned, scope) : isInOriginal(cleaned, scope)) return cleaned;
+    return `[ADDED]${cleaned}[/ADDED]`;
+  };
+
+  // Why a model-supplied URL was dropped, or null to keep it; text copied verbatim from the resume may stay
+  const getUrlRejection = (url, { allowOriginalText = false } = {}) => {
+    if (url.toLowerCase().startsWith('file:') || /^[a-zA-Z]:[\\/]/.test(url) || url.includes('\\')) return 'local-path';
+    if (allowOriginalText && isInOriginal(url)) return null;
+    const normalized = normalizeUrlForCompare(url);
+    if (!isLikelyUrl(url) || !normalized) return 'not-a-url';
+    if (!allowedUrlSet.has(normalized)) return 'not-in-original';
+    return null;
+  };
+
+  // Generated prose where the model quotes its resume evidence per sentence ({ text, evidence }).
+  // Unsupported URLs are cut out of the text; reasons lists why the sentence can't be trusted as written:
+  // url-removed, evidence-not-in-resume, no-evidence (a claim or a named entity without a quote),
+  // weak-evidence (fewer than MIN_EVIDENCE_WORDS words), entity-not-in-resume, unverified-metric.
+  // Only sentences that claim nothing and name nothing beyond the target role and company need no evidence.
+  const metricIndex = createMetricIndex(resumeText.text);
+  const containsTargetTerm = (entity) => Boolean(targetNormalized) && isTermInOriginal(entity, targetNormalized);
+  const checkSentence = ({ text: rawText, evidence: rawEvidence }) => {
+    let text = stripAddedTags(rawText).trim();
+    const reasons = [];
+    const strippedUrls = [];
+    (text.match(URL_REGEX) || []).forEach(url => {
+      const reason = getUrlRejection(url);
+      if (!reason) return;
+      strippedUrls.push({ url, reason });
+      if (!reasons.includes('url-removed')) reasons.push('url-removed');
+      text = text.replace(url, '').replace(/\s*\(\s*\)/g, '').replace(/\s{2,}/g, ' ').trim();
+    });
+    const evidence = ensureString(rawEvidence).trim();
+    const entities = extractEntities(text).filter(entity => !containsTargetTerm(entity));
+    const needsEvidence = CLAIM_REGEX.test(text) || entities.length > 0;
+    if (evidence && !isInOriginal(evidence)) {
+      reasons.push('evidence-not-in-resume');
+    } else if (!evidence && needsEvidence) {
+      reasons.push('no-evidence');
+    } else if (evidence && needsEvidence && evidence.split(/\s+/).length < MIN_EVIDENCE_WORDS) {
+      reasons.push('weak-evidence');
+    }
+    if (entities.some(entity => !isTermInOriginal(entity))) reasons.push('entity-not-in-resume');
+    const metrics = text ? findUnverifiedMetrics(text, metricIndex) : [];
+    if (metrics.length > 0) reasons.push('unverified-metric');
+    return { text, reasons, strippedUrls, metrics };
+  };
+
+  return {
+    sectionScope,
+    isInOriginal,
+    isTermInOriginal,
+    tagIfMissing,
+    getUrlRejection,
+    checkSentence,
+  };
+};
+
+module.exports = {
+  createGroundingCheck,
+};
@@ -0,0 +1,233 @@
+// Mock interview sessions: generated questions (with hidden key points), rubric-scored answers and a final report.
+// Sessions live in memory with a TTL, like chat sessions; overall scores are computed here from the rubric weights,
+// never taken from the model.
+
+const crypto = require('crypto');
+
+const DEFAULT_INTERVIEW_TTL = 4 * 60 * 60 * 1000; // 4 hours
+const DEFAULT_MAX_INTERVIEWS = 500;
+const INTERVIEW_DIFFICULTIES = ['easy', 'medium', 'hard'];
+const QUESTION_TYPES = ['technical', 'behavioural'];
+
+// Criteria are scored 0-10 by the model; weights sum to 1 per question type
+const RUBRICS = {
+  technical: [
+    { id: 'correctness', label: 'Technical correctness', weight: 0.4 },
+    { id: 'depth', label: 'Depth and trade-offs', weight: 0.25 },
+    { id: 'examples', label: 'Practical examples', weight: 0.15 },
+    { id: 'communication', label: 'Clarity and communication', weight: 0.2 },
+  ],
+  behavioural: [
+    { id: 'structure', label: 'STAR structure (situation, task, action, result)', weight: 0.3 },
+    { id: 'relevance', label: 'Relevance to the question', weight: 0.25 },
+    { id: 'impact', label: 'Ownership and measurable outcome', weight: 0.25 },
+    { id: 'communication', label: 'Clarity and communication', weight: 0.2 },
+  ],
+};
+
+const CRITERION_SCHEMA = { type: 'number', minimum: 0, maximum: 10 };
+
+const INTERVIEW_QUESTIONS_SCHEMA = {
+  type: 'object',
+  required: ['questions'],
+  properties: {
+    questions: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['type', 'question'],
+        properties: {
+          type: { type: 'string', enum: QUESTION_TYPES },
+          question: { type: 'string' },
+          topic: { type: 'string', default: '' },
+          basedOn: { type: 'string', default: '' },
+          keyPoints: { type: 'array', items: { type: 'string' }, default: [] },
+        },
+      },
+    },
+  },
+};
+
+const rubricSchemaFor = (type) => ({
+  type: 'object',
+  required: ['scores', 'feedback'],
+  properties: {
+    scores: {
+      type: 'object',
+      required: RUBRICS[type].map(criterion => criterion.id),
+      properties: Object.fromEntries(RUBRICS[type].map(criterion => [criterion.id, CRITERION_SCHEMA])),
+    },
+    feedback: { type: 'string' },
+    strengths: { type: 'array', items: { type: 'string' }, default: [] },
+    improvements: { type: 'array', items: { type: 'string' }, default: [] },
+    modelAnswer: { type: 'string', default: '' },
+  },
+});
+
+const INTERVIEW_REPORT_SCHEMA = {
+  type: 'object',
+  required: ['summary', 'strengths', 'weakAreas'],
+  properties: {
+    summary: { type: 'string' },
+    strengths: { type: 'array', items: { type: 'string' } },
+    weakAreas: { type: 'array', items: { type: 'string' } },
+    recommendations: { type: 'array', items: { type: 'string' }, default: [] },
+  },
+};
+
+const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+
+// 0-100 overall from the 0-10 criterion scores
+const scoreAnswer = (type, scores) => Math.round(RUBRICS[type]
+  .reduce((sum, criterion) => sum + (scores[criterion.id] || 0) * criterion.weight, 0) * 10);
+
+// Per-criterion and per-topic averages over the answered questions; weak areas are criteria/topics under 60
+const summarizeScores = (session) => {
+  const answered = session.questions.filter(question => question.evaluation);
+  const criteria = {};
+  answered.forEach(question => {
+    RUBRICS[question.type].forEach(criterion => {
+      const entry = criteria[criterion.id] || { id: criterion.id, label: criterion.label, scores: [] };
+      entry.scores.push(question.evaluation.scores[criterion.id] * 10);
+      criteria[criterion.id] = entry;
+    });
+  });
+  const byType = (type) => answered.filter(question => question.type === type).map(question => question.evaluation.overall);
+  const topics = {};
+  answered.filter(question => question.topic).forEach(question => {
+    topics[question.topic] = [...(topics[question.topic] || []), question.evaluation.overall];
+  });
+  const criterionScores = Object.values(criteria).map(entry => ({ id: entry.id, label: entry.label, score: Math.round(average(entry.scores)) }));
+  const topicScores = Object.entries(topics).map(([topic, scores]) => ({ topic, score: Math.round(average(scores)) }));
+  return {
+    answered: answered.length,
+    total: session.questions.length,
+    overall: Math.round(average(answered.map(question => question.evaluation.overall))),
+    technical: byType('technical').length > 0 ? Math.round(average(byType('technical'))) : null,
+    behavioural: byType('behavioural').length > 0 ? Math.round(average(byType('behavioural'))) : null,
+    criteria: criterionScores,
+    topics: topicScores,
+    weakCriteria: criterionScores.filter(entry => entry.score < 60).map(entry => entry.label),
+    weakTopics: topicScores.filter(entry => entry.score < 60).map(entry => entry.topic),
+  };
+};
+
+const createInterviewStore = ({ ttl = DEFAULT_INTERVIEW_TTL, maxInterviews = DEFAULT_MAX_INTERVIEWS } = {}) => {
+  const interviews = new Map();
+
+  const isExpired = (session, now = Date.now()) => now - session.updatedAt > ttl;
+
+  const cleanup = () => {
+    const now = Date.now();
+    for (const [id, session] of interviews.entries()) {
+      if (isExpired(session, now)) interviews.delete(id);
+    }
+  };
+  const cleanupInterval = setInterval(cleanup, Math.min(ttl, 60 * 60 * 1000));
+  cleanupInterval.unref();
+
+  const create = ({ role, difficulty, usedResume, questions }) => {
+    if (interviews.size >= maxInterviews) {
+      interviews.delete(interviews.keys().next().value);
+    }
+    const now = Date.now();
+    const session = {
+      id: crypto.randomUUID(),
+      role,
+      difficulty,
+      usedResume,
+      createdAt: now,
+      updatedAt: now,
+      status: 'in_progress',
+      questions: questions.map((question, index) => ({ id: `q${index + 1}`, ...question, answer: null, evaluation: null })),
+      report: null,
+    };
+    interviews.set(session.id, session);
+    return session;
+  };
+
+  const get = (id) => {
+    const session = interviews.get(id);
+    if (!session) return null;
+    if (isExpired(session)) {
+      interviews.delete(id);
+      return null;
+    }
+    return session;
+  };
+
+  const remove = (id) => interviews.delete(id);
+
+  // What the candidate sees: key points stay hidden until the question has been answered
+  const publicQuestion = (question) => {
+    const { keyPoints, ...visible } = question;
+    return question.evaluation ? { ...visible, keyPoints } : visible;
+  };
+
+  const describe = (session) => {
+    const next = session.questions.find(question => !question.evaluation);
+    return {
+      id: session.id,
+      role: session.role,
+      difficulty: session.difficulty,
+      usedResume: session.usedResume,
+      status: session.status,
+      createdAt: new Date(session.createdAt).toISOString(),
+      updatedAt: new Date(session.updatedAt).toISOString(),
+      progress: { answered: session.questions.filter(question => question.evaluation).length, total: session.questions.length },
+      nextQuestion: next ? publicQuestion(next) : null,
+      questions: session.questions.map(publicQuestion),
+      report: session.report,
+    };
+  };
+
+  // Questions whose answer is being evaluated, as "interviewId:questionId"; a second submission for one of them
+  // is refused instead of racing the first to record its evaluation
+  const pending = new Set();
+  const beginAnswer = (session, questionId) => {
+    const key = `${session.id}:${questionId}`;
+    if (pending.has(key)) return false;
+    pending.add(key);
+    return true;
+  };
+  const endAnswer = (session, questionId) => pending.delete(`${session.id}:${questionId}`);
+
+  const recordEvaluation = (session, questionId, answer, evaluation) => {
+    const question = session.questions.find(item => item.id === questionId);
+    question.answer = answer;
+    question.evaluation = { ...evaluation, overall: scoreAnswer(question.type, evaluation.scores) };
+    session.updatedAt = Date.now();
+    return question;
+  };
+
+  const complete = (session, report) => {
+    session.report = report;
+    session.status = 'completed';
+    session.updatedAt = Date.now();
+  };
+
+  return {
+    create,
+    get,
+    remove,
+    describe,
+    publicQuestion,
+    beginAnswer,
+    endAnswer,
+    recordEvaluation,
+    complete,
+    size: () => interviews.size,
+  };
+};
+
+module.exports = {
+  INTERVIEW_DIFFICULTIES,
+  QUESTION_TYPES,
+  RUBRICS,
+  INTERVIEW_QUESTIONS_SCHEMA,
+  INTERVIEW_REPORT_SCHEMA,
+  rubricSchemaFor,
+  summarizeScores,
+  createInterviewStore,
+};
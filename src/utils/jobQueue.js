@@ -0,0 +1,227 @@
+// In-process queue for long-running generation requests (ideal resume, analysis, roadmap): the request returns a
+// job id right away and the work runs in the background, a few jobs at a time, retried with exponential backoff.
+// With a directory every job is also written as one JSON file, so queued and interrupted jobs resume after a
+// restart and finished results can still be fetched.
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+const DEFAULT_JOB_TTL = 24 * 60 * 60 * 1000; // finished jobs (and their results) are kept for a day
+const DEFAULT_MAX_JOBS = 500;
+
+// handlers: { [type]: async (input, { attempt, signal }) => result }; input and result must be JSON-serialisable.
+// signal aborts when the job is cancelled while running. A handler error with retryable === false fails the job
+// without further attempts.
+const createJobQueue = ({
+  handlers,
+  concurrency = 2,
+  maxAttempts = 3,
+  retryDelay = 2000,
+  maxRetryDelay = 60 * 1000,
+  ttl = DEFAULT_JOB_TTL,
+  maxJobs = DEFAULT_MAX_JOBS,
+  directory = null,
+}) => {
+  const jobs = new Map();
+  const controllers = new Map(); // job id -> AbortController of its running attempt
+  let running = 0;
+  let retryTimer = null;
+
+  const fileFor = (id) => path.join(directory, `${id}.json`);
+  // Writes run one after another so an older snapshot never replaces a newer one
+  let writes = Promise.resolve();
+  const persist = (job) => {
+    if (!directory) return;
+    const snapshot = JSON.stringify(job);
+    writes = writes.then(async () => {
+      const tempFile = `${fileFor(job.id)}.${process.pid}.tmp`;
+      await fs.writeFile(tempFile, snapshot);
+      await fs.rename(tempFile, fileFor(job.id));
+    }).catch(err => console.error('Job persist error:', err));
+  };
+  const unpersist = (id) => {
+    if (!directory) return;
+    writes = writes.then(() => fs.unlink(fileFor(id))).catch(err => {
+      if (err.code !== 'ENOENT') console.error('Job cleanup error:', err);
+    });
+  };
+
+  const update = (job, changes) => {
+    Object.assign(job, changes, { updatedAt: Date.now() });
+    // Inputs can hold a whole resume; they are only needed until the job is done
+    if (FINISHED_STATUSES.includes(job.status)) job.input = null;
+    persist(job);
+  };
+
+  const remove = (id) => {
+    jobs.delete(id);
+    unpersist(id);
+  };
+
+  const cleanup = () => {
+    const now = Date.now();
+    for (const [id, job] of jobs.entries()) {
+      if (FINISHED_STATUSES.includes(job.status) && now - job.updatedAt > ttl) remove(id);
+    }
+  };
+  const cleanupInterval = setInterval(cleanup, Math.min(ttl, 60 * 60 * 1000));
+  cleanupInterval.unref();
+
+  const backoff = (attempt) => Math.min(maxRetryDelay, retryDelay * 2 ** (attempt - 1));
+
+  const run = async (job) => {
+    running++;
+    const attempt = job.attempts + 1;
+    const controller = new AbortController();
+    controllers.set(job.id, controller);
+    update(job, { status: 'running', attempts: attempt, startedAt: job.startedAt || Date.now(), nextAttemptAt: null });
+    try {
+      const result = await handlers[job.type](job.input, { attempt, signal: controller.signal });
+      // A job cancelled while running keeps its cancelled status; the late result is dropped
+      if (job.status === 'running') update(job, { status: 'completed', result, error: null, finishedAt: Date.now() });
+    } catch (error) {
+      if (job.status === 'running') {
+        console.error(`Job ${job.id} (${job.type}) attempt ${attempt} failed:`, error.message);
+        if (error.retryable !== false && attempt < job.maxAttempts) {
+          update(job, { status: 'queued', error: error.message, nextAttemptAt: Date.now() + backoff(attempt) });
+        } else {
+          update(job, { status: 'failed', error: error.message, finishedAt: Date.now() });
+        }
+      }
+    } finally {
+      controllers.delete(job.id);
+      running--;
+      pump();
+    }
+  };
+
+  // Start due jobs in creation order while there is capacity; wake up again for the next scheduled retry
+  const pump = () => {
+    clearTimeout(retryTimer);
+    const now = Date.now();
+    const queued = [...jobs.values()].filter(job => job.status === 'queued');
+    queued
+      .filter(job => !job.nextAttemptAt || job.nextAttemptAt <= now)
+      .slice(0, Math.max(0, concurrency - running))
+      .forEach(job => run(job));
+    const retries = queued.filter(job => job.nextAttemptAt > now).map(job => job.nextAttemptAt);
+    if (retries.length > 0) {
+      retryTimer = setTimeout(pump, Math.min(...retries) - now);
+      retryTimer.unref();
+    }
+  };
+
+  // Restore persisted jobs; ones that were running when the process stopped are queued again while they have
+  // attempts left (a job that keeps taking the process down must not loop forever)
+  const ready = (async () => {
+    if (!directory) return;
+    await fs.mkdir(directory, { recursive: true });
+    const files = (await fs.readdir(directory)).filter(file => file.endsWith('.json'));
+    const restored = [];
+    for (const file of files) {
+      try {
+        restored.push(JSON.parse(await fs.readFile(path.join(directory, file), 'utf8')));
+      } catch (error) {
+        console.error(`Skipping unreadable job file ${file}:`, error.message);
+      }
+    }
+    restored
+      .filter(job => Object.hasOwn(handlers, job.type) && JOB_STATUSES.includes(job.status))
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .forEach(job => {
+        jobs.set(job.id, job);
+        if (job.status !== 'running') return;
+        if (job.attempts < job.maxAttempts) {
+          update(job, { status: 'queued' });
+        } else {
+          update(job, { status: 'failed', error: 'Interrupted by a server restart.', finishedAt: Date.now() });
+        }
+      });
+    cleanup();
+    pump();
+  })().catch(err => console.error('Job queue restore error:', err));
+
+  const enqueue = async (type, input) => {
+    if (!Object.hasOwn(handlers, type)) throw new Error(`Unknown job type "${type}"`);
+    await ready;
+    // Make room by dropping the oldest finished job; active jobs are never evicted
+    if (jobs.size >= maxJobs) {
+      const oldest = [...jobs.values()].find(job => FINISHED_STATUSES.includes(job.status));
+      if (oldest) remove(oldest.id);
+    }
+    const now = Date.now();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      status: 'queued',
+      attempts: 0,
+      maxAttempts,
+      input,
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null,
+      nextAttemptAt: null,
+    };
+    jobs.set(job.id, job);
+    persist(job);
+    pump();
+    return job;
+  };
+
+  const get = async (id) => {
+    await ready;
+    return jobs.get(id) || null;
+  };
+
+  // Queued jobs are cancelled outright; a running one is marked cancelled and its handler's signal aborted, which
+  // stops its model calls and frees its slot. Returns false for jobs that have already finished.
+  const cancel = (job) => {
+    if (FINISHED_STATUSES.includes(job.status)) return false;
+    update(job, { status: 'cancelled', nextAttemptAt: null, finishedAt: Date.now() });
+    if (controllers.has(job.id)) controllers.get(job.id).abort();
+    pump();
+    return true;
+  };
+
+  const toIso = (time) => (time ? new Date(time).toISOString() : null);
+  const describe = (job) => {
+    const waiting = [...jobs.values()].filter(item => item.status === 'queued');
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
+      queuePosition: job.status === 'queued' ? waiting.indexOf(job) + 1 : null,
+      error: job.error,
+      createdAt: toIso(job.createdAt),
+      startedAt: toIso(job.startedAt),
+      finishedAt: toIso(job.finishedAt),
+      nextAttemptAt: toIso(job.nextAttemptAt),
+    };
+  };
+
+  const stats = () => {
+    const counts = Object.fromEntries(JOB_STATUSES.map(status => [status, 0]));
+    jobs.forEach(job => { counts[job.status]++; });
+    return { concurrency, persistent: Boolean(directory), ...counts };
+  };
+
+  return {
+    enqueue,
+    get,
+    cancel,
+    describe,
+    stats,
+  };
+};
+
+module.exports = {
+  createJobQueue,
+};
@@ -0,0 +1,100 @@
+// Text normalization and keyword matching shared by the resume routes.
+
+const normalizeForMatch = (text) => (text || '')
+  .toString()
+  .toLowerCase()
+  .replace(/\s*\/\s*/g, '/')
+  .replace(/\s*,\s*/g, ',')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const normalizeLoose = (text) => (text || '')
+  .toString()
+  .toLowerCase()
+  .replace(/[^a-z0-9]/g, '');
+
+// Common spelling variants that should count as the same skill ("React.js" vs "React", "NodeJS" vs "Node")
+const stripSkillSuffixes = (value) => value
+  .replace(/(\.?js|\.?io)$/g, '')
+  .replace(/(programming|language|framework|library)$/g, '');
+
+const tokenize = (text) => normalizeForMatch(text)
+  .split(/[^a-z0-9+#.]+/)
+  .map(token => token.replace(/\.+$/, ''))
+  .filter(token => token.length > 1);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-term match on normalized text: "Java" is not found in "JavaScript", "Go" not in "Google", "C" not in "C++"
+const containsTerm = (originalNormalized, term) => {
+  const normalized = normalizeForMatch(term);
+  if (!normalized) return false;
+  return new RegExp(`(?<![a-z0-9+#])${escapeRegex(normalized)}(?![a-z0-9+#])`).test(originalNormalized);
+};
+
+// Punctuation/spacing-insensitive matching ("NodeJS" vs "Node.js", "CI/CD" vs "CI CD") is only safe for
+// multi-word or long keywords; short ones would hit inside unrelated words
+const MIN_LOOSE_LENGTH = 6;
+const allowsLooseMatch = (term) => /[\s/,-]/.test(normalizeForMatch(term)) || normalizeLoose(term).length >= MIN_LOOSE_LENGTH;
+
+const appearsIn = (term, originalNormalized, originalLoose) => containsTerm(originalNormalized, term)
+  || (allowsLooseMatch(term) && originalLoose.includes(normalizeLoose(term)));
+
+// Classify one keyword against the original text: 'matched', 'partial' or 'missing'
+const classifyKeyword = (keyword, originalNormalized, originalLoose) => {
+  const normalized = normalizeForMatch(keyword);
+  const loose = normalizeLoose(normalized);
+  if (!loose) return { status: 'missing' };
+  if (appearsIn(normalized, originalNormalized, originalLoose)) {
+    return { status: 'matched' };
+  }
+
+  const stem = stripSkillSuffixes(loose);
+  if (stem.length >= 3 && stem !== loose && appearsIn(stem, originalNormalized, originalLoose)) {
+    return { status: 'partial', reason: `found as "${stem}"` };
+  }
+
+  const tokens = tokenize(keyword).filter(token => token.length > 2);
+  if (tokens.length > 1) {
+    const found = tokens.filter(token => appearsIn(token, originalNormalized, originalLoose));
+    if (found.length / tokens.length >= 0.5) {
+      return { status: 'partial', reason: `found ${found.join(', ')}` };
+    }
+  }
+  return { status: 'missing' };
+};
+
+// Match a list of keywords against resume text and report matched / partial / missing with a percentage
+const matchKeywords = (keywords, resumeText) => {
+  const originalNormalized = normalizeForMatch(resumeText);
+  const originalLoose = normalizeLoose(originalNormalized);
+  const seen = new Set();
+  const result = { matched: [], partial: [], missing: [] };
+
+  (keywords || []).forEach(keyword => {
+    const label = (keyword || '').toString().trim();
+    const key = normalizeLoose(label);
+    if (!key || seen.has(key)) return;
+    seen.add(key);
+    const { status, reason } = classifyKeyword(label, originalNormalized, originalLoose);
+    if (status === 'partial') {
+      result.partial.push({ keyword: label, reason });
+    } else {
+      result[status].push(label);
+    }
+  });
+
+  const total = result.matched.length + result.partial.length + result.missing.length;
+  const matchPercentage = total === 0
+    ? 0
+    : Math.round(((result.matched.length + result.partial.length * 0.5) / total) * 100);
+  return { ...result, total, matchPercentage };
+};
+
+module.exports = {
+  normalizeForMatch,
+  normalizeLoose,
+  containsTerm,
+  classifyKeyword,
+  matchKeywords,
+};
@@ -0,0 +1,204 @@
+// LinkedIn profile suggestions from the uploaded resume: headline, About, experience entries and a prioritised
+// skills list, each sized to LinkedIn's field limits. Everything is checked against the original resume with the
+// shared grounding checks (grounding.js); unsupported pieces are listed per field and in the audit, never silently kept.
+
+const { stripAddedTags } = require('./resumeFormatting');
+const { normalizeForMatch } = require('./keywordMatch');
+
+// Character limits of the LinkedIn profile fields
+const LINKEDIN_LIMITS = {
+  headline: 220,
+  about: 2600,
+  experienceTitle: 100,
+  experienceDescription: 2000,
+};
+const MAX_SKILLS = 50; // LinkedIn accepts 100; beyond 50 the list stops being a priority order
+const TOP_SKILLS = 5; // "Top skills" shown in the About section
+
+const SENTENCE_SCHEMA = {
+  type: 'object',
+  required: ['text'],
+  properties: {
+    text: { type: 'string' },
+    evidence: { type: 'string', default: '' },
+  },
+};
+
+const LINKEDIN_PROFILE_SCHEMA = {
+  type: 'object',
+  required: ['headline', 'about', 'skills'],
+  properties: {
+    headline: { type: 'string' },
+    about: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['sentences'],
+        properties: { sentences: { type: 'array', minItems: 1, items: SENTENCE_SCHEMA } },
+      },
+    },
+    experience: {
+      type: 'array',
+      default: [],
+      items: {
+        type: 'object',
+        required: ['title', 'company'],
+        properties: {
+          title: { type: 'string' },
+          company: { type: 'string' },
+          dates: { type: 'string', default: '' },
+          bullets: { type: 'array', items: SENTENCE_SCHEMA, default: [] },
+        },
+      },
+    },
+    skills: { type: 'array', items: { type: 'string' } },
+  },
+};
+
+// Cut at the last " | " segment boundary that keeps most of the text, else the last sentence end or space,
+// so a field never ends mid-word
+const fitToLimit = (text, limit) => {
+  const value = text.trim();
+  if (value.length <= limit) return { text: value, truncated: false };
+  const head = value.slice(0, limit + 1);
+  const segmentCut = head.lastIndexOf(' | ');
+  const cut = segmentCut > limit / 2 ? segmentCut : Math.max(head.lastIndexOf('. ') + 1, head.lastIndexOf(' '));
+  return { text: value.slice(0, cut > 0 ? cut : limit).replace(/[\s|,;:-]+$/, ''), truncated: true };
+};
+
+const describeField = (text, limit, truncated, flagged) => ({ text, length: text.length, limit, truncated, flagged });
+
+// Words a headline wraps around the target role without claiming anything
+const HEADLINE_FILLER_WORDS = new Set(['a', 'an', 'the', 'at', 'in', 'of', 'for', 'with', 'and', 'to', 'aspiring', 'seeking', 'open']);
+
+// The segment with the target role cut out (whole words, any case), or null when it doesn't name the role
+const withoutRole = (segment, role) => {
+  const words = normalizeForMatch(role).split(' ').filter(Boolean).map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  if (words.length === 0) return null;
+  const roleRegex = new RegExp(`(?<![a-z0-9+#])${words.join('\\s+')}(?![a-z0-9+#])`, 'i');
+  return roleRegex.test(segment) ? segment.replace(roleRegex, ' ').trim() : null;
+};
+
+// profile: model output validated against LINKEDIN_PROFILE_SCHEMA; grounding: createGroundingCheck(resumeText)
+const groundLinkedinProfile = (profile, { grounding, targetRole }) => {
+  const addedEntities = [];
+  const strippedUrls = [];
+  const unverifiedMetrics = [];
+  const flag = (section, path, value, reasons) => addedEntities.push({ section, path, value, reasons });
+
+  // Sentences in order until the limit; unsupported ones are kept but flagged for the candidate to confirm
+  const joinSentences = (items, section, limit, { separator, prefix = '' }) => {
+    const flagged = [];
+    let text = '';
+    let truncated = false;
+    items.forEach(({ sentence, path, breakBefore }) => {
+      const check = grounding.checkSentence(sentence);
+      check.strippedUrls.forEach(item => strippedUrls.push({ path, ...item }));
+      if (!check.text || truncated) return;
+      const joiner = !text ? '' : (breakBefore ? separator : ' ');
+      const piece = `${joiner}${breakBefore ? prefix : ''}${check.text}`;
+      if (text.length + piece.length > limit) {
+        truncated = true;
+        return;
+      }
+      text += piece;
+      if (check.metrics.length > 0) unverifiedMetrics.push({ section, path, text: check.text, metrics: check.metrics });
+      if (check.reasons.length > 0) {
+        flagged.push(check.text);
+        flag(section, path, check.text, check.reasons);
+      }
+    });
+    return describeField(text, limit, truncated, flagged);
+  };
+
+  // Headline segments ("Backend Developer | Node.js, Express | AWS Certified") are grounded one term at a time.
+  // The target role itself is the candidate's goal, not a claim, but whatever a segment adds to it
+  // ("Senior ... at Google") is grounded word by word.
+  const headlineFit = fitToLimit(stripAddedTags(profile.headline).replace(/\s+/g, ' '), LINKEDIN_LIMITS.headline);
+  const headlineFlagged = headlineFit.text.split(/\s*[|•·]\s*/).filter(segment => {
+    if (!segment) return false;
+    const rest = withoutRole(segment, targetRole);
+    if (rest !== null) {
+      return !rest.split(/[\s,&/]+/).filter(word => word && !HEADLINE_FILLER_WORDS.has(word.toLowerCase())).every(word => grounding.isTermInOriginal(word));
+    }
+    return !segment.split(/\s*(?:,|&|\/|\band\b|\bat\b)\s*/i).filter(Boolean).every(term => grounding.isTermInOriginal(term));
+  });
+  headlineFlagged.forEach(segment => flag('headline', 'headline', segment, ['not-in-resume']));
+  const headline = describeField(headlineFit.text, LINKEDIN_LIMITS.headline, headlineFit.truncated, headlineFlagged);
+
+  const about = joinSentences(
+    profile.about.flatMap((paragraph, paragraphIndex) => paragraph.sentences.map((sentence, sentenceIndex) => ({
+      sentence,
+      path: `about[${paragraphIndex}].sentences[${sentenceIndex}]`,
+      breakBefore: sentenceIndex === 0,
+    }))),
+    'about',
+    LINKEDIN_LIMITS.about,
+    { separator: '\n\n' },
+  );
+
+  const experienceScope = grounding.sectionScope(['experience']);
+  const experience = profile.experience.map((entry, index) => {
+    const path = `experience[${index}]`;
+    const titleFit = fitToLimit(stripAddedTags(entry.title), LINKEDIN_LIMITS.experienceTitle);
+    const company = stripAddedTags(entry.company).trim();
+    const dates = stripAddedTags(entry.dates).trim();
+    const entryFlagged = [];
+    [['company', company], ['title', titleFit.text], ['dates', dates]].forEach(([field, value]) => {
+      if (!value || grounding.isInOriginal(value, experienceScope)) return;
+      entryFlagged.push(value);
+      flag('experience', `${path}.${field}`, value, ['not-in-resume']);
+    });
+    const description = joinSentences(
+      entry.bullets.map((sentence, bulletIndex) => ({ sentence, path: `${path}.bullets[${bulletIndex}]`, breakBefore: true })),
+      'experience',
+      LINKEDIN_LIMITS.experienceDescription,
+      { separator: '\n', prefix: '• ' },
+    );
+    return { title: titleFit.text, company, dates, flagged: entryFlagged, description };
+  });
+
+  // Only skills the resume names as a whole term make the list ("Java" is not in "JavaScript");
+  // the rest come back as suggestions to confirm
+  const seen = new Set();
+  const skills = [];
+  const notInResume = [];
+  profile.skills.forEach(item => {
+    const skill = stripAddedTags(item).trim();
+    const key = normalizeForMatch(skill);
+    if (!skill || seen.has(key)) return;
+    seen.add(key);
+    if (grounding.isTermInOriginal(skill)) {
+      if (skills.length < MAX_SKILLS) skills.push(skill);
+    } else {
+      notInResume.push(skill);
+    }
+  });
+  notInResume.forEach((skill, index) => flag('skills', `skills.notInResume[${index}]`, skill, ['not-in-resume']));
+
+  return {
+    headline,
+    about,
+    experience,
+    skills: { top: skills.slice(0, TOP_SKILLS), all: skills, notInResume },
+    audit: {
+      summary: {
+        addedEntities: addedEntities.length,
+        strippedUrls: strippedUrls.length,
+        unverifiedMetrics: unverifiedMetrics.length,
+        needsReview: addedEntities.length + strippedUrls.length + unverifiedMetrics.length > 0,
+      },
+      addedEntities,
+      strippedUrls,
+      unverifiedMetrics,
+    },
+  };
+};
+
+module.exports = {
+  LINKEDIN_LIMITS,
+  MAX_SKILLS,
+  LINKEDIN_PROFILE_SCHEMA,
+  groundLinkedinProfile,
+};
@@ -0,0 +1,224 @@
+// LLM provider layer: adapters for Groq, OpenAI-compatible servers (llama.cpp, Ollama, vLLM...) and a deterministic fake.
+// Every adapter exposes complete(messages, options, signal) -> string and stream(messages, options, signal) -> async iterable of tokens.
+
+const Groq = require('groq-sdk');
+const MockGroq = require('./mockGroq');
+
+const MAX_TOKENS_CAP = 2048; // Cap for efficiency on what call sites ask for; only a profile's own maxTokens may exceed it
+
+// Per-route generation settings. Routes pick a profile by name; unknown names fall back to "default".
+const DEFAULT_PROFILES = {
+  default: { temperature: 0.7, topP: 0.9, maxTokens: 1024 },
+  chat: { temperature: 0.7, topP: 0.9 },
+  chatSummary: { temperature: 0.3, topP: 0.9 },
+  resumeAnalysis: { temperature: 0.4, topP: 0.9 },
+  resumeJson: { temperature: 0.2, topP: 0.9 },
+  resumeComparison: { temperature: 0.2, topP: 0.9 },
+  jsonRepair: { temperature: 0, topP: 1 },
+  jdExtraction: { temperature: 0.1, topP: 0.9 },
+  // A full multi-phase roadmap (and a repair of it) does not fit in the default cap
+  roadmap: { temperature: 0.5, topP: 0.9, maxTokens: 4096 },
+  roadmapRepair: { temperature: 0, topP: 1, maxTokens: 4096 },
+  coverLetter: { temperature: 0.4, topP: 0.9 },
+  linkedinProfile: { temperature: 0.4, topP: 0.9 },
+  interviewQuestions: { temperature: 0.6, topP: 0.9 },
+  interviewEvaluation: { temperature: 0.2, topP: 0.9 },
+  interviewReport: { temperature: 0.3, topP: 0.9 },
+};
+
+const buildRequestBody = (messages, options, model) => ({
+  messages,
+  model,
+  temperature: options.temperature,
+  max_tokens: options.maxTokens,
+  top_p: options.topP,
+});
+
+// Adapter over a Groq SDK client (or anything with the same chat.completions.create shape)
+const createGroqProvider = ({ client, defaultModel = 'llama-3.1-8b-instant', name = 'groq' }) => ({
+  name,
+  defaultModel,
+  complete: async (messages, options, signal) => {
+    const response = await client.chat.completions.create(buildRequestBody(messages, options, options.model || defaultModel), { signal });
+    return response.choices[0].message.content;
+  },
+  stream: async function* (messages, options, signal) {
+    const stream = await client.chat.completions.create({
+      ...buildRequestBody(messages, options, options.model || defaultModel),
+      stream: true,
+    }, { signal });
+    for await (const chunk of stream) {
+      const token = chunk.choices[0]?.delta?.content;
+      if (token) yield token;
+    }
+  },
+});
+
+// Adapter for any server exposing the OpenAI /chat/completions API
+const createOpenAICompatibleProvider = ({ baseURL, apiKey = '', defaultModel, timeout = 60000, name = 'openai' }) => {
+  const endpoint = `${baseURL.replace(/\/+$/, '')}/chat/completions`;
+  const request = async (body, signal) => {
+    const timeoutSignal = AbortSignal.timeout(timeout);
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+      },
+      body: JSON.stringify(body),
+      signal: signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal,
+    });
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw new Error(`${response.status} ${detail.substring(0, 200)}`.trim());
+    }
+    return response;
+  };
+
+  return {
+    name,
+    defaultModel,
+    complete: async (messages, options, signal) => {
+      const response = await request(buildRequestBody(messages, options, options.model || defaultModel), signal);
+      const data = await response.json();
+      return data.choices[0].message.content;
+    },
+    stream: async function* (messages, options, signal) {
+      const response = await request({ ...buildRequestBody(messages, options, options.model || defaultModel), stream: true }, signal);
+      const decoder = new TextDecoder();
+      let buffered = '';
+      for await (const chunk of response.body) {
+        buffered += decoder.decode(chunk, { stream: true });
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+        for (const line of lines) {
+          const trimmed = line.trim();
+          if (!trimmed.startsWith('data:')) continue;
+          const payload = trimmed.slice(5).trim();
+          if (payload === '[DONE]') return;
+          const token = JSON.parse(payload).choices[0]?.delta?.content;
+          if (token) yield token;
+        }
+      }
+    },
+  };
+};
+
+// Deterministic provider for offline runs and tests
+const createFakeProvider = (options = {}) => createGroqProvider({
+  client: new MockGroq({ chunkDelay: 0, ...options }),
+  defaultModel: 'fake',
+  name: 'fake',
+});
+
+const createProviderFromEnv = (name, env = process.env) => {
+  switch (name) {
+    case 'groq':
+      return createGroqProvider({
+        client: new Groq({ apiKey: env.GROQ_API_KEY, timeout: 30000, maxRetries: 2 }),
+        defaultModel: env.GROQ_MODEL || 'llama-3.1-8b-instant',
+      });
+    case 'openai':
+      return createOpenAICompatibleProvider({
+        baseURL: env.OPENAI_COMPAT_BASE_URL || 'http://localhost:11434/v1',
+        apiKey: env.OPENAI_COMPAT_API_KEY || '',
+        defaultModel: env.OPENAI_COMPAT_MODEL || 'llama3.1',
+        timeout: Number(env.OPENAI_COMPAT_TIMEOUT_MS) || 60000,
+      });
+    case 'fake':
+      return createFakeProvider({ chunkDelay: 20 });
+    default:
+      throw new Error(`Unknown LLM provider "${name}" (expected groq, openai or fake)`);
+  }
+};
+
+// Profile overrides come from LLM_PROFILES, e.g. {"resumeJson":{"temperature":0.1,"model":"llama-3.3-70b-versatile"}}.
+// A profile "model" applies to the primary provider only; fallbacks use their own default model.
+const parseProfileOverrides = (raw) => {
+  if (!raw) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    console.error('Ignoring invalid LLM_PROFILES:', error.message);
+    return {};
+  }
+};
+
+const createLLMClient = ({ providers, profiles = {} }) => {
+  if (!providers || providers.length === 0) {
+    throw new Error('At least one LLM provider is required');
+  }
+  const mergedProfiles = { ...DEFAULT_PROFILES };
+  Object.entries(profiles).forEach(([profileName, overrides]) => {
+    mergedProfiles[profileName] = { ...(mergedProfiles[profileName] || {}), ...overrides };
+  });
+
+  const resolveOptions = (profileName, maxTokens, providerIndex) => {
+    const routeProfile = mergedProfiles[profileName] || {};
+    const profile = { ...mergedProfiles.default, ...routeProfile };
+    // A maxTokens set on the route profile overrides what the call site asks for and is not capped
+    const requestedTokens = routeProfile.maxTokens || Math.min(maxTokens || profile.maxTokens, MAX_TOKENS_CAP);
+    return {
+      temperature: profile.temperature,
+      topP: profile.topP,
+      maxTokens: requestedTokens,
+      model: providerIndex === 0 ? profile.model : undefined,
+    };
+  };
+
+  // Try each provider in order; the next one is only used when the previous one errors (not when the caller aborted)
+  const complete = async (messages, maxTokens, profileName = 'default', signal) => {
+    let lastError;
+    for (let index = 0; index < providers.length; index++) {
+      const provider = providers[index];
+      if (signal) signal.throwIfAborted();
+      try {
+        return await provider.complete(messages, resolveOptions(profileName, maxTokens, index), signal);
+      } catch (error) {
+        if (signal && signal.aborted) throw error;
+        lastError = error;
+        console.error(`LLM provider "${provider.name}" error:`, error.message);
+      }
+    }
+    throw lastError;
+  };
+
+  // Streams can only fall back before the first token; after that the error is surfaced to the caller
+  const stream = async function* (messages, maxTokens, profileName = 'default', signal) {
+    let lastError;
+    for (let index = 0; index < providers.length; index++) {
+      const provider = providers[index];
+      let started = false;
+      try {
+        for await (const token of provider.stream(messages, resolveOptions(profileName, maxTokens, index), signal)) {
+          started = true;
+          yield token;
+        }
+        return;
+      } catch (error) {
+        if (started || (signal && signal.aborted)) throw error;
+        lastError = error;
+        console.error(`LLM provider "${provider.name}" stream error:`, error.message);
+      }
+    }
+    throw lastError;
+  };
+
+  return {
+    complete,
+    stream,
+    providerNames: providers.map(provider => provider.name),
+    profiles: mergedProfiles,
+  };
+};
+
+module.exports = {
+  DEFAULT_PROFILES,
+  createGroqProvider,
+  createOpenAICompatibleProvider,
+  createFakeProvider,
+  createProviderFromEnv,
+  createLLMClient,
+  parseProfileOverrides,
+};
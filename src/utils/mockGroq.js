@@ -0,0 +1,60 @@
+// Offline stand-in for the Groq SDK client (used by the "fake" LLM provider; GROQ_MOCK=true or LLM_PROVIDER=fake).
+// Implements chat.completions.create for both regular and streamed calls so routes can be exercised without an API key.
+
+const DEFAULT_REPLY = 'This is a mock CypherAI response. Configure LLM_PROVIDER (or GROQ_API_KEY) to use a real model.';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const abortError = () => {
+  const error = new Error('Request was aborted.');
+  error.name = 'AbortError';
+  return error;
+};
+
+class MockGroq {
+  constructor(options = {}) {
+    // reply: string or (messages) => string; chunkDelay: ms between streamed chunks; failAfterChunks: simulate a mid-stream error
+    this.reply = options.reply || process.env.GROQ_MOCK_REPLY || DEFAULT_REPLY;
+    this.chunkDelay = options.chunkDelay !== undefined ? options.chunkDelay : 20;
+    this.failAfterChunks = options.failAfterChunks;
+    this.chat = {
+      completions: {
+        create: (params, requestOptions = {}) => this.create(params, requestOptions),
+      },
+    };
+  }
+
+  resolveReply(messages) {
+    return typeof this.reply === 'function' ? this.reply(messages) : this.reply;
+  }
+
+  async create(params, requestOptions) {
+    const content = this.resolveReply(params.messages || []);
+    const signal = requestOptions.signal;
+    if (signal && signal.aborted) throw abortError();
+
+    if (!params.stream) {
+      return {
+        choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+      };
+    }
+
+    const chunks = content.match(/\S+\s*|\s+/g) || [];
+    const { chunkDelay, failAfterChunks } = this;
+    return {
+      async *[Symbol.asyncIterator]() {
+        for (let index = 0; index < chunks.length; index++) {
+          if (signal && signal.aborted) throw abortError();
+          if (failAfterChunks !== undefined && index >= failAfterChunks) {
+            throw new Error('Mock stream failure');
+          }
+          if (chunkDelay) await sleep(chunkDelay);
+          yield { choices: [{ index: 0, delta: { content: chunks[index] }, finish_reason: null }] };
+        }
+        yield { choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] };
+      },
+    };
+  }
+}
+
+module.exports = MockGroq;
@@ -0,0 +1,280 @@
+// PDF renderer for the ideal resume. Mirrors createWordResume's sections and layout using PDFKit,
+// so the output is plain, text-selectable and ATS-friendly (standard fonts, single column, real hyperlinks).
+// Layout values come from the same document template as the DOCX; fonts map to the PDF standard families.
+
+const PDFDocument = require('pdfkit');
+const {
+  ensureArray,
+  ensureString,
+  isAddedText,
+  toDisplaySegments,
+  sanitizeUrlText,
+  getContactParts,
+  getSkillsSections,
+  normalizeCertifications,
+  getAdditionalRows,
+} = require('./resumeFormatting');
+const { getResumeTemplate, DEFAULT_TEMPLATE } = require('./documentTemplates');
+
+const CM_TO_PT = 28.35; // 1 cm ≈ 28.35 points
+const TWIP_TO_PT = 1 / 20;
+const FONT_FAMILIES = {
+  sans: {
+    regular: 'Helvetica',
+    bold: 'Helvetica-Bold',
+    italics: 'Helvetica-Oblique',
+    boldItalics: 'Helvetica-BoldOblique',
+  },
+  serif: {
+    regular: 'Times-Roman',
+    bold: 'Times-Bold',
+    italics: 'Times-Italic',
+    boldItalics: 'Times-BoldItalic',
+  },
+};
+const TEXT_COLOR = '#1f2937';
+
+const toHex = (color) => (color ? `#${color}` : undefined);
+const pt = (halfPoints) => halfPoints / 2;
+const spacingPt = (spacing = {}) => ({
+  before: (spacing.before || 0) * TWIP_TO_PT,
+  after: (spacing.after || 0) * TWIP_TO_PT,
+});
+
+const createPdfResume = (resumeData, jobRole, renderOptions = {}) => new Promise((resolve, reject) => {
+  // highlightAdded: false renders [ADDED] items in the normal text color (final submission copy)
+  const highlightAdded = renderOptions.highlightAdded !== false;
+  const template = getResumeTemplate(renderOptions.template) || getResumeTemplate(DEFAULT_TEMPLATE);
+  const { sizes, spacing, margins } = template;
+  const fonts = FONT_FAMILIES[template.fonts.pdfFamily] || FONT_FAMILIES.sans;
+  const COLORS = {
+    name: toHex(template.colors.name),
+    heading: toHex(template.colors.heading),
+    label: toHex(template.colors.label),
+    bullet: toHex(template.colors.bullet),
+    text: toHex(template.colors.body) || TEXT_COLOR,
+    muted: toHex(template.colors.muted),
+    link: toHex(template.colors.link),
+    added: toHex(template.colors.added),
+    rule: toHex(template.colors.headingBorder),
+  };
+  const indent = spacing.indent * TWIP_TO_PT;
+  const align = template.headerAlignment === 'left' ? 'left' : 'center';
+
+  const fontFor = (run) => {
+    if (run.bold && run.italics) return fonts.boldItalics;
+    if (run.bold) return fonts.bold;
+    if (run.italics) return fonts.italics;
+    return fonts.regular;
+  };
+
+  const personalInfo = resumeData.personalInfo || {};
+  const name = ensureString(personalInfo.name) || '[Your Name]';
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margins: {
+      top: margins.top * CM_TO_PT,
+      bottom: margins.bottom * CM_TO_PT,
+      left: margins.left * CM_TO_PT,
+      right: margins.right * CM_TO_PT,
+    },
+    info: { Title: `${name} - Resume`, Author: name, Subject: jobRole || '' },
+  });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const contentWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  // Turn text into styled runs, coloring [ADDED] segments red unless highlighting is off
+  const textRuns = (text, style = {}) => {
+    const segments = toDisplaySegments(text);
+    if (segments.length === 0) return [];
+    if (!highlightAdded || style.highlightAdded === false || !segments.some(segment => segment.added)) {
+      return [{ ...style, text: segments.map(segment => segment.text).join('') }];
+    }
+    return segments.map(segment => ({ ...style, text: segment.text, color: segment.added ? COLORS.added : style.color }));
+  };
+
+  const linkRuns = (text, url, style = {}) => (url
+    ? textRuns(text, { ...style, color: style.color || COLORS.link, link: url, underline: true })
+    : textRuns(text, style));
+
+  // Write runs as one wrapped paragraph; spacing values are in points
+  const writeParagraph = (runs, { align = 'left', indent = 0, before = 0, after = 0 } = {}) => {
+    const visible = runs.filter(run => run.text);
+    if (visible.length === 0) return;
+    doc.y += before;
+    const x = doc.page.margins.left + indent;
+    visible.forEach((run, index) => {
+      doc.font(fontFor(run)).fontSize(run.size || 10).fillColor(run.color || COLORS.text);
+      const options = {
+        continued: index < visible.length - 1,
+        link: run.link || null,
+        underline: Boolean(run.underline),
+        align,
+        width: contentWidth - indent,
+      };
+      if (index === 0) {
+        doc.text(run.text, x, doc.y, options);
+      } else {
+        doc.text(run.text, options);
+      }
+    });
+    doc.y += after;
+  };
+
+  const writeSectionHeading = (text, color = COLORS.heading) => {
+    // Keep headings with at least a couple of lines of their section
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 60) doc.addPage();
+    const { before, after } = spacingPt(spacing.heading);
+    writeParagraph([{ text, size: pt(sizes.heading), bold: true, color }], { before, after: COLORS.rule ? 2 : after });
+    if (COLORS.rule) {
+      const y = doc.y;
+      doc.moveTo(doc.page.margins.left, y).lineTo(doc.page.margins.left + contentWidth, y)
+        .lineWidth(0.75).strokeColor(COLORS.rule).stroke();
+      doc.y = y + after;
+    }
+  };
+
+  const writeBullet = (text, style) => writeParagraph(
+    [{ ...style, text: '• ', color: COLORS.bullet }, ...textRuns(text, style)],
+    { indent, ...spacingPt(spacing.bullet) },
+  );
+
+  const joinParts = (parts, separatorStyle, partStyle) => parts.flatMap((part, index) => [
+    ...(index > 0 ? [{ ...separatorStyle, text: ' | ' }] : []),
+    ...linkRuns(part.text, part.url, partStyle),
+  ]);
+
+  const { contactParts, linkParts } = getContactParts(personalInfo);
+  const skillsSections = getSkillsSections(resumeData.coreSkills);
+  const certifications = normalizeCertifications(resumeData.certifications);
+  const experience = ensureArray(resumeData.experience);
+  const projects = ensureArray(resumeData.projects);
+  const education = ensureArray(resumeData.education);
+  const additionalRows = getAdditionalRows(resumeData.additionalSections || {});
+  const bodySize = pt(sizes.body);
+  const detailSize = pt(sizes.detail);
+
+  // Header with name and contact lines
+  writeParagraph([{ text: name, size: pt(sizes.name), bold: true, color: COLORS.name }], { align, ...spacingPt(spacing.name) });
+  const contactStyle = { size: pt(sizes.contact), color: COLORS.muted };
+  const linkStyle = { size: pt(sizes.links), color: COLORS.link };
+  const contactRuns = contactParts.length > 0
+    ? joinParts(contactParts, contactStyle, contactStyle)
+    : [{ ...contactStyle, text: `${personalInfo.email || '[Email]'} | ${personalInfo.phone || '[Phone]'} | ${personalInfo.location || '[Location]'}` }];
+  if (template.combineContactLines) {
+    const profileRuns = linkParts.length > 0 ? [{ ...contactStyle, text: ' | ' }, ...joinParts(linkParts, linkStyle, linkStyle)] : [];
+    writeParagraph([...contactRuns, ...profileRuns], { align, ...spacingPt(spacing.links) });
+  } else {
+    writeParagraph(contactRuns, { align, ...spacingPt(spacing.contact) });
+    if (linkParts.length > 0) {
+      writeParagraph(joinParts(linkParts, linkStyle, linkStyle), { align, ...spacingPt(spacing.links) });
+    }
+  }
+
+  const sectionWriters = {
+    // Professional Summary
+    summary: () => {
+      writeSectionHeading(template.sectionTitles.summary);
+      writeParagraph(
+        textRuns(resumeData.professionalSummary || `Motivated ${jobRole} with relevant experience and skills.`, { size: bodySize, highlightAdded: false }),
+        spacingPt(spacing.summary),
+      );
+    },
+
+    // Core Skills
+    skills: () => {
+      writeSectionHeading(template.sectionTitles.skills);
+      skillsSections.forEach(section => {
+        writeParagraph([
+          { text: `${section.title}: `, size: bodySize, bold: true, color: COLORS.label },
+          ...textRuns(section.values.map(ensureString).join(', '), { size: bodySize }),
+        ], spacingPt(spacing.skillRow));
+      });
+    },
+
+    // Professional Experience
+    experience: () => {
+      if (experience.length === 0) return;
+      writeSectionHeading(template.sectionTitles.experience);
+      experience.forEach(exp => {
+        const titleLine = `${exp.company || '[Company]'} | ${exp.position || '[Position]'}${exp.duration ? ` | ${exp.duration}` : ''}`;
+        writeParagraph(textRuns(titleLine, { size: bodySize, bold: true }), spacingPt(spacing.entryTitle));
+        ensureArray(exp.achievements).forEach(achievement => writeBullet(ensureString(achievement), { size: detailSize }));
+      });
+    },
+
+    // Projects
+    projects: () => {
+      if (projects.length === 0) return;
+      writeSectionHeading(template.sectionTitles.projects);
+      projects.forEach(project => {
+        const projectName = ensureString(project.name || '[Project Name]');
+        const projectUrl = sanitizeUrlText(ensureString(project.url || project.link || '').trim());
+        writeParagraph(linkRuns(projectName, projectUrl, { size: bodySize, bold: true }), spacingPt(spacing.entryTitle));
+        if (project.description) {
+          writeParagraph(textRuns(ensureString(project.description), { size: detailSize, highlightAdded: false }), { indent, ...spacingPt(spacing.entryDetail) });
+        }
+        if (ensureArray(project.technologies).length > 0) {
+          writeParagraph(textRuns(`Technologies: ${ensureArray(project.technologies).join(', ')}`, { size: detailSize, italics: true }), { indent, ...spacingPt(spacing.entryDetail) });
+        }
+        ensureArray(project.highlights).forEach(highlight => writeBullet(ensureString(highlight), { size: detailSize }));
+      });
+    },
+
+    // Education
+    education: () => {
+      if (education.length === 0) return;
+      writeSectionHeading(template.sectionTitles.education);
+      education.forEach(edu => {
+        const details = ensureString(edu.details || '');
+        const line = `${edu.degree || '[Degree]'} | ${edu.institution || '[Institution]'} | ${edu.year || '[Year]'}`;
+        writeParagraph(textRuns(line, { size: bodySize, bold: true }), spacingPt(details ? spacing.educationLine : spacing.educationBlock));
+        if (details) {
+          writeParagraph(textRuns(details, { size: detailSize }), { indent, ...spacingPt(spacing.educationBlock) });
+        }
+      });
+    },
+
+    // Certifications
+    certifications: () => {
+      if (certifications.length === 0) return;
+      writeSectionHeading(template.sectionTitles.certifications);
+      certifications.forEach(cert => {
+        const certUrl = sanitizeUrlText(ensureString(cert.url).trim());
+        if (certUrl) {
+          writeParagraph([{ text: '• ', size: detailSize, color: COLORS.bullet }, ...linkRuns(ensureString(cert.name), certUrl, { size: detailSize })], spacingPt(spacing.bullet));
+        } else {
+          writeBullet(ensureString(cert.name), { size: detailSize });
+        }
+      });
+    },
+
+    // Additional information
+    additional: () => {
+      if (additionalRows.length === 0) return;
+      const hasAdded = highlightAdded && additionalRows.some(row => isAddedText(row.values.join(' ')));
+      writeSectionHeading(template.sectionTitles.additional, hasAdded ? COLORS.added : COLORS.heading);
+      additionalRows.forEach(row => {
+        writeParagraph([
+          { text: `${row.label}: `, size: detailSize, bold: true, color: COLORS.label },
+          ...textRuns(row.values.join(', '), { size: detailSize }),
+        ], spacingPt(spacing.additionalRow));
+      });
+    },
+  };
+
+  template.sectionOrder.forEach(sectionId => {
+    if (sectionWriters[sectionId]) sectionWriters[sectionId]();
+  });
+
+  doc.end();
+});
+
+module.exports = {
+  createPdfResume,
+};
@@ -0,0 +1,144 @@
+// Curated registry of vetted learning channels and resources for roadmaps (src/data/roadmapResources.json by default).
+// The file is plain JSON and is re-read when it changes, so entries can be edited without a code change or restart.
+
+const fs = require('fs').promises;
+const { validateSchema } = require('./schema');
+const { RESOURCE_TYPES } = require('./roadmap');
+
+const REGISTRY_ENTRY_SCHEMA = {
+  type: 'object',
+  required: ['type', 'title', 'url'],
+  properties: {
+    type: { type: 'string', enum: RESOURCE_TYPES },
+    title: { type: 'string' },
+    url: { type: 'string' },
+    aliases: { type: 'array', items: { type: 'string' }, default: [] },
+    keywords: { type: 'array', items: { type: 'string' }, default: [] },
+  },
+};
+
+const normalizeName = (value) => (value || '').toString().toLowerCase().replace(/[^a-z0-9]/g, '');
+// youtube.com/@X, www.youtube.com/@X/videos and m.youtube.com/@X all identify the same channel
+const normalizeResourceUrl = (value) => (value || '').toString().trim().toLowerCase()
+  .replace(/^https?:\/\//, '')
+  .replace(/^(www|m)\./, '')
+  .replace(/\/(videos|featured|playlists|about)\/?$/, '')
+  .replace(/[/?#]+$/, '');
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const buildRegistry = (entries) => {
+  const byUrl = new Map();
+  const byName = new Map();
+  entries.forEach(entry => {
+    byUrl.set(normalizeResourceUrl(entry.url), entry);
+    [entry.title, ...entry.aliases].forEach(name => byName.set(normalizeName(name), entry));
+  });
+  const keywordPatterns = entries.map(entry => ({
+    entry,
+    patterns: entry.keywords.map(keyword => new RegExp(`(^|[^a-z0-9+#])${escapeRegex(keyword.toLowerCase())}([^a-z0-9+#]|$)`)),
+  }));
+  return {
+    entries,
+    find: (resource) => byUrl.get(normalizeResourceUrl(resource.url)) || byName.get(normalizeName(resource.title)) || null,
+    // Entries whose keywords appear in the text, best match first
+    match: (text, type) => {
+      const haystack = (text || '').toLowerCase();
+      return keywordPatterns
+        .filter(item => !type || item.entry.type === type)
+        .map(item => ({ entry: item.entry, score: item.patterns.filter(pattern => pattern.test(haystack)).length }))
+        .filter(item => item.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .map(item => item.entry);
+    },
+  };
+};
+
+const createResourceRegistry = ({ file }) => {
+  let loaded = { mtimeMs: -1, registry: buildRegistry([]) };
+
+  // Cheap stat per call; the file is parsed again only after it changes. A broken edit keeps the last good registry.
+  const load = async () => {
+    try {
+      const { mtimeMs } = await fs.stat(file);
+      if (mtimeMs === loaded.mtimeMs) return loaded.registry;
+      const data = JSON.parse(await fs.readFile(file, 'utf8'));
+      const entries = [];
+      (Array.isArray(data.resources) ? data.resources : []).forEach((item, index) => {
+        const { value, errors } = validateSchema(item, REGISTRY_ENTRY_SCHEMA, `resources[${index}]`);
+        if (errors.length > 0 || !/^https?:\/\//i.test(value.url)) {
+          console.warn(`Resource registry: skipping ${errors[0] || `resources[${index}].url: expected http(s) URL`}`);
+          return;
+        }
+        entries.push(value);
+      });
+      loaded = { mtimeMs, registry: buildRegistry(entries) };
+    } catch (error) {
+      console.error('Resource registry error:', error.message);
+    }
+    return loaded.registry;
+  };
+
+  return { load };
+};
+
+// Check each topic's model-suggested resources against the registry:
+// known ones take the registry's title/URL, unknown YouTube channels are swapped for a vetted channel on the same
+// topic when there is one, anything else unknown stays but is flagged verified: false. Topics left without any
+// verified resource get up to maxSuggestions registry entries. URLs are never constructed from names.
+const verifyRoadmapResources = (roadmap, registry, { maxSuggestions = 2 } = {}) => {
+  const report = { verified: 0, replaced: [], unverified: [], added: [] };
+  const fromEntry = (entry) => ({ type: entry.type, title: entry.title, url: entry.url, verified: true });
+
+  const phases = roadmap.phases.map(phase => ({
+    ...phase,
+    topics: phase.topics.map(topic => {
+      const topicText = [topic.name, ...topic.subtopics].join('\n');
+      const used = new Set();
+      const resources = [];
+      const pushResource = (resource) => {
+        const key = normalizeResourceUrl(resource.url) || normalizeName(resource.title);
+        if (used.has(key)) return false;
+        used.add(key);
+        resources.push(resource);
+        return true;
+      };
+
+      topic.resources.forEach(resource => {
+        const entry = registry.find(resource);
+        if (entry) {
+          if (pushResource(fromEntry(entry))) report.verified++;
+          return;
+        }
+        const replacement = resource.type === 'youtube'
+          && registry.match(topicText, 'youtube').find(candidate => !used.has(normalizeResourceUrl(candidate.url)));
+        if (replacement) {
+          if (pushResource(fromEntry(replacement))) {
+            report.replaced.push({ topicId: topic.id, from: { title: resource.title, url: resource.url }, to: { title: replacement.title, url: replacement.url } });
+          }
+          return;
+        }
+        if (pushResource({ ...resource, verified: false })) {
+          report.unverified.push({ topicId: topic.id, type: resource.type, title: resource.title, url: resource.url });
+        }
+      });
+
+      if (!resources.some(resource => resource.verified)) {
+        registry.match(topicText)
+          .filter(entry => !used.has(normalizeResourceUrl(entry.url)))
+          .slice(0, maxSuggestions)
+          .forEach(entry => {
+            pushResource(fromEntry(entry));
+            report.added.push({ topicId: topic.id, title: entry.title, url: entry.url });
+          });
+      }
+      return { ...topic, resources };
+    }),
+  }));
+
+  return { roadmap: { ...roadmap, phases }, report };
+};
+
+module.exports = {
+  createResourceRegistry,
+  verifyRoadmapResources,
+};
@@ -0,0 +1,181 @@
+// Fabrication audit for the ideal resume: what the rewrite added, which URLs were stripped,
+// and which bullets quote numbers that never appear in the uploaded resume.
+
+const { ensureString, splitAddedSegments, stripAddedTags } = require('./resumeFormatting');
+
+// Top-level resumeData keys → section ids used by the templates
+const AUDIT_SECTIONS = {
+  personalInfo: 'contact',
+  professionalSummary: 'summary',
+  coreSkills: 'skills',
+  experience: 'experience',
+  projects: 'projects',
+  education: 'education',
+  certifications: 'certifications',
+  additionalSections: 'additional',
+};
+
+// "40%", "3x", "$1.2M", "10k+", "2,000", "5 lakh", "6 months", "3+ years"; digits glued to letters (ES6, S3, H1B) are not metrics
+const METRIC_REGEX = /(?<![A-Za-z0-9.])([$₹€£]\s*)?(\d[\d,]*(?:\.\d+)?)(?:\s*(%|x\b|k\b|m\b|lakh|crore))?(\+)?(?:\s*-?\s*(hours?|hrs?|days?|weeks?|months?|years?|yrs?)\b)?(?![A-Za-z0-9])/gi;
+const MULTIPLIERS = { k: 1e3, m: 1e6, lakh: 1e5, crore: 1e7 };
+const DURATION_UNITS = { hr: 'hour', hrs: 'hour', yr: 'year', yrs: 'year' };
+
+// Find figures in text: { text, number, index, keys }. number is the digits inside text (what placeholders replace).
+// Percentages, "Nx" multipliers and durations only verify against the same kind; everything else compares by value.
+const extractMetrics = (text) => {
+  const metrics = [];
+  const source = ensureString(text);
+  METRIC_REGEX.lastIndex = 0;
+  let match;
+  while ((match = METRIC_REGEX.exec(source)) !== null) {
+    const value = parseFloat(match[2].replace(/,/g, ''));
+    if (Number.isNaN(value)) continue;
+    const unit = (match[3] || '').toLowerCase();
+    const durationUnit = (match[5] || '').toLowerCase();
+    const duration = DURATION_UNITS[durationUnit] || durationUnit.replace(/s$/, '');
+    const kind = duration ? ` ${duration}` : (unit === '%' || unit === 'x' ? unit : '');
+    const keys = [`${value}${kind}`];
+    if (MULTIPLIERS[unit]) keys.push(`${value * MULTIPLIERS[unit]}`);
+    metrics.push({ text: match[0].trim(), number: match[2], index: match.index, keys });
+  }
+  return metrics;
+};
+
+const createMetricIndex = (sourceText) => new Set(extractMetrics(sourceText).flatMap(metric => metric.keys));
+
+const isVerifiedMetric = (metric, metricIndex) => metric.keys.some(key => metricIndex.has(key));
+
+const findUnverifiedMetrics = (text, metricIndex) => extractMetrics(stripAddedTags(text))
+  .filter(metric => !isVerifiedMetric(metric, metricIndex))
+  .map(metric => metric.text);
+
+// Free-text fields where the rewrite tends to invent figures; fn(text, path, section) returns the new text
+const mapMetricFields = (resumeData, fn) => {
+  const mapText = (text, path, section) => (typeof text === 'string' ? fn(text, path, section) : text);
+  const mapList = (list, path, section) => (Array.isArray(list)
+    ? list.map((item, index) => mapText(item, `${path}[${index}]`, section))
+    : list);
+  return {
+    ...resumeData,
+    professionalSummary: mapText(resumeData.professionalSummary, 'professionalSummary', 'summary'),
+    experience: Array.isArray(resumeData.experience)
+      ? resumeData.experience.map((exp, index) => (exp && typeof exp === 'object'
+        ? { ...exp, achievements: mapList(exp.achievements, `experience[${index}].achievements`, 'experience') }
+        : exp))
+      : resumeData.experience,
+    projects: Array.isArray(resumeData.projects)
+      ? resumeData.projects.map((project, index) => (project && typeof project === 'object'
+        ? {
+          ...project,
+          description: mapText(project.description, `projects[${index}].description`, 'projects'),
+          highlights: mapList(project.highlights, `projects[${index}].highlights`, 'projects'),
+        }
+        : project))
+      : resumeData.projects,
+  };
+};
+
+// Every [ADDED]...[/ADDED] segment anywhere in resumeData, with a JSON-style path to it
+const collectAddedEntities = (resumeData) => {
+  const entities = [];
+  const visit = (value, path, section) => {
+    if (typeof value === 'string') {
+      splitAddedSegments(value)
+        .filter(segment => segment.added && segment.text.trim())
+        .forEach(segment => entities.push({ section, path, value: segment.text.trim() }));
+    } else if (Array.isArray(value)) {
+      value.forEach((item, index) => visit(item, `${path}[${index}]`, section));
+    } else if (value && typeof value === 'object') {
+      Object.keys(value).forEach(key => visit(value[key], `${path}.${key}`, section));
+    }
+  };
+  Object.keys(resumeData || {}).forEach(key => visit(resumeData[key], key, AUDIT_SECTIONS[key] || key));
+  return entities;
+};
+
+// Summary and bullet text whose numbers are not backed by the original resume
+const collectUnverifiedMetrics = (resumeData, sourceText) => {
+  const metricIndex = createMetricIndex(sourceText);
+  const results = [];
+  mapMetricFields(resumeData, (text, path, section) => {
+    const metrics = findUnverifiedMetrics(text, metricIndex);
+    if (metrics.length > 0) {
+      results.push({ section, path, text: stripAddedTags(text).trim(), metrics });
+    }
+    return text;
+  });
+  return results;
+};
+
+// How unsupported figures in generated text are handled:
+// warn leaves the text alone (the audit still lists them), tag marks each figure [ADDED] so renderers highlight it,
+// strip swaps the digits for an "[X]" placeholder the candidate has to fill in ("by [X]%", "[X] months").
+const METRIC_CHECK_MODES = ['warn', 'tag', 'strip'];
+const METRIC_PLACEHOLDER = '[X]';
+
+// Returns a copy of resumeData; figures already inside an [ADDED] segment are left as they are
+const applyMetricCheck = (resumeData, sourceText, mode) => {
+  if (mode === 'warn' || !resumeData) return resumeData;
+  const metricIndex = createMetricIndex(sourceText);
+  const rewrite = (text) => {
+    let output = '';
+    let lastIndex = 0;
+    extractMetrics(text).forEach(metric => {
+      if (isVerifiedMetric(metric, metricIndex)) return;
+      output += text.slice(lastIndex, metric.index);
+      output += mode === 'tag'
+        ? `[ADDED]${metric.text}[/ADDED]`
+        : metric.text.replace(metric.number, METRIC_PLACEHOLDER);
+      lastIndex = metric.index + metric.text.length;
+    });
+    return output + text.slice(lastIndex);
+  };
+  return mapMetricFields(resumeData, (text) => splitAddedSegments(text)
+    .map(segment => (segment.added ? `[ADDED]${segment.text}[/ADDED]` : rewrite(segment.text)))
+    .join(''));
+};
+
+// strippedUrls: [{ path, url, reason }] recorded while sanitising the model output
+const createResumeAudit = ({ resumeData, sourceText, strippedUrls = [] }) => {
+  const addedEntities = collectAddedEntities(resumeData);
+  const unverifiedMetrics = collectUnverifiedMetrics(resumeData || {}, sourceText);
+  return {
+    summary: {
+      addedEntities: addedEntities.length,
+      strippedUrls: strippedUrls.length,
+      unverifiedMetrics: unverifiedMetrics.length,
+      needsReview: addedEntities.length + strippedUrls.length + unverifiedMetrics.length > 0,
+    },
+    addedEntities,
+    strippedUrls,
+    unverifiedMetrics,
+  };
+};
+
+// Response headers for document downloads; the full audit is dropped from the headers when it would be too large
+const MAX_AUDIT_HEADER_LENGTH = 6000;
+const AUDIT_HEADERS = ['X-Resume-Audit', 'X-Resume-Audit-Summary'];
+const getAuditHeaders = (audit) => {
+  const { summary } = audit;
+  const headers = {
+    'X-Resume-Audit-Summary': `addedEntities=${summary.addedEntities}; strippedUrls=${summary.strippedUrls}; unverifiedMetrics=${summary.unverifiedMetrics}`
+      + (audit.metricCheck ? `; metricCheck=${audit.metricCheck}` : ''),
+  };
+  const encoded = Buffer.from(JSON.stringify(audit), 'utf8').toString('base64');
+  if (encoded.length <= MAX_AUDIT_HEADER_LENGTH) {
+    headers['X-Resume-Audit'] = encoded;
+  }
+  return headers;
+};
+
+module.exports = {
+  AUDIT_HEADERS,
+  METRIC_CHECK_MODES,
+  extractMetrics,
+  findUnverifiedMetrics,
+  createMetricIndex,
+  collectAddedEntities,
+  createResumeAudit,
+  applyMetricCheck,
+  getAuditHeaders,
+};
@@ -0,0 +1,130 @@
+// Local comparison of two versions of a resume analysed for the same role: section-level line diff,
+// score changes from the /upload-file breakdown and role keywords gained or lost. No LLM call.
+
+const { SECTION_HEADINGS, BULLET_REGEX } = require('./resumeParser');
+
+const DIFF_SECTIONS = ['contact', ...Object.keys(SECTION_HEADINGS)];
+const ANALYSIS_SCORES = [
+  { id: 'atsCompatibility', label: 'ATS Compatibility' },
+  { id: 'contentRelevance', label: 'Content Relevance' },
+  { id: 'structureFormatting', label: 'Structure and Formatting' },
+  { id: 'overall', label: 'Overall' },
+];
+const MAX_DIFF_LINES = 400; // per section; longer sections are compared as a whole
+
+// Bullets, case and spacing don't make a line different
+const normalizeLine = (line) => line.replace(BULLET_REGEX, '').replace(/\s+/g, ' ').trim().toLowerCase();
+
+const toSectionLines = (text) => (text || '')
+  .split('\n')
+  .map(line => ({ text: line.replace(BULLET_REGEX, '').trim(), key: normalizeLine(line) }))
+  .filter(line => line.key);
+
+// Longest-common-subsequence line diff: [{ type: 'unchanged' | 'added' | 'removed', text }]
+const diffLines = (previousLines, currentLines) => {
+  if (previousLines.length > MAX_DIFF_LINES || currentLines.length > MAX_DIFF_LINES) {
+    return [
+      ...previousLines.map(line => ({ type: 'removed', text: line.text })),
+      ...currentLines.map(line => ({ type: 'added', text: line.text })),
+    ];
+  }
+  const rows = previousLines.length;
+  const cols = currentLines.length;
+  const lengths = Array.from({ length: rows + 1 }, () => new Array(cols + 1).fill(0));
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lengths[i][j] = previousLines[i].key === currentLines[j].key
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (previousLines[i].key === currentLines[j].key) {
+      changes.push({ type: 'unchanged', text: currentLines[j].text });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      changes.push({ type: 'removed', text: previousLines[i].text });
+      i++;
+    } else {
+      changes.push({ type: 'added', text: currentLines[j].text });
+      j++;
+    }
+  }
+  while (i < rows) changes.push({ type: 'removed', text: previousLines[i++].text });
+  while (j < cols) changes.push({ type: 'added', text: currentLines[j++].text });
+  return changes;
+};
+
+// { contact, summary, experience, ... } text per section; a resume the parser couldn't split is one "document" section
+const getSectionTexts = (resume) => {
+  const sectionText = resume.sectionText || {};
+  if (Object.keys(sectionText).length === 0) return { document: resume.text || '' };
+  return { contact: resume.header || '', ...sectionText };
+};
+
+// resume: { text, header, sectionText } (parseResume output plus the full text)
+const diffResumeSections = (previousResume, currentResume) => {
+  const previous = getSectionTexts(previousResume);
+  const current = getSectionTexts(currentResume);
+  const ids = [...DIFF_SECTIONS, 'document'].filter(id => previous[id] !== undefined || current[id] !== undefined);
+  return ids.map(section => {
+    const changes = diffLines(toSectionLines(previous[section]), toSectionLines(current[section]));
+    const added = changes.filter(change => change.type === 'added').map(change => change.text);
+    const removed = changes.filter(change => change.type === 'removed').map(change => change.text);
+    let status = 'unchanged';
+    if (!previous[section]) status = 'added';
+    else if (!current[section]) status = 'removed';
+    else if (added.length > 0 || removed.length > 0) status = 'changed';
+    return {
+      section,
+      status,
+      added,
+      removed,
+      unchanged: changes.length - added.length - removed.length,
+      changes,
+    };
+  });
+};
+
+const scoreChange = (previous, current) => ({
+  previous,
+  current,
+  change: typeof previous === 'number' && typeof current === 'number' ? current - previous : null,
+});
+
+// analysis records: { scores: { atsCompatibility, ... }, ats: scoreResume() result }
+const compareScores = (previous, current) => {
+  const previousRules = new Map(previous.ats.rules.map(rule => [rule.id, rule]));
+  return {
+    scores: ANALYSIS_SCORES.map(({ id, label }) => ({ id, label, ...scoreChange(previous.scores[id], current.scores[id]) })),
+    atsRules: current.ats.rules.map(rule => ({
+      id: rule.id,
+      label: rule.label,
+      ...scoreChange(previousRules.has(rule.id) ? previousRules.get(rule.id).score : null, rule.score),
+    })),
+  };
+};
+
+// Role keywords from the deterministic ATS keyword rule
+const compareKeywords = (previousAts, currentAts) => {
+  const keywordsOf = (ats) => ats.rules.find(rule => rule.id === 'keywords') || { matched: [], missing: [] };
+  const previous = keywordsOf(previousAts);
+  const current = keywordsOf(currentAts);
+  return {
+    newlyCovered: current.matched.filter(keyword => !previous.matched.includes(keyword)),
+    lost: previous.matched.filter(keyword => !current.matched.includes(keyword)),
+    stillMissing: current.missing,
+  };
+};
+
+module.exports = {
+  ANALYSIS_SCORES,
+  diffLines,
+  diffResumeSections,
+  compareScores,
+  compareKeywords,
+};
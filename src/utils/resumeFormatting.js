@@ -0,0 +1,163 @@
+// Format-independent helpers shared by the resume renderers (DOCX, PDF).
+// They turn the post-processed resumeData JSON into plain values; each renderer decides how to draw them.
+
+const ADDED_TAG_REGEX = /\[ADDED\]([\s\S]*?)\[\/ADDED\]/g;
+const IN_PROGRESS_REGEX = /\(in-progress\)|\(in\-progess\)/gi;
+
+const ensureArray = (value) => (Array.isArray(value) ? value : []);
+const ensureString = (value) => (value ? value.toString() : '');
+const stripAddedTags = (text) => ensureString(text).replace(/\[ADDED\]|\[\/ADDED\]/g, '');
+
+const isAddedText = (value) => {
+  ADDED_TAG_REGEX.lastIndex = 0;
+  return ADDED_TAG_REGEX.test(ensureString(value));
+};
+
+// Split text into [{ text, added }] segments around [ADDED]...[/ADDED] tags
+const splitAddedSegments = (text) => {
+  ADDED_TAG_REGEX.lastIndex = 0;
+  const segments = [];
+  let lastIndex = 0;
+  let match;
+  while ((match = ADDED_TAG_REGEX.exec(text)) !== null) {
+    if (match.index > lastIndex) {
+      segments.push({ text: text.slice(lastIndex, match.index), added: false });
+    }
+    segments.push({ text: match[1], added: true });
+    lastIndex = match.index + match[0].length;
+  }
+  if (lastIndex < text.length) {
+    segments.push({ text: text.slice(lastIndex), added: false });
+  }
+  return segments;
+};
+
+// Segments ready for drawing: in-progress markers removed, stray tags stripped, empty pieces dropped
+const toDisplaySegments = (text) => {
+  if (!text) return [];
+  const normalized = text.toString().replace(IN_PROGRESS_REGEX, '').replace(/ {2,}/g, ' ');
+  return splitAddedSegments(normalized)
+    .map(segment => ({ text: stripAddedTags(segment.text), added: segment.added }))
+    .filter(segment => segment.text.length > 0);
+};
+
+const sanitizeUrlText = (value) => {
+  if (!value) return '';
+  const cleaned = value.toString()
+    .replace(/\[ADDED\]|\[\/ADDED\]/g, '')
+    .replace(IN_PROGRESS_REGEX, '')
+    .trim();
+  if (!cleaned) return '';
+  const lower = cleaned.toLowerCase();
+  if (lower.startsWith('file:')) return '';
+  if (/^[a-zA-Z]:\\/.test(cleaned)) return '';
+  if (/^[a-zA-Z]:\//.test(cleaned)) return '';
+  if (cleaned.includes('\\')) return '';
+  if (/\s/.test(cleaned)) return '';
+  if (cleaned.includes('@')) return cleaned;
+  if (/^(mailto:|tel:)/i.test(cleaned)) return cleaned;
+  if (/^https?:\/\//i.test(cleaned)) {
+    return cleaned.replace(/^http:\/\//i, 'https://');
+  }
+  if (/\./.test(cleaned)) {
+    return `https://${cleaned}`;
+  }
+  return '';
+};
+
+// Contact line (email | phone | location) and profile link line (linkedin | github | portfolio) as { text, url } parts
+const getContactParts = (personalInfo = {}) => {
+  const email = ensureString(personalInfo.email);
+  const phone = ensureString(personalInfo.phone);
+  const location = ensureString(personalInfo.location);
+  const linkedin = ensureString(personalInfo.linkedin);
+  const github = ensureString(personalInfo.github);
+  const portfolio = ensureString(personalInfo.portfolio || personalInfo.website || '');
+  const emailUrl = sanitizeUrlText(email);
+  const phoneUrl = sanitizeUrlText(phone).replace(/\s+/g, '');
+
+  const contactParts = [];
+  if (email) contactParts.push({ text: email, url: emailUrl ? `mailto:${emailUrl}` : '' });
+  if (phone) contactParts.push({ text: phone, url: phoneUrl ? `tel:${phoneUrl}` : '' });
+  if (location) contactParts.push({ text: location, url: '' });
+
+  const linkParts = [
+    linkedin ? { text: linkedin, url: sanitizeUrlText(linkedin) } : null,
+    github ? { text: github, url: sanitizeUrlText(github) } : null,
+    portfolio ? { text: portfolio, url: sanitizeUrlText(portfolio) } : null,
+  ].filter(Boolean);
+
+  return { contactParts, linkParts };
+};
+
+const getSkillsSections = (skillsData) => {
+  if (Array.isArray(skillsData)) {
+    return [{ title: 'Skills', values: skillsData }];
+  }
+  if (skillsData && typeof skillsData === 'object') {
+    return Object.entries(skillsData).map(([category, values]) => ({
+      title: category,
+      values: Array.isArray(values) ? values : [],
+    }));
+  }
+  return [];
+};
+
+const normalizeCertifications = (certifications) => ensureArray(certifications)
+  .map(item => {
+    if (typeof item === 'string') return { name: item, url: '' };
+    if (item && typeof item === 'object') return { name: item.name || '', url: item.url || '' };
+    return { name: '', url: '' };
+  })
+  .filter(item => item.name);
+
+// Additional information rows that have content, in display order
+const getAdditionalRows = (additionalSections = {}) => [
+  { label: 'Languages', values: ensureArray(additionalSections.languages) },
+  { label: 'Achievements', values: ensureArray(additionalSections.achievements) },
+  { label: 'Volunteering', values: ensureArray(additionalSections.volunteering) },
+].filter(row => row.values.length > 0);
+
+// Shape check for client-supplied resumeData (e.g. an edited copy sent back for rendering); returns a list of problems
+const RESUME_LIST_FIELDS = ['experience', 'projects', 'education', 'certifications'];
+const checkResumeData = (resumeData) => {
+  if (!resumeData || typeof resumeData !== 'object' || Array.isArray(resumeData)) {
+    return ['resumeData must be an object.'];
+  }
+  const problems = [];
+  if (resumeData.personalInfo !== undefined && (typeof resumeData.personalInfo !== 'object' || Array.isArray(resumeData.personalInfo) || resumeData.personalInfo === null)) {
+    problems.push('personalInfo must be an object.');
+  }
+  if (resumeData.professionalSummary !== undefined && typeof resumeData.professionalSummary !== 'string') {
+    problems.push('professionalSummary must be a string.');
+  }
+  if (resumeData.coreSkills !== undefined && (typeof resumeData.coreSkills !== 'object' || resumeData.coreSkills === null)) {
+    problems.push('coreSkills must be a list or an object of lists.');
+  }
+  RESUME_LIST_FIELDS.forEach(field => {
+    if (resumeData[field] !== undefined && !Array.isArray(resumeData[field])) {
+      problems.push(`${field} must be a list.`);
+    }
+  });
+  if (resumeData.additionalSections !== undefined && (typeof resumeData.additionalSections !== 'object' || Array.isArray(resumeData.additionalSections) || resumeData.additionalSections === null)) {
+    problems.push('additionalSections must be an object.');
+  }
+  return problems;
+};
+
+module.exports = {
+  ADDED_TAG_REGEX,
+  IN_PROGRESS_REGEX,
+  ensureArray,
+  ensureString,
+  stripAddedTags,
+  isAddedText,
+  splitAddedSegments,
+  toDisplaySegments,
+  sanitizeUrlText,
+  getContactParts,
+  getSkillsSections,
+  normalizeCertifications,
+  getAdditionalRows,
+  checkResumeData,
+};
@@ -0,0 +1,415 @@
+// Local, rule-based resume parser. Splits extracted resume text (see resumeText.js) into contact info,
+// summary, skills, experience, projects, education, certifications and additional sections using
+// heading detection, date-range recognition and bullet detection. No LLM call; every field carries a
+// 0..1 confidence so callers can fall back to the raw text when parsing is unsure.
+
+const SECTION_HEADINGS = {
+  summary: /^(professional\s+)?(summary|profile|objective|about\s+me|career\s+objective)\b/i,
+  experience: /^(professional\s+|work\s+)?(experience|employment(\s+history)?|internships?|work\s+history)\b/i,
+  education: /^(education|academic\s+(background|qualifications?)|qualifications?)\b/i,
+  skills: /^(technical\s+|core\s+|key\s+)?(skills|competencies|technologies|tech\s+stack|expertise)\b/i,
+  projects: /^(academic\s+|personal\s+|key\s+)?projects?\b/i,
+  certifications: /^(certifications?|certificates?|licenses?|courses)\b/i,
+  additional: /^(additional\s+information|achievements?|awards?|honou?rs|languages|volunteer(ing)?|interests|hobbies|extra[\s-]?curricular(\s+activities)?|positions?\s+of\s+responsibility)\b/i,
+};
+const SECTION_IDS = Object.keys(SECTION_HEADINGS);
+
+const EMAIL_REGEX = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/i;
+const PHONE_CANDIDATE_REGEX = /\+?\(?\d[\d\s().-]{8,}\d/g;
+const PROFILE_REGEX = /(linkedin\.com\/in\/|github\.com\/|gitlab\.com\/|portfolio|behance\.net\/)/i;
+const URL_REGEX = /\b(?:https?:\/\/)?(?:www\.)?[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|in|org|net|io|ai|dev|app|edu|gov|co|us|me|xyz)(?:\/[^\s|,;)>]*)?/gi;
+const BULLET_REGEX = /^\s*(?:[•●▪■◦‣∙·*–-]|\d+[.)])\s+/;
+const MONTH = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+const DATE_POINT = `(?:${MONTH}\\s+|(?:0?[1-9]|1[0-2])[/.-])?(?:19|20)\\d{2}`;
+const DATE_RANGE_REGEX = new RegExp(`(?:${MONTH}\\s+)?(?:19|20)\\d{2}\\s*(?:-|–|—|to)\\s*(?:(?:${MONTH}\\s+)?(?:19|20)\\d{2}|present|current|now|ongoing)`, 'gi');
+const DATE_RANGE_PARTS_REGEX = new RegExp(`(${DATE_POINT})\\s*(?:-|–|—|to)\\s*(${DATE_POINT}|present|current|now|ongoing|till\\s+date)`, 'i');
+const SINGLE_DATE_REGEX = new RegExp(`\\b${DATE_POINT}\\b`, 'i');
+const YEAR_REGEX = /\b(?:19|20)\d{2}\b/;
+
+const POSITION_REGEX = /\b(engineer|developer|intern(ship)?|manager|analyst|lead|consultant|designer|scientist|architect|specialist|associate|administrator|officer|assistant|coordinator|trainee|programmer|tester|founder|director|head|executive|researcher|fellow|volunteer|member|representative|tutor|teaching)\b/i;
+const DEGREE_REGEX = /\b(b\.?\s?tech|m\.?\s?tech|b\.?\s?e\b|m\.?\s?e\b|b\.?\s?sc|m\.?\s?sc|b\.?\s?com|m\.?\s?com|b\.?\s?a\b|m\.?\s?a\b|bca|mca|bba|mba|ph\.?\s?d|bachelor|master|diploma|doctorate|associate\s+degree|hsc|ssc|cbse|icse|higher\s+secondary|secondary|high\s+school|class\s+(x|xii|10|12)|(10|12)th|honou?rs\s+in)\b/i;
+const INSTITUTION_REGEX = /\b(university|institute|college|school|academy|iit|nit|iiit|polytechnic|vidyalaya)\b/i;
+const GRADE_REGEX = /\b\d+(?:\.\d+)?\s*%|\b\d+(?:\.\d+)?\s*(?:\/\s*\d+(?:\.\d+)?\s*)?(?:cgpa|sgpa|gpa|percent(?:age)?)\b|\b(?:cgpa|sgpa|gpa|percentage)\s*[:-]?\s*\d+(?:\.\d+)?/i;
+const TECH_LABEL_REGEX = /^(technologies|tech(?:nology)?\s+stack|tech|built\s+with|tools(?:\s+used)?|stack)\s*[:-]\s*/i;
+const LOCATION_REGEX = /^[A-Z][A-Za-z .'-]+,\s*[A-Z][A-Za-z .'-]+(?:,\s*[A-Z][A-Za-z .'-]+)?$/;
+const SEPARATOR_REGEX = /\s+[|•·]\s+|\s+[-–—]\s+|\t+|\s{3,}/;
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const toLines = (rawText) => (rawText || '')
+  .replace(/\r\n/g, '\n')
+  .split('\n')
+  .map(line => line.trim())
+  .filter(Boolean);
+
+const isBullet = (line) => BULLET_REGEX.test(line);
+const stripBullet = (line) => line.replace(BULLET_REGEX, '').trim();
+const splitParts = (line) => line.split(SEPARATOR_REGEX).map(part => part.trim()).filter(Boolean);
+// Entry headers also use "Title, Company" or "Title at Company"
+const splitHeaderParts = (line) => splitParts(line)
+  .flatMap(part => part.split(/,\s+|\s+at\s+|\s+@\s+/))
+  .map(part => part.trim())
+  .filter(Boolean);
+const splitList = (text) => text
+  .split(/\s*[,;|•·]\s*|\s+[-–]\s+/)
+  .map(value => value.replace(/^(and|&)\s+/i, '').replace(/[.]$/, '').trim())
+  .filter(value => value && value.length <= 60);
+
+// First 10-13 digit candidate that is not a year range like "2019 2023"
+const findPhoneNumber = (text) => (text.match(PHONE_CANDIDATE_REGEX) || [])
+  .map(candidate => candidate.trim())
+  .find(candidate => {
+    const digits = candidate.replace(/\D/g, '');
+    return digits.length >= 10 && digits.length <= 13 && !/^(19|20)\d{2}(19|20)\d{2}$/.test(digits);
+  }) || '';
+const hasPhoneNumber = (text) => Boolean(findPhoneNumber(text));
+
+// Section heading for a line, or null. Headings are short lines; trailing colons and decorations are ignored.
+const detectHeading = (line) => {
+  if (isBullet(line)) return null;
+  const candidate = line.replace(/[:|_=*#-]+$/g, '').trim();
+  if (!candidate || candidate.length > 40) return null;
+  return SECTION_IDS.find(section => SECTION_HEADINGS[section].test(candidate)) || null;
+};
+
+// First line index of each detected section ({ experience: 12, ... })
+const detectSections = (lines) => {
+  const found = {};
+  lines.forEach((line, index) => {
+    const section = detectHeading(line);
+    if (section && found[section] === undefined) {
+      found[section] = index;
+    }
+  });
+  return found;
+};
+
+// { text, start, end, current } for the first date range in a line, or null
+const findDateRange = (line) => {
+  const match = line.match(DATE_RANGE_PARTS_REGEX);
+  if (match) {
+    const current = /present|current|now|ongoing|till/i.test(match[2]);
+    return { text: match[0].trim(), start: match[1].trim(), end: current ? 'Present' : match[2].trim(), current };
+  }
+  const single = line.match(SINGLE_DATE_REGEX);
+  return single ? { text: single[0].trim(), start: '', end: single[0].trim(), current: false } : null;
+};
+
+const removeText = (line, text) => (text ? line.replace(text, ' ') : line)
+  .replace(/[(),|–—-]\s*$/g, '')
+  .replace(/^\s*[(),|–—-]/g, '')
+  .replace(/\(\s*\)/g, '')
+  .replace(/\s*,(\s*,)+/g, ',')
+  .replace(/\s{2,}/g, ' ')
+  .trim();
+
+// Email domains would otherwise match as bare URLs; bare domains must be lowercase so "B.Tech" or "ASP.NET" are not links
+const extractUrls = (text) => (text.replace(new RegExp(EMAIL_REGEX.source, 'gi'), ' ').match(URL_REGEX) || [])
+  .map(url => url.replace(/[.,;:]+$/, ''))
+  .filter(url => /^(https?:\/\/|www\.)/i.test(url) || url.includes('/') || url === url.toLowerCase());
+
+// Group section lines into entries: a new entry starts at a non-bullet line after bullets,
+// or at a second date range inside the same header block
+const groupEntries = (lines) => {
+  const entries = [];
+  let current = null;
+  lines.forEach(line => {
+    if (isBullet(line)) {
+      if (!current) {
+        current = { header: [], bullets: [], dateRange: null };
+        entries.push(current);
+      }
+      current.bullets.push(stripBullet(line));
+      return;
+    }
+    const dateRange = findDateRange(line);
+    if (!current || current.bullets.length > 0 || (dateRange && current.dateRange)) {
+      current = { header: [], bullets: [], dateRange: null };
+      entries.push(current);
+    }
+    current.header.push(line);
+    if (dateRange && !current.dateRange) current.dateRange = dateRange;
+  });
+  return entries;
+};
+
+const parseContact = (headerLines, allText) => {
+  const nameLine = headerLines.find(line => !EMAIL_REGEX.test(line) && !hasPhoneNumber(line) && !extractUrls(line).length);
+  const nameCandidate = nameLine ? splitParts(nameLine)[0] : '';
+  const nameLooksRight = /^[A-Za-z][A-Za-z.'-]*(\s+[A-Za-z][A-Za-z.'-]*){1,3}$/.test(nameCandidate) && !detectHeading(nameCandidate);
+  const emailMatch = (headerLines.join(' ').match(EMAIL_REGEX) || allText.match(EMAIL_REGEX) || [''])[0];
+  const phone = findPhoneNumber(headerLines.join(' ')) || findPhoneNumber(allText);
+  const urls = extractUrls(headerLines.join(' ')).concat(extractUrls(allText));
+  const linkedin = urls.find(url => /linkedin\.com/i.test(url)) || '';
+  const github = urls.find(url => /github\.com/i.test(url)) || '';
+  const portfolio = urls.find(url => !/linkedin\.com|github\.com/i.test(url)) || '';
+  const location = headerLines
+    .flatMap(splitParts)
+    .find(part => LOCATION_REGEX.test(part) && !EMAIL_REGEX.test(part) && part !== nameCandidate) || '';
+
+  return {
+    value: { name: nameLooksRight ? nameCandidate : '', email: emailMatch, phone, location, linkedin, github, portfolio },
+    confidence: {
+      name: nameLooksRight ? (headerLines[0] && headerLines[0].startsWith(nameCandidate) ? 0.9 : 0.6) : 0,
+      email: emailMatch ? 1 : 0,
+      phone: phone ? 0.9 : 0,
+      location: location ? 0.6 : 0,
+      linkedin: linkedin ? 1 : 0,
+      github: github ? 1 : 0,
+      portfolio: portfolio ? 0.7 : 0,
+    },
+  };
+};
+
+const parseSkills = (lines) => {
+  const categories = [];
+  const uncategorized = [];
+  lines.forEach(line => {
+    const content = stripBullet(line);
+    const labelled = content.match(/^([A-Za-z][A-Za-z /&+-]{1,40}):\s*(.+)$/);
+    if (labelled) {
+      categories.push({ title: labelled[1].trim(), values: splitList(labelled[2]) });
+    } else {
+      uncategorized.push(...splitList(content));
+    }
+  });
+  if (uncategorized.length > 0) categories.push({ title: 'Skills', values: uncategorized });
+  const all = Array.from(new Set(categories.flatMap(category => category.values)));
+  return { categories, all };
+};
+
+const parseExperience = (lines) => groupEntries(lines).map(entry => {
+  const headerText = entry.header.join(' | ');
+  const parts = splitHeaderParts(removeText(headerText, entry.dateRange && entry.dateRange.text));
+  const position = parts.find(part => POSITION_REGEX.test(part)) || '';
+  const company = parts.find(part => part !== position && !LOCATION_REGEX.test(part)) || '';
+  const location = parts.find(part => part !== company && part !== position && LOCATION_REGEX.test(part)) || '';
+  return {
+    company,
+    position,
+    location,
+    duration: entry.dateRange ? entry.dateRange.text : '',
+    dateRange: entry.dateRange,
+    bullets: entry.bullets,
+    confidence: round2((entry.dateRange ? 0.4 : 0) + (position ? 0.3 : 0) + (company ? 0.2 : 0) + (entry.bullets.length ? 0.1 : 0)),
+  };
+});
+
+const parseProjects = (lines) => groupEntries(lines).map(entry => {
+  const [title = '', ...rest] = entry.header;
+  const urls = extractUrls([...entry.header, ...entry.bullets].join(' '));
+  let technologies = [];
+  const description = [];
+  rest.forEach(line => {
+    if (TECH_LABEL_REGEX.test(line)) technologies = splitList(line.replace(TECH_LABEL_REGEX, ''));
+    else description.push(line);
+  });
+  const bullets = entry.bullets.filter(bullet => {
+    if (!TECH_LABEL_REGEX.test(bullet)) return true;
+    technologies = splitList(bullet.replace(TECH_LABEL_REGEX, ''));
+    return false;
+  });
+  let titleText = removeText(title, entry.dateRange && entry.dateRange.text);
+  urls.forEach(url => { titleText = removeText(titleText, url); });
+  const [name = '', ...titleRest] = splitParts(titleText);
+  // "Name (React, Node.js)" or "Name | React, Node.js"
+  const inlineTech = name.match(/^(.+?)\s*\(([^)]+)\)$/);
+  if (technologies.length === 0 && inlineTech) technologies = splitList(inlineTech[2]);
+  if (technologies.length === 0 && titleRest.length > 0 && /,/.test(titleRest.join(' '))) {
+    technologies = splitList(titleRest.join(', '));
+  } else {
+    description.unshift(...titleRest);
+  }
+  return {
+    name: inlineTech ? inlineTech[1].trim() : name,
+    url: urls[0] || '',
+    duration: entry.dateRange ? entry.dateRange.text : '',
+    description: description.join(' ').trim(),
+    technologies,
+    highlights: bullets,
+    confidence: round2((name ? 0.5 : 0) + (bullets.length || description.length ? 0.3 : 0) + (technologies.length ? 0.2 : 0)),
+  };
+});
+
+const parseEducation = (lines) => {
+  const entries = [];
+  let current = null;
+  lines.forEach(line => {
+    const content = stripBullet(line);
+    if (!current || (DEGREE_REGEX.test(content) && current.degree) || (INSTITUTION_REGEX.test(content) && current.institution && !DEGREE_REGEX.test(current.institution))) {
+      current = { degree: '', institution: '', year: '', details: [] };
+      entries.push(current);
+    }
+    const dateRange = findDateRange(content);
+    if (dateRange && !current.year) current.year = dateRange.text;
+    splitHeaderParts(removeText(content, dateRange && dateRange.text)).forEach(part => {
+      if (!current.degree && DEGREE_REGEX.test(part)) current.degree = part;
+      else if (!current.institution && INSTITUTION_REGEX.test(part)) current.institution = part;
+      else if (part) current.details.push(part);
+    });
+  });
+  return entries
+    .filter(entry => entry.degree || entry.institution)
+    .map(entry => {
+      const grade = entry.details.join(' ').match(GRADE_REGEX);
+      return {
+        degree: entry.degree,
+        institution: entry.institution,
+        year: entry.year || ((entry.details.join(' ').match(YEAR_REGEX) || [''])[0]),
+        grade: grade ? grade[0].trim() : '',
+        details: entry.details.join(', '),
+        confidence: round2((entry.degree ? 0.4 : 0) + (entry.institution ? 0.4 : 0) + (entry.year ? 0.2 : 0)),
+      };
+    });
+};
+
+const parseCertifications = (lines) => lines.map(line => {
+  const content = stripBullet(line);
+  const url = extractUrls(content)[0] || '';
+  const dateRange = findDateRange(content);
+  const [name = '', ...rest] = splitParts(removeText(removeText(content, url), dateRange && dateRange.text));
+  return {
+    name,
+    issuer: rest.join(' ').replace(/^(by|from|issued\s+by)\s+/i, ''),
+    year: dateRange ? dateRange.end : '',
+    url,
+  };
+}).filter(cert => cert.name);
+
+// Additional sections keyed by their normalized heading (languages, achievements, ...)
+const parseAdditional = (blocks) => {
+  const additional = {};
+  blocks.forEach(({ heading, lines }) => {
+    const key = heading.toLowerCase().replace(/[^a-z]+/g, ' ').trim().replace(/\s+(\w)/g, (match, letter) => letter.toUpperCase()) || 'other';
+    const values = /language/i.test(heading)
+      ? lines.flatMap(line => splitList(stripBullet(line)))
+      : lines.map(stripBullet);
+    additional[key] = [...(additional[key] || []), ...values.filter(Boolean)];
+  });
+  return additional;
+};
+
+// Parse extracted resume text into sections with per-field confidence
+const parseResume = (rawText) => {
+  const lines = toLines(rawText);
+  const blocks = [];
+  let current = { section: 'header', heading: '', start: 0, lines: [] };
+  lines.forEach((line, index) => {
+    // "Languages: Python, SQL" inside skills and "Tech Stack: ..." inside an entry are rows, not headings
+    const labelledRow = /:\s*\S/.test(line)
+      && (current.section === 'skills' || (['experience', 'projects'].includes(current.section) && TECH_LABEL_REGEX.test(line)));
+    const section = labelledRow ? null : detectHeading(line);
+    if (section) {
+      blocks.push(current);
+      // Keep the heading's trailing text ("Skills: Java, SQL") as content
+      const inline = line.replace(/^[^:]*:\s*/, '');
+      current = { section, heading: line.replace(/[:|_=*#-]+$/g, '').trim(), start: index, lines: inline !== line && inline ? [inline] : [] };
+      return;
+    }
+    current.lines.push(line);
+  });
+  blocks.push(current);
+
+  const linesFor = (section) => blocks.filter(block => block.section === section).flatMap(block => block.lines);
+  const found = (section) => blocks.some(block => block.section === section);
+  const headerBlock = blocks[0];
+  // Without a summary heading, prose right under the contact lines is treated as the summary (low confidence)
+  const headerLines = headerBlock.lines.slice(0, 6);
+  const headerProse = headerBlock.lines.filter(line => line.length > 80 && !EMAIL_REGEX.test(line));
+
+  const contact = parseContact(headerLines.filter(line => line.length <= 120), lines.join('\n'));
+  const summaryLines = found('summary') ? linesFor('summary') : headerProse;
+  const skills = parseSkills(linesFor('skills'));
+  const experience = parseExperience(linesFor('experience'));
+  const projects = parseProjects(linesFor('projects'));
+  const education = parseEducation(linesFor('education'));
+  const certifications = parseCertifications(linesFor('certifications'));
+  const additional = parseAdditional(blocks.filter(block => block.section === 'additional'));
+
+  const average = (items) => (items.length ? items.reduce((sum, item) => sum + item.confidence, 0) / items.length : 0);
+  const sectionConfidence = (section, items) => {
+    if (!found(section)) return 0;
+    return round2(items === undefined ? 0.9 : 0.5 + 0.5 * average(items));
+  };
+
+  const sections = {};
+  blocks.filter(block => block.section !== 'header').forEach(block => {
+    if (!sections[block.section]) {
+      sections[block.section] = { heading: block.heading, line: block.start, lineCount: block.lines.length };
+    }
+  });
+
+  return {
+    header: headerBlock.lines.join('\n'),
+    contact: contact.value,
+    summary: summaryLines.join(' '),
+    skills,
+    experience,
+    projects,
+    education,
+    certifications,
+    additional,
+    sections,
+    sectionText: Object.fromEntries(SECTION_IDS.filter(found).map(section => [section, linesFor(section).join('\n')])),
+    confidence: {
+      contact: contact.confidence,
+      summary: found('summary') ? 0.9 : (summaryLines.length ? 0.4 : 0),
+      skills: found('skills') ? round2(skills.all.length ? 0.9 : 0.5) : 0,
+      experience: sectionConfidence('experience', experience),
+      projects: sectionConfidence('projects', projects),
+      education: sectionConfidence('education', education),
+      certifications: found('certifications') ? round2(certifications.length ? 0.9 : 0.5) : 0,
+      additional: sectionConfidence('additional'),
+      overall: round2(clamp01(Object.keys(sections).filter(section => section !== 'additional').length / 5)),
+    },
+  };
+};
+
+const PROMPT_SECTIONS = [
+  { id: 'summary', title: 'SUMMARY' },
+  { id: 'skills', title: 'SKILLS' },
+  { id: 'experience', title: 'EXPERIENCE' },
+  { id: 'projects', title: 'PROJECTS' },
+  { id: 'education', title: 'EDUCATION' },
+  { id: 'certifications', title: 'CERTIFICATIONS' },
+  { id: 'additional', title: 'ADDITIONAL' },
+];
+
+// Section-labelled resume text for prompts. With maxChars, each section is trimmed to a fair share of
+// the budget instead of cutting the whole resume off at one point. Returns '' when too few sections were found.
+const formatParsedResume = (parsed, { maxChars = 0, minConfidence = 0.4 } = {}) => {
+  if (!parsed || parsed.confidence.overall < minConfidence) return '';
+  // The lines above the first heading are kept verbatim so nothing the contact parser missed is lost
+  const blocks = [
+    { title: 'CONTACT', text: parsed.header },
+    ...PROMPT_SECTIONS.map(({ id, title }) => ({ title, text: parsed.sectionText[id] || '' })),
+  ].filter(block => block.text);
+
+  const budget = maxChars > 0 ? Math.floor(maxChars / Math.max(blocks.length, 1)) : 0;
+  let spare = budget ? blocks.reduce((sum, block) => sum + Math.max(budget - block.text.length, 0), 0) : 0;
+  return blocks.map(block => {
+    let { text } = block;
+    if (budget && text.length > budget) {
+      const allowance = budget + spare;
+      spare = Math.max(allowance - text.length, 0);
+      if (text.length > allowance) text = `${text.slice(0, allowance).replace(/\s+\S*$/, '')} ...[truncated]`;
+    }
+    return `## ${block.title}\n${text}`;
+  }).join('\n\n');
+};
+
+module.exports = {
+  SECTION_HEADINGS,
+  EMAIL_REGEX,
+  PROFILE_REGEX,
+  BULLET_REGEX,
+  DATE_RANGE_REGEX,
+  toLines,
+  hasPhoneNumber,
+  detectHeading,
+  detectSections,
+  findDateRange,
+  parseResume,
+  formatParsedResume,
+};
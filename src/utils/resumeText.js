@@ -0,0 +1,294 @@
+// Text extraction for uploaded resumes (PDF, DOCX, plain text, Markdown).
+// Every extractor keeps line/paragraph structure (list items become "• " lines) in `rawText`;
+// normalizeResumeText then produces the flat `text` used for caching and matching, and the line-preserving
+// `lineText` that the section parser (resumeParser.js) reads.
+
+const pdfParseModule = require('pdf-parse');
+const JSZip = require('jszip');
+const { inflateEntry } = require('./zipEntries');
+
+const pdfParse = typeof pdfParseModule === 'function' ? pdfParseModule : pdfParseModule.default;
+
+const RESUME_FILE_TYPES = {
+  pdf: { extensions: ['.pdf'], mimetypes: ['application/pdf'] },
+  docx: { extensions: ['.docx'], mimetypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'] },
+  txt: { extensions: ['.txt'], mimetypes: ['text/plain'] },
+  md: { extensions: ['.md', '.markdown'], mimetypes: ['text/markdown', 'text/x-markdown'] },
+};
+
+const CHARS_PER_PAGE_ESTIMATE = 3000;
+// Inflated size caps for a DOCX, per XML part and for all parts read, so a zip bomb is cut off early
+const MAX_DOCX_PART_BYTES = 20 * 1024 * 1024;
+const MAX_DOCX_TOTAL_BYTES = 50 * 1024 * 1024;
+
+// Prefer the file extension (browsers often send .md/.docx as octet-stream), then the mimetype
+const detectResumeFileType = ({ originalname = '', mimetype = '' } = {}) => {
+  const name = originalname.toLowerCase();
+  const byExtension = Object.keys(RESUME_FILE_TYPES)
+    .find(type => RESUME_FILE_TYPES[type].extensions.some(extension => name.endsWith(extension)));
+  if (byExtension) return byExtension;
+  return Object.keys(RESUME_FILE_TYPES).find(type => RESUME_FILE_TYPES[type].mimetypes.includes(mimetype)) || null;
+};
+
+// Shared normalization; PDF-only repairs undo glued words and hard-wrapped lines from pdf-parse.
+// keepLines leaves line breaks and spacing alone (for the section parser) and only fixes glued words.
+const normalizeResumeText = (text, type = 'pdf', { keepLines = false } = {}) => {
+  if (!text) return '';
+  let normalized = text.replace(/\r\n/g, '\n');
+  if (type === 'pdf') {
+    normalized = normalized.replace(/([a-z])([A-Z])/g, '$1 $2');
+  }
+  if (keepLines) return normalized;
+  if (type === 'pdf') {
+    normalized = normalized.replace(/([A-Za-z])\n([A-Za-z])/g, '$1 $2');
+  }
+  return normalized
+    .replace(/\n{2,}/g, '\n')
+    .replace(/[\t\f\v]+/g, ' ')
+    .replace(/ {3,}/g, '  ')
+    .trim();
+};
+
+const decodeXmlEntities = (text) => text
+  .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(Number(dec)))
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+const readAttribute = (attributes, name) => {
+  const match = attributes.match(new RegExp(`${name}="([^"]*)"`));
+  return match ? decodeXmlEntities(match[1]) : '';
+};
+
+// External hyperlink targets by relationship id
+const parseRelationships = (xml) => {
+  const targets = {};
+  (xml || '').replace(/<Relationship\b([^>]*)\/?>/g, (match, attributes) => {
+    if (readAttribute(attributes, 'TargetMode') === 'External') {
+      targets[readAttribute(attributes, 'Id')] = readAttribute(attributes, 'Target');
+    }
+    return match;
+  });
+  return targets;
+};
+
+// Walk WordprocessingML and emit one line per paragraph; list paragraphs get "• ",
+// table rows are joined with " | ", and hyperlink targets hidden behind display text are appended.
+const TOKEN_REGEX = /<(\/?)(w:[A-Za-z]+)\b([^>]*?)(\/?)>|([^<]+)/g;
+
+const wordXmlToLines = (xml, links = {}) => {
+  const lines = [];
+  let paragraph = null;
+  let inText = false;
+  let cellDepth = 0;
+  let row = null;
+  let cell = null;
+  let hyperlink = null;
+  let match;
+
+  TOKEN_REGEX.lastIndex = 0;
+  while ((match = TOKEN_REGEX.exec(xml)) !== null) {
+    const [, closing, tag, attributes, selfClosing, text] = match;
+    if (text !== undefined) {
+      if (inText && paragraph) paragraph.text += decodeXmlEntities(text);
+      continue;
+    }
+    if (closing) {
+      if (tag === 'w:t') inText = false;
+      if (tag === 'w:hyperlink' && hyperlink && paragraph) {
+        const shown = paragraph.text.slice(hyperlink.start).toLowerCase();
+        const target = hyperlink.url.replace(/^mailto:/i, '');
+        const bare = target.replace(/^https?:\/\//i, '').replace(/^www\./i, '').replace(/\/$/, '').toLowerCase();
+        if (bare && !shown.includes(bare)) paragraph.text += ` (${target})`;
+        hyperlink = null;
+      }
+      if (tag === 'w:p' && paragraph) {
+        const content = paragraph.text.replace(/\s+$/, '');
+        const line = paragraph.list && content.trim() ? `${'  '.repeat(paragraph.level)}• ${content.trim()}` : content;
+        if (cell) cell.push(line.trim());
+        else lines.push(line);
+        paragraph = null;
+      }
+      if (tag === 'w:tc') {
+        cellDepth -= 1;
+        if (cellDepth === 0 && cell && row) {
+          row.push(cell.filter(Boolean).join(' '));
+          cell = null;
+        }
+      }
+      if (tag === 'w:tr' && cellDepth === 0 && row) {
+        const rowText = row.filter(Boolean).join(' | ');
+        if (rowText) lines.push(rowText);
+        row = null;
+      }
+      continue;
+    }
+    switch (tag) {
+      case 'w:p':
+        if (!selfClosing) paragraph = { text: '', list: false, level: 0 };
+        else if (!cell) lines.push('');
+        break;
+      case 'w:pStyle':
+        if (paragraph && /list|bullet/i.test(readAttribute(attributes, 'w:val'))) paragraph.list = true;
+        break;
+      case 'w:numPr':
+        if (paragraph) paragraph.list = true;
+        break;
+      case 'w:ilvl':
+        if (paragraph) paragraph.level = Math.min(Number(readAttribute(attributes, 'w:val')) || 0, 4);
+        break;
+      case 'w:t':
+        inText = !selfClosing;
+        break;
+      case 'w:tab':
+        // <w:tab w:val=... w:pos=.../> inside <w:tabs> is a tab stop definition, not a tab character
+        if (paragraph && !/w:val=/.test(attributes)) paragraph.text += '\t';
+        break;
+      case 'w:br':
+      case 'w:cr':
+        if (paragraph) paragraph.text += '\n';
+        break;
+      case 'w:hyperlink': {
+        const url = links[readAttribute(attributes, 'r:id')];
+        if (paragraph && url && !selfClosing) hyperlink = { url, start: paragraph.text.length };
+        break;
+      }
+      case 'w:tr':
+        if (cellDepth === 0) row = [];
+        break;
+      case 'w:tc':
+        cellDepth += 1;
+        if (cellDepth === 1) cell = [];
+        break;
+      default:
+        break;
+    }
+  }
+  return lines;
+};
+
+const extractDocxText = async (buffer) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const documentFile = zip.file('word/document.xml');
+  if (!documentFile) {
+    throw new Error('Not a valid DOCX file (word/document.xml is missing)');
+  }
+  let totalBytes = 0;
+  const readPart = async (path) => {
+    const file = zip.file(path);
+    if (!file) return '';
+    const inflated = await inflateEntry(file, Math.min(MAX_DOCX_PART_BYTES, MAX_DOCX_TOTAL_BYTES - totalBytes));
+    if (!inflated) {
+      throw new Error(`DOCX content is too large (max ${MAX_DOCX_PART_BYTES / (1024 * 1024)}MB per part, ${MAX_DOCX_TOTAL_BYTES / (1024 * 1024)}MB in total uncompressed)`);
+    }
+    totalBytes += inflated.length;
+    return inflated.toString('utf8');
+  };
+  const links = parseRelationships(await readPart('word/_rels/document.xml.rels'));
+  const bodyLines = wordXmlToLines(await readPart('word/document.xml'), links);
+
+  // Contact details often live in the page header; keep header text first and footer text last
+  const partLines = async (pattern) => {
+    const paths = Object.keys(zip.files).filter(path => pattern.test(path)).sort();
+    const seen = new Set();
+    const collected = [];
+    for (const path of paths) {
+      const relsPath = path.replace(/^word\//, 'word/_rels/') + '.rels';
+      const partLinks = parseRelationships(await readPart(relsPath));
+      wordXmlToLines(await readPart(path), partLinks)
+        .filter(line => line.trim() && !seen.has(line.trim()))
+        .forEach(line => {
+          seen.add(line.trim());
+          collected.push(line);
+        });
+    }
+    return collected;
+  };
+  const headerLines = await partLines(/^word\/header\d*\.xml$/);
+  const footerLines = await partLines(/^word\/footer\d*\.xml$/);
+
+  const pagesMatch = (await readPart('docProps/app.xml')).match(/<Pages>(\d+)<\/Pages>/);
+  const rawText = [...headerLines, ...bodyLines, ...footerLines].join('\n').replace(/\n{3,}/g, '\n\n').trim();
+  return {
+    rawText,
+    numPages: pagesMatch ? Number(pagesMatch[1]) : Math.max(1, Math.ceil(rawText.length / CHARS_PER_PAGE_ESTIMATE)),
+  };
+};
+
+// Strip Markdown syntax while keeping headings, lists, links and table rows as readable lines
+const markdownToText = (markdown) => markdown
+  .replace(/```[^\n]*\n([\s\S]*?)```/g, '$1')
+  .split('\n')
+  .map(line => {
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) return '';
+    if (/^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(line)) return null;
+    let text = line
+      .replace(/^\s{0,3}#{1,6}\s+/, '')
+      .replace(/\s+#+\s*$/, '')
+      .replace(/^(\s*)>\s?/, '$1')
+      .replace(/^(\s*)[-*+]\s+(\[[ xX]\]\s+)?/, '$1• ')
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/\[([^\]]+)\]\(([^)\s]+)[^)]*\)/g, (match, label, url) => {
+        const bare = url.replace(/^mailto:/i, '').replace(/^https?:\/\//i, '').replace(/^www\./i, '').replace(/\/$/, '');
+        return label.toLowerCase().includes(bare.toLowerCase()) ? label : `${label} (${url.replace(/^mailto:/i, '')})`;
+      })
+      .replace(/<((?:https?:\/\/|mailto:)[^>\s]+|[^>\s@]+@[^>\s]+)>/g, (match, url) => url.replace(/^mailto:/i, ''))
+      .replace(/(\*\*|__)(.+?)\1/g, '$2')
+      .replace(/(^|[\s(])[*_]([^*_\n]+)[*_](?=[\s).,;:!?]|$)/g, '$1$2')
+      .replace(/~~(.+?)~~/g, '$1')
+      .replace(/`([^`]+)`/g, '$1');
+    if (/^\s*\|.*\|\s*$/.test(text)) {
+      text = text.trim().slice(1, -1).split('|').map(cellText => cellText.trim()).filter(Boolean).join(' | ');
+    }
+    return text.replace(/\s+$/, '');
+  })
+  .filter(line => line !== null)
+  .join('\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+const plainTextPages = (rawText) => Math.max(1, Math.ceil(rawText.length / CHARS_PER_PAGE_ESTIMATE));
+
+const EXTRACTORS = {
+  pdf: async (buffer) => {
+    const pdfData = await pdfParse(buffer);
+    return { rawText: pdfData.text || '', numPages: pdfData.numpages };
+  },
+  docx: extractDocxText,
+  txt: async (buffer) => {
+    const rawText = buffer.toString('utf8').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').trim();
+    return { rawText, numPages: plainTextPages(rawText) };
+  },
+  md: async (buffer) => {
+    const rawText = markdownToText(buffer.toString('utf8').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n'));
+    return { rawText, numPages: plainTextPages(rawText) };
+  },
+};
+
+// Extract { type, rawText, text, lineText, numPages } from an uploaded resume buffer
+const extractResumeText = async (buffer, type) => {
+  const extractor = EXTRACTORS[type];
+  if (!extractor) {
+    throw new Error(`Unsupported resume file type: ${type}`);
+  }
+  const { rawText, numPages } = await extractor(buffer);
+  return {
+    type,
+    rawText,
+    text: normalizeResumeText(rawText, type),
+    lineText: normalizeResumeText(rawText, type, { keepLines: true }),
+    numPages,
+  };
+};
+
+module.exports = {
+  RESUME_FILE_TYPES,
+  detectResumeFileType,
+  normalizeResumeText,
+  extractDocxText,
+  markdownToText,
+  extractResumeText,
+};
@@ -0,0 +1,345 @@
+// Structured learning roadmaps: schema for the model's JSON, normalisation (ids, prerequisites, resources)
+// and the flat legacy parsedData list older clients still read.
+
+const { normalizeForMatch, normalizeLoose, containsTerm } = require('./keywordMatch');
+
+const ROADMAP_LEVELS = ['beginner', 'intermediate', 'advanced'];
+const RESOURCE_TYPES = ['youtube', 'docs', 'course', 'book', 'practice'];
+
+const RESOURCE_SCHEMA = {
+  type: 'object',
+  required: ['type', 'title'],
+  properties: {
+    type: { type: 'string', enum: RESOURCE_TYPES },
+    title: { type: 'string' },
+    url: { type: 'string', default: '' },
+  },
+};
+
+const TOPIC_SCHEMA = {
+  type: 'object',
+  required: ['name', 'days'],
+  properties: {
+    id: { type: 'string', default: '' },
+    name: { type: 'string' },
+    days: { type: 'number', minimum: 1 },
+    prerequisites: { type: 'array', items: { type: 'string' }, default: [] },
+    subtopics: { type: 'array', items: { type: 'string' }, default: [] },
+    resources: { type: 'array', items: RESOURCE_SCHEMA, default: [] },
+  },
+};
+
+const MILESTONE_SCHEMA = {
+  type: 'object',
+  required: ['title'],
+  properties: {
+    title: { type: 'string' },
+    description: { type: 'string', default: '' },
+    topics: { type: 'array', items: { type: 'string' }, default: [] },
+  },
+};
+
+const ROADMAP_SCHEMA = {
+  type: 'object',
+  required: ['valid'],
+  properties: {
+    valid: { type: 'boolean' },
+    role: { type: 'string', default: '' },
+    phases: {
+      type: 'array',
+      default: [],
+      items: {
+        type: 'object',
+        required: ['level', 'topics'],
+        properties: {
+          level: { type: 'string', enum: ROADMAP_LEVELS },
+          title: { type: 'string', default: '' },
+          topics: { type: 'array', items: TOPIC_SCHEMA, minItems: 1 },
+          milestones: { type: 'array', items: MILESTONE_SCHEMA, default: [] },
+        },
+      },
+    },
+  },
+};
+
+const slugify = (value) => value.toString().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'topic';
+const isHttpUrl = (value) => /^https?:\/\/\S+\.\S+/i.test(value || '');
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+// Stable unique ids, phases in level order, prerequisites resolved to ids of earlier topics only
+// (so the graph cannot contain cycles), and resources without a usable http(s) URL kept as title-only entries
+const normalizeRoadmap = (roadmap, role) => {
+  const usedIds = new Set();
+  const idByKey = new Map();
+  const uniqueId = (value) => {
+    const base = slugify(value);
+    let id = base;
+    for (let suffix = 2; usedIds.has(id); suffix++) id = `${base}-${suffix}`;
+    usedIds.add(id);
+    return id;
+  };
+  const resolveTopic = (reference) => idByKey.get(reference.toLowerCase()) || idByKey.get(slugify(reference));
+  const phases = [...roadmap.phases]
+    .sort((a, b) => ROADMAP_LEVELS.indexOf(a.level) - ROADMAP_LEVELS.indexOf(b.level));
+
+  const normalizedPhases = phases.map(phase => {
+    const topics = phase.topics.map(topic => {
+      const id = uniqueId(topic.id || topic.name);
+      const prerequisites = [...new Set(topic.prerequisites.map(resolveTopic).filter(Boolean))];
+      // Registered after resolving so a topic cannot depend on itself or on later topics
+      [topic.id, topic.name, id].filter(Boolean).forEach(key => {
+        idByKey.set(key.toLowerCase(), id);
+        idByKey.set(slugify(key), id);
+      });
+      return {
+        id,
+        name: topic.name,
+        days: Math.round(topic.days),
+        prerequisites,
+        subtopics: topic.subtopics.filter(Boolean),
+        resources: topic.resources
+          .filter(resource => resource.title)
+          .map(resource => ({ ...resource, url: isHttpUrl(resource.url) ? resource.url : '' })),
+      };
+    });
+    return {
+      level: phase.level,
+      title: phase.title || capitalize(phase.level),
+      days: topics.reduce((sum, topic) => sum + topic.days, 0),
+      topics,
+      milestones: phase.milestones.map(milestone => ({
+        title: milestone.title,
+        description: milestone.description,
+        topics: [...new Set(milestone.topics.map(resolveTopic).filter(Boolean))],
+      })),
+    };
+  });
+
+  return {
+    role: roadmap.role || role,
+    totalDays: normalizedPhases.reduce((sum, phase) => sum + phase.days, 0),
+    phases: normalizedPhases,
+  };
+};
+
+// Personalisation: topics the user's skills already cover are skipped or shortened. Only the skills list (and a
+// resume's skills section) counts, matched on whole terms so "Java" is not covered by "JavaScript" nor "Git" by "digital".
+const BASICS_REGEX = /\b(basics?|fundamentals?|introduction|intro|foundations?|essentials)\b/i;
+const MIN_SHORTENED_DAYS = 3;
+const SKIP_COVERAGE = 0.8;
+const FILLER_WORDS = new Set(['and', 'with', 'for', 'the', 'using']);
+
+// "Python Basics" / "Introduction to SQL" / "C Programming" -> the skill itself
+const coreSkillName = (topicName) => topicName
+  .replace(BASICS_REGEX, '')
+  .replace(/\b(of|to|in)\b/gi, '')
+  .replace(/\s+(programming|language)\s*$/i, '')
+  .replace(/\s{2,}/g, ' ')
+  .trim() || topicName;
+
+// skills: individual skill names; skillsText: the text they came from. A listed skill also matches its
+// punctuation-insensitive spelling ("NodeJS" for "Node.js"); multi-word topics are partial when half their words are skills.
+const createCoverageCheck = ({ skills = [], skillsText = '' }) => {
+  const skillsNormalized = normalizeForMatch([skillsText, ...skills].join('\n'));
+  const looseSkills = new Set(skills.map(normalizeLoose).filter(Boolean));
+  const covers = (term) => containsTerm(skillsNormalized, term) || looseSkills.has(normalizeLoose(term));
+  return (keyword) => {
+    const core = coreSkillName(keyword);
+    if (!normalizeLoose(core)) return 'missing';
+    if (covers(core)) return 'matched';
+    const words = core.split(/[\s,/&()]+/).filter(word => normalizeLoose(word).length > 1 && !FILLER_WORDS.has(word.toLowerCase()));
+    if (words.length > 1 && words.filter(covers).length / words.length >= 0.5) return 'partial';
+    return 'missing';
+  };
+};
+
+// Returns { roadmap, skipped, shortened }; the input roadmap (possibly a cached object) is not modified
+const personalizeRoadmap = (roadmap, { skills, skillsText }) => {
+  const coverageOf = createCoverageCheck({ skills, skillsText });
+  const skipped = [];
+  const shortened = [];
+  const skippedIds = new Set();
+
+  const assessTopic = (topic) => {
+    const nameStatus = coverageOf(topic.name);
+    const core = coreSkillName(topic.name);
+    if (nameStatus === 'matched') {
+      return { skip: true, matched: [core], reason: `${core} is already among your skills.` };
+    }
+    const matched = topic.subtopics.filter(subtopic => coverageOf(subtopic) === 'matched');
+    const partial = topic.subtopics.filter(subtopic => coverageOf(subtopic) === 'partial');
+    let coverage = topic.subtopics.length > 0 ? (matched.length + partial.length * 0.5) / topic.subtopics.length : 0;
+    if (nameStatus === 'partial') coverage = Math.max(coverage, 0.5);
+    if (coverage >= SKIP_COVERAGE) {
+      return { skip: true, matched: [...matched, ...partial], reason: `You already cover most of ${topic.name} (${[...matched, ...partial].join(', ')}).` };
+    }
+    return { skip: false, coverage, matched: nameStatus === 'partial' ? [core, ...matched, ...partial] : [...matched, ...partial] };
+  };
+
+  const phases = roadmap.phases.map(phase => {
+    const topics = [];
+    phase.topics.forEach(topic => {
+      const assessment = assessTopic(topic);
+      if (assessment.skip) {
+        skippedIds.add(topic.id);
+        skipped.push({ id: topic.id, name: topic.name, days: topic.days, matchedSkills: assessment.matched, reason: assessment.reason });
+        return;
+      }
+      const days = assessment.coverage > 0
+        ? Math.max(MIN_SHORTENED_DAYS, Math.round(topic.days * (1 - assessment.coverage)))
+        : topic.days;
+      if (days < topic.days) {
+        shortened.push({
+          id: topic.id,
+          name: topic.name,
+          fromDays: topic.days,
+          toDays: days,
+          matchedSkills: assessment.matched,
+          reason: `You already know ${assessment.matched.join(', ')}; only the remaining parts are scheduled.`,
+        });
+      }
+      topics.push({ ...topic, days, originalDays: topic.days, status: days < topic.days ? 'refresher' : 'gap' });
+    });
+    return { ...phase, topics };
+  });
+
+  // Skipped topics count as satisfied prerequisites; within a phase, gaps go first unless a prerequisite says otherwise
+  const reorderedPhases = phases
+    .map(phase => {
+      const pending = phase.topics.map(topic => ({ ...topic, prerequisites: topic.prerequisites.filter(id => !skippedIds.has(id)) }));
+      const ordered = [];
+      const placed = new Set(roadmap.phases.flatMap(item => item.topics.map(topic => topic.id))
+        .filter(id => !pending.some(topic => topic.id === id)));
+      while (pending.length > 0) {
+        const ready = pending.filter(topic => topic.prerequisites.every(id => placed.has(id)));
+        const candidates = ready.length > 0 ? ready : pending;
+        const next = candidates.find(topic => topic.status === 'gap') || candidates[0];
+        ordered.push(next);
+        placed.add(next.id);
+        pending.splice(pending.indexOf(next), 1);
+      }
+      return {
+        ...phase,
+        days: ordered.reduce((sum, topic) => sum + topic.days, 0),
+        topics: ordered,
+        milestones: phase.milestones
+          .map(milestone => ({ ...milestone, topics: milestone.topics.filter(id => !skippedIds.has(id)) }))
+          .filter((milestone, index) => milestone.topics.length > 0 || phase.milestones[index].topics.length === 0),
+      };
+    })
+    .filter(phase => phase.topics.length > 0);
+
+  return {
+    roadmap: {
+      ...roadmap,
+      totalDays: reorderedPhases.reduce((sum, phase) => sum + phase.days, 0),
+      phases: reorderedPhases,
+    },
+    skipped,
+    shortened,
+  };
+};
+
+// Calendar dates from a weekly hours budget. Topic "days" assume BASELINE_HOURS_PER_DAY of study,
+// so 14 hours/week keeps one study day per calendar day.
+const BASELINE_HOURS_PER_DAY = 2;
+const DEFAULT_HOURS_PER_WEEK = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+const scheduleRoadmap = (roadmap, { hoursPerWeek = DEFAULT_HOURS_PER_WEEK, startDate = new Date() } = {}) => {
+  const start = new Date(`${toDateString(new Date(startDate))}T00:00:00Z`);
+  let cursor = start.getTime();
+  const phases = roadmap.phases.map(phase => {
+    const phaseStart = cursor;
+    const topics = phase.topics.map(topic => {
+      const hours = topic.days * BASELINE_HOURS_PER_DAY;
+      const calendarDays = Math.max(1, Math.ceil((hours / hoursPerWeek) * 7));
+      const scheduled = {
+        ...topic,
+        hours,
+        calendarDays,
+        startDate: toDateString(new Date(cursor)),
+        endDate: toDateString(new Date(cursor + (calendarDays - 1) * DAY_MS)),
+      };
+      cursor += calendarDays * DAY_MS;
+      return scheduled;
+    });
+    return {
+      ...phase,
+      hours: topics.reduce((sum, topic) => sum + topic.hours, 0),
+      startDate: toDateString(new Date(phaseStart)),
+      endDate: toDateString(new Date(Math.max(phaseStart, cursor - DAY_MS))),
+      topics,
+    };
+  });
+  return {
+    ...roadmap,
+    hoursPerWeek,
+    totalHours: phases.reduce((sum, phase) => sum + phase.hours, 0),
+    startDate: toDateString(start),
+    endDate: toDateString(new Date(Math.max(start.getTime(), cursor - DAY_MS))),
+    phases,
+  };
+};
+
+// "15 days" / "2 weeks" / 15 -> 15. parsedData, exports and totals all go through this so they agree.
+const parseDayCount = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) && value > 0 ? Math.round(value) : 0;
+  const match = (value || '').toString().match(/(\d+(?:\.\d+)?)\s*(days?|weeks?|months?)?/i);
+  if (!match) return 0;
+  const unit = (match[2] || 'day').toLowerCase();
+  const multiplier = unit.startsWith('week') ? 7 : (unit.startsWith('month') ? 30 : 1);
+  return Math.round(Number(match[1]) * multiplier);
+};
+const formatDayCount = (days) => `${days} ${days === 1 ? 'day' : 'days'}`;
+
+// Rebuild a single-phase roadmap from legacy parsedData rows (clients that only kept the flat list)
+const roadmapFromParsedData = (parsedData, role = '') => normalizeRoadmap({
+  role,
+  phases: [{
+    level: 'beginner',
+    title: 'Roadmap',
+    milestones: [],
+    topics: parsedData
+      .filter(row => row && row.skillName && parseDayCount(row.days) > 0)
+      .map(row => ({
+        id: '',
+        name: row.skillName.toString().trim(),
+        days: parseDayCount(row.days),
+        prerequisites: [],
+        subtopics: [],
+        resources: row.channel ? [{ type: 'youtube', title: row.channel.toString(), url: (row.link || '').toString() }] : [],
+      })),
+  }],
+}, role);
+
+// Flat { skillNumber, skillName, days, channel, link } rows in the shape of the old line-based parser
+const toLegacyParsedData = (roadmap) => roadmap.phases
+  .flatMap(phase => phase.topics)
+  .map((topic, index) => {
+    // Prefer a verified YouTube channel; a resource without a URL gets an empty link rather than a guessed one
+    const resource = topic.resources.find(item => item.type === 'youtube' && item.verified !== false)
+      || topic.resources.find(item => item.type === 'youtube')
+      || topic.resources[0];
+    return {
+      skillNumber: (index + 1).toString(),
+      skillName: topic.name,
+      days: formatDayCount(topic.days),
+      channel: resource ? resource.title : '',
+      link: (resource && resource.url) || '',
+    };
+  });
+
+module.exports = {
+  ROADMAP_LEVELS,
+  RESOURCE_TYPES,
+  ROADMAP_SCHEMA,
+  DEFAULT_HOURS_PER_WEEK,
+  normalizeRoadmap,
+  roadmapFromParsedData,
+  parseDayCount,
+  personalizeRoadmap,
+  scheduleRoadmap,
+  toLegacyParsedData,
+};
@@ -0,0 +1,129 @@
+// Roadmap exports: iCalendar (one all-day event per topic), CSV and a Markdown checklist.
+// All three take a scheduled roadmap (scheduleRoadmap) so dates and day totals match the JSON response.
+
+const { createCsv } = require('./spreadsheet');
+
+const compactDate = (date) => date.replace(/-/g, '');
+const nextDay = (date) => new Date(Date.parse(`${date}T00:00:00Z`) + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+const statusOf = (topic) => (topic.progress ? topic.progress.status : 'not_started');
+const resourceLabel = (resource) => (resource.url ? `${resource.title} (${resource.url})` : resource.title);
+
+// RFC 5545 text escaping and 75-octet line folding
+const escapeIcsText = (value) => (value || '').toString()
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+const foldIcsLine = (line) => {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char, 'utf8') > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const createRoadmapIcs = (roadmap, { now = new Date() } = {}) => {
+  const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//CypherAI//Learning Roadmap//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(`${roadmap.role} roadmap`)}`,
+  ];
+  roadmap.phases.forEach(phase => {
+    phase.topics.forEach(topic => {
+      const description = [
+        `${phase.title} · ${topic.days} study days (${topic.hours} hours)`,
+        topic.subtopics.length > 0 ? `Subtopics: ${topic.subtopics.join(', ')}` : '',
+        topic.prerequisites.length > 0 ? `Prerequisites: ${topic.prerequisites.join(', ')}` : '',
+        ...topic.resources.map(resource => `${resource.type}: ${resourceLabel(resource)}`),
+      ].filter(Boolean).join('\n');
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${topic.id}-${compactDate(topic.startDate)}@cypherai`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${compactDate(topic.startDate)}`,
+        // DTEND is exclusive for all-day events
+        `DTEND;VALUE=DATE:${compactDate(nextDay(topic.endDate))}`,
+        `SUMMARY:${escapeIcsText(`${topic.name} (${topic.days} days)`)}`,
+        `DESCRIPTION:${escapeIcsText(description)}`,
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT',
+      );
+    });
+  });
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+};
+
+const CSV_COLUMNS = ['Phase', 'Topic ID', 'Topic', 'Days', 'Hours', 'Start Date', 'End Date', 'Prerequisites', 'Subtopics', 'Resources', 'Status'];
+
+const createRoadmapCsv = (roadmap) => {
+  const rows = roadmap.phases.flatMap(phase => phase.topics.map(topic => [
+    phase.title,
+    topic.id,
+    topic.name,
+    topic.days,
+    topic.hours,
+    topic.startDate,
+    topic.endDate,
+    topic.prerequisites.join('; '),
+    topic.subtopics.join('; '),
+    topic.resources.map(resourceLabel).join('; '),
+    statusOf(topic),
+  ]));
+  rows.push(['Total', '', '', roadmap.totalDays, roadmap.totalHours, roadmap.startDate, roadmap.endDate, '', '', '', '']);
+  return createCsv([CSV_COLUMNS, ...rows]);
+};
+
+const escapeMarkdown = (value) => (value || '').toString().replace(/([\\`*_[\]])/g, '\\$1');
+
+const createRoadmapMarkdown = (roadmap) => {
+  const lines = [
+    `# ${escapeMarkdown(roadmap.role)} learning roadmap`,
+    '',
+    `**${roadmap.totalDays} days** (${roadmap.totalHours} hours at ${roadmap.hoursPerWeek} hours/week) · ${roadmap.startDate} → ${roadmap.endDate}`,
+  ];
+  roadmap.phases.forEach(phase => {
+    lines.push('', `## ${escapeMarkdown(phase.title)} (${phase.days} days)`, '');
+    phase.topics.forEach(topic => {
+      const checked = statusOf(topic) === 'completed' ? 'x' : ' ';
+      lines.push(`- [${checked}] **${escapeMarkdown(topic.name)}** — ${topic.days} days (${topic.startDate} → ${topic.endDate})`);
+      if (topic.prerequisites.length > 0) {
+        lines.push(`  - Prerequisites: ${topic.prerequisites.map(id => `\`${id}\``).join(', ')}`);
+      }
+      topic.subtopics.forEach(subtopic => lines.push(`  - [ ] ${escapeMarkdown(subtopic)}`));
+      topic.resources.forEach(resource => lines.push(resource.url
+        ? `  - ${resource.type}: [${escapeMarkdown(resource.title)}](${resource.url})`
+        : `  - ${resource.type}: ${escapeMarkdown(resource.title)}`));
+    });
+    if (phase.milestones.length > 0) {
+      lines.push('', '### Mini-projects', '');
+      phase.milestones.forEach(milestone => {
+        lines.push(`- [ ] **${escapeMarkdown(milestone.title)}**${milestone.description ? ` — ${escapeMarkdown(milestone.description)}` : ''}`);
+      });
+    }
+  });
+  return `${lines.join('\n')}\n`;
+};
+
+const ROADMAP_EXPORT_FORMATS = {
+  ics: { contentType: 'text/calendar; charset=utf-8', render: createRoadmapIcs },
+  csv: { contentType: 'text/csv; charset=utf-8', render: createRoadmapCsv },
+  md: { contentType: 'text/markdown; charset=utf-8', render: createRoadmapMarkdown },
+};
+
+module.exports = {
+  ROADMAP_EXPORT_FORMATS,
+  createRoadmapIcs,
+  createRoadmapCsv,
+  createRoadmapMarkdown,
+};
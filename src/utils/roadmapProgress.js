@@ -0,0 +1,231 @@
+// Saved roadmaps and study progress per user, in one JSON file per user (survives restarts, no database needed).
+// A user is an unguessable token issued with their first saved roadmap; files are named by its hash and never hold it.
+// Topic ids come from normalizeRoadmap and never change after a roadmap is saved, so progress stays attached to them.
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const TOPIC_STATUSES = ['not_started', 'started', 'completed'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const toDateString = (date) => new Date(date).toISOString().slice(0, 10);
+const round1 = (value) => Math.round(value * 10) / 10;
+
+const topicsOf = (roadmap) => roadmap.phases.flatMap(phase => phase.topics);
+
+const emptyProgress = () => ({ status: 'not_started', startedAt: null, completedAt: null, hoursLogged: 0, log: [] });
+
+// Percentage by planned hours (completed topics count in full, started ones up to their logged hours),
+// projected finish from the actual pace of that progress since the start date (planned pace until there is some)
+const getProgressStats = (record, now = new Date()) => {
+  const today = toDateString(now);
+  const topics = topicsOf(record.roadmap);
+  const progressFor = (topic) => record.progress[topic.id] || emptyProgress();
+  const totalHours = topics.reduce((sum, topic) => sum + topic.hours, 0);
+  const doneHours = topics.reduce((sum, topic) => {
+    const progress = progressFor(topic);
+    if (progress.status === 'completed') return sum + topic.hours;
+    return sum + Math.min(progress.hoursLogged, topic.hours);
+  }, 0);
+  const hoursLogged = topics.reduce((sum, topic) => sum + progressFor(topic).hoursLogged, 0);
+  const remainingHours = Math.max(0, totalHours - doneHours);
+
+  const elapsedWeeks = Math.max(1, Math.floor((Date.parse(today) - Date.parse(record.roadmap.startDate)) / DAY_MS) + 1) / 7;
+  const hasPace = doneHours > 0 && Date.parse(today) >= Date.parse(record.roadmap.startDate);
+  const pace = hasPace ? doneHours / elapsedWeeks : record.roadmap.hoursPerWeek;
+  const projectedStart = Math.max(Date.parse(today), Date.parse(record.roadmap.startDate));
+  const projectedFinishDate = remainingHours === 0
+    ? today
+    : toDateString(projectedStart + Math.ceil((remainingHours / pace) * 7) * DAY_MS);
+
+  const behindSchedule = topics
+    .filter(topic => progressFor(topic).status !== 'completed' && topic.endDate < today)
+    .map(topic => ({
+      id: topic.id,
+      name: topic.name,
+      status: progressFor(topic).status,
+      plannedEndDate: topic.endDate,
+      daysOverdue: Math.round((Date.parse(today) - Date.parse(topic.endDate)) / DAY_MS),
+    }));
+
+  const count = (status) => topics.filter(topic => progressFor(topic).status === status).length;
+  return {
+    totalTopics: topics.length,
+    completedTopics: count('completed'),
+    startedTopics: count('started'),
+    percentComplete: totalHours > 0 ? Math.round((doneHours / totalHours) * 100) : 0,
+    totalHours,
+    hoursLogged: round1(hoursLogged),
+    remainingHours: round1(remainingHours),
+    paceHoursPerWeek: hasPace ? round1(pace) : null,
+    plannedFinishDate: record.roadmap.endDate,
+    projectedFinishDate,
+    onTrack: projectedFinishDate <= record.roadmap.endDate && behindSchedule.length === 0,
+    behindSchedule,
+  };
+};
+
+const createRoadmapStore = ({ directory }) => {
+  const ready = fs.mkdir(directory, { recursive: true });
+  const fileFor = (token) => path.join(directory, `${hashToken(token)}.json`);
+  // Writes for one user run one after another so concurrent updates don't overwrite each other
+  const queues = new Map();
+
+  // The user's data, or null for a token this store never issued (files are only written for issued tokens,
+  // and each records when its token was issued)
+  const readUser = async (token) => {
+    await ready;
+    try {
+      const data = JSON.parse(await fs.readFile(fileFor(token), 'utf8'));
+      return data && data.issuedAt ? data : null;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  const writeUser = async (token, data) => {
+    const file = fileFor(token);
+    // Write to a temp file and rename so readers never see a partial file
+    const tempFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(data));
+    await fs.rename(tempFile, file);
+  };
+
+  // update(data) gets the user's data (null for an unknown token, a fresh user with issue) and returns
+  // { result, changed }; the file is only written when something changed
+  const withUser = (token, update, { issue = false } = {}) => {
+    const previous = queues.get(token) || Promise.resolve();
+    const task = previous.catch(() => {}).then(async () => {
+      const data = issue ? { issuedAt: new Date().toISOString(), roadmaps: {} } : await readUser(token);
+      const { result, changed } = update(data);
+      if (changed) await writeUser(token, data);
+      return result;
+    });
+    queues.set(token, task);
+    task.finally(() => {
+      if (queues.get(token) === task) queues.delete(token);
+    }).catch(() => {});
+    return task;
+  };
+
+  const describe = (record) => ({
+    id: record.id,
+    role: record.role,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt,
+    startDate: record.roadmap.startDate,
+    plannedFinishDate: record.roadmap.endDate,
+    stats: getProgressStats(record),
+  });
+
+  // Full record with per-topic progress merged into the roadmap topics
+  const expand = (record) => ({
+    ...describe(record),
+    personalization: record.personalization,
+    roadmap: {
+      ...record.roadmap,
+      phases: record.roadmap.phases.map(phase => ({
+        ...phase,
+        topics: phase.topics.map(topic => ({ ...topic, progress: record.progress[topic.id] || emptyProgress() })),
+      })),
+    },
+  });
+
+  // Returns { record, token }. A token this store issued is reused; anything else (including none) gets a
+  // freshly issued one, so a caller can't pick a guessable token for itself.
+  const create = async (ownerToken, { role, roadmap, personalization = null }) => {
+    const issue = !ownerToken || !(await readUser(ownerToken));
+    const token = issue ? crypto.randomBytes(32).toString('base64url') : ownerToken;
+    const record = await withUser(token, data => {
+      const now = new Date().toISOString();
+      const created = {
+        id: crypto.randomUUID(),
+        role,
+        createdAt: now,
+        updatedAt: now,
+        roadmap,
+        personalization,
+        progress: {},
+      };
+      data.roadmaps[created.id] = created;
+      return { result: expand(created), changed: true };
+    }, { issue });
+    return { record, token };
+  };
+
+  // Only the user's own records; ids like "__proto__" must not reach Object.prototype
+  const findRecord = (data, roadmapId) => (Object.hasOwn(data.roadmaps, roadmapId) ? data.roadmaps[roadmapId] : null);
+
+  // null for an unknown token
+  const list = async (token) => {
+    const data = await readUser(token);
+    if (!data) return null;
+    return Object.values(data.roadmaps)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .map(describe);
+  };
+
+  const get = async (token, roadmapId) => {
+    const data = await readUser(token);
+    const record = data && findRecord(data, roadmapId);
+    return record ? expand(record) : null;
+  };
+
+  const remove = (token, roadmapId) => withUser(token, data => {
+    if (!data || !findRecord(data, roadmapId)) return { result: false, changed: false };
+    delete data.roadmaps[roadmapId];
+    return { result: true, changed: true };
+  });
+
+  // Returns { record } or { error } ('roadmap' / 'topic' not found) so routes can pick the right 404
+  const updateTopic = (token, roadmapId, topicId, change) => withUser(token, data => {
+    const record = data && findRecord(data, roadmapId);
+    if (!record) return { result: { error: 'roadmap' }, changed: false };
+    if (!topicsOf(record.roadmap).some(topic => topic.id === topicId)) return { result: { error: 'topic' }, changed: false };
+    const now = new Date().toISOString();
+    const progress = record.progress[topicId] || emptyProgress();
+    change(progress, now);
+    record.progress[topicId] = progress;
+    record.updatedAt = now;
+    return { result: { record: expand(record) }, changed: true };
+  });
+
+  const setTopicStatus = (token, roadmapId, topicId, status) => updateTopic(token, roadmapId, topicId, (progress, now) => {
+    progress.status = status;
+    if (status === 'not_started') {
+      progress.startedAt = null;
+      progress.completedAt = null;
+    } else {
+      progress.startedAt = progress.startedAt || now;
+      progress.completedAt = status === 'completed' ? (progress.completedAt || now) : null;
+    }
+  });
+
+  // Logging time on a topic that hasn't been started marks it started
+  const logHours = (token, roadmapId, topicId, { hours, date, note = '' }) => updateTopic(token, roadmapId, topicId, (progress, now) => {
+    progress.log.push({ date: date || toDateString(now), hours, note, loggedAt: now });
+    progress.hoursLogged = round1(progress.hoursLogged + hours);
+    if (progress.status === 'not_started') {
+      progress.status = 'started';
+      progress.startedAt = now;
+    }
+  });
+
+  return {
+    create,
+    list,
+    get,
+    remove,
+    setTopicStatus,
+    logHours,
+  };
+};
+
+module.exports = {
+  TOPIC_STATUSES,
+  createRoadmapStore,
+  getProgressStats,
+};
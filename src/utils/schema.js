@@ -0,0 +1,141 @@
+// Minimal schema validation for model JSON output.
+// Supports a small JSON-Schema-like subset: object, array, string, number, boolean.
+// Values are coerced where the model commonly drifts ("85%" -> 85, "a\nb" -> ["a", "b"]).
+
+const coerceNumber = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string') {
+    const match = value.replace(/,/g, '').match(/-?\d+(?:\.\d+)?/);
+    if (match) return Number(match[0]);
+  }
+  return value;
+};
+
+const coerceString = (value) => {
+  if (typeof value === 'string') return value.trim();
+  if (typeof value === 'number' || typeof value === 'boolean') return value.toString();
+  if (Array.isArray(value) && value.every(item => typeof item === 'string')) return value.join('\n').trim();
+  return value;
+};
+
+const coerceArray = (value) => {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') {
+    return value
+      .split('\n')
+      .map(line => line.replace(/^\s*(?:[-•*]|\d+[.)])\s*/, '').trim())
+      .filter(Boolean);
+  }
+  return value;
+};
+
+const coerceBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return value;
+};
+
+// Returns { value, errors } where value is the coerced copy and errors is a list of "path: message" strings
+const validateSchema = (input, schema, path = '$') => {
+  const errors = [];
+  if (!schema) return { value: input, errors };
+
+  if (input === undefined || input === null) {
+    if (schema.default !== undefined) {
+      return { value: JSON.parse(JSON.stringify(schema.default)), errors };
+    }
+    errors.push(`${path}: is required`);
+    return { value: input, errors };
+  }
+
+  switch (schema.type) {
+    case 'object': {
+      if (typeof input !== 'object' || Array.isArray(input)) {
+        errors.push(`${path}: expected object`);
+        return { value: input, errors };
+      }
+      const value = {};
+      const properties = schema.properties || {};
+      const required = schema.required || [];
+      Object.entries(properties).forEach(([key, propertySchema]) => {
+        if (input[key] === undefined || input[key] === null) {
+          if (required.includes(key)) {
+            errors.push(`${path}.${key}: is required`);
+          } else if (propertySchema.default !== undefined) {
+            value[key] = JSON.parse(JSON.stringify(propertySchema.default));
+          }
+          return;
+        }
+        const result = validateSchema(input[key], propertySchema, `${path}.${key}`);
+        value[key] = result.value;
+        errors.push(...result.errors);
+      });
+      if (schema.additionalProperties) {
+        Object.keys(input)
+          .filter(key => !(key in properties))
+          .forEach(key => {
+            const result = validateSchema(input[key], schema.additionalProperties, `${path}.${key}`);
+            value[key] = result.value;
+            errors.push(...result.errors);
+          });
+      }
+      return { value, errors };
+    }
+    case 'array': {
+      const list = coerceArray(input);
+      if (!Array.isArray(list)) {
+        errors.push(`${path}: expected array`);
+        return { value: input, errors };
+      }
+      const value = list.map((item, index) => {
+        const result = validateSchema(item, schema.items, `${path}[${index}]`);
+        errors.push(...result.errors);
+        return result.value;
+      });
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`${path}: expected at least ${schema.minItems} items`);
+      }
+      return { value: schema.maxItems !== undefined ? value.slice(0, schema.maxItems) : value, errors };
+    }
+    case 'number': {
+      const value = coerceNumber(input);
+      if (typeof value !== 'number' || Number.isNaN(value)) {
+        errors.push(`${path}: expected number`);
+        return { value: input, errors };
+      }
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path}: must be >= ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${path}: must be <= ${schema.maximum}`);
+      }
+      return { value, errors };
+    }
+    case 'string': {
+      const value = coerceString(input);
+      if (typeof value !== 'string') {
+        errors.push(`${path}: expected string`);
+        return { value: input, errors };
+      }
+      if (schema.enum && !schema.enum.includes(value.toLowerCase())) {
+        errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+        return { value, errors };
+      }
+      return { value: schema.enum ? value.toLowerCase() : value, errors };
+    }
+    case 'boolean': {
+      const value = coerceBoolean(input);
+      if (typeof value !== 'boolean') {
+        errors.push(`${path}: expected boolean`);
+      }
+      return { value, errors };
+    }
+    default:
+      return { value: input, errors };
+  }
+};
+
+module.exports = {
+  validateSchema,
+};
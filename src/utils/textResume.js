@@ -0,0 +1,126 @@
+// Plain-text renderer for the ideal resume: same sections and order as the DOCX/PDF templates,
+// suitable for pasting into job-portal text boxes. Added items are marked with "*" when highlighting is on.
+
+const {
+  ensureArray,
+  ensureString,
+  toDisplaySegments,
+  sanitizeUrlText,
+  getContactParts,
+  getSkillsSections,
+  normalizeCertifications,
+  getAdditionalRows,
+} = require('./resumeFormatting');
+const { getResumeTemplate, DEFAULT_TEMPLATE } = require('./documentTemplates');
+
+const ADDED_MARKER = '*';
+
+const createTextResume = (resumeData, jobRole, renderOptions = {}) => {
+  const highlightAdded = renderOptions.highlightAdded !== false;
+  const template = getResumeTemplate(renderOptions.template) || getResumeTemplate(DEFAULT_TEMPLATE);
+  let hasAddedItems = false;
+
+  const plain = (text, { highlight = true } = {}) => toDisplaySegments(ensureString(text))
+    .map(segment => {
+      if (!segment.added || !highlight || !highlightAdded) return segment.text;
+      hasAddedItems = true;
+      return `${segment.text}${ADDED_MARKER}`;
+    })
+    .join('')
+    .trim();
+
+  const personalInfo = resumeData.personalInfo || {};
+  const { contactParts, linkParts } = getContactParts(personalInfo);
+  const lines = [];
+  const heading = (title) => lines.push('', title.toUpperCase(), '-'.repeat(title.length));
+  const bullet = (text) => {
+    const value = plain(text);
+    if (value) lines.push(`  • ${value}`);
+  };
+
+  lines.push(plain(personalInfo.name, { highlight: false }) || '[Your Name]');
+  const contactLine = contactParts.map(part => part.text).join(' | ')
+    || `${personalInfo.email || '[Email]'} | ${personalInfo.phone || '[Phone]'} | ${personalInfo.location || '[Location]'}`;
+  const linkLine = linkParts.map(part => part.url || part.text).join(' | ');
+  if (template.combineContactLines && linkLine) {
+    lines.push(`${contactLine} | ${linkLine}`);
+  } else {
+    lines.push(contactLine);
+    if (linkLine) lines.push(linkLine);
+  }
+
+  const sectionWriters = {
+    summary: () => {
+      heading(template.sectionTitles.summary);
+      lines.push(plain(resumeData.professionalSummary || `Motivated ${jobRole} with relevant experience and skills.`, { highlight: false }));
+    },
+    skills: () => {
+      const sections = getSkillsSections(resumeData.coreSkills).filter(section => section.values.length > 0);
+      if (sections.length === 0) return;
+      heading(template.sectionTitles.skills);
+      sections.forEach(section => lines.push(`${section.title}: ${section.values.map(value => plain(value)).filter(Boolean).join(', ')}`));
+    },
+    experience: () => {
+      const experience = ensureArray(resumeData.experience);
+      if (experience.length === 0) return;
+      heading(template.sectionTitles.experience);
+      experience.forEach((exp, index) => {
+        if (index > 0) lines.push('');
+        lines.push(plain(`${exp.company || '[Company]'} | ${exp.position || '[Position]'}${exp.duration ? ` | ${exp.duration}` : ''}`));
+        ensureArray(exp.achievements).forEach(bullet);
+      });
+    },
+    projects: () => {
+      const projects = ensureArray(resumeData.projects);
+      if (projects.length === 0) return;
+      heading(template.sectionTitles.projects);
+      projects.forEach((project, index) => {
+        if (index > 0) lines.push('');
+        const projectUrl = sanitizeUrlText(ensureString(project.url || project.link || '').trim());
+        lines.push(`${plain(project.name || '[Project Name]')}${projectUrl ? ` (${projectUrl})` : ''}`);
+        if (project.description) lines.push(`  ${plain(project.description, { highlight: false })}`);
+        const technologies = ensureArray(project.technologies).map(tech => plain(tech)).filter(Boolean);
+        if (technologies.length > 0) lines.push(`  Technologies: ${technologies.join(', ')}`);
+        ensureArray(project.highlights).forEach(bullet);
+      });
+    },
+    education: () => {
+      const education = ensureArray(resumeData.education);
+      if (education.length === 0) return;
+      heading(template.sectionTitles.education);
+      education.forEach(edu => {
+        lines.push(plain(`${edu.degree || '[Degree]'} | ${edu.institution || '[Institution]'} | ${edu.year || '[Year]'}`));
+        if (edu.details) lines.push(`  ${plain(edu.details)}`);
+      });
+    },
+    certifications: () => {
+      const certifications = normalizeCertifications(resumeData.certifications);
+      if (certifications.length === 0) return;
+      heading(template.sectionTitles.certifications);
+      certifications.forEach(cert => {
+        const certUrl = sanitizeUrlText(ensureString(cert.url).trim());
+        bullet(certUrl ? `${cert.name} (${certUrl})` : cert.name);
+      });
+    },
+    additional: () => {
+      const rows = getAdditionalRows(resumeData.additionalSections || {});
+      if (rows.length === 0) return;
+      heading(template.sectionTitles.additional);
+      rows.forEach(row => lines.push(`${row.label}: ${row.values.map(value => plain(value)).filter(Boolean).join(', ')}`));
+    },
+  };
+
+  template.sectionOrder.forEach(sectionId => {
+    if (sectionWriters[sectionId]) sectionWriters[sectionId]();
+  });
+
+  if (hasAddedItems) {
+    lines.push('', `${ADDED_MARKER} Suggested addition - confirm before submitting.`);
+  }
+
+  return `${lines.join('\n').replace(/\n{3,}/g, '\n\n').trim()}\n`;
+};
+
+module.exports = {
+  createTextResume,
+};
@@ -0,0 +1,62 @@
+// DOCX renderer for the cover letter, using the resume template's fonts and colors (see documentTemplates.js)
+// so a letter and resume generated with the same template match. Margins are a letter's, not the resume's.
+
+const { Document, Paragraph, TextRun, AlignmentType } = require('docx');
+const { toDisplaySegments } = require('./resumeFormatting');
+const { getLetterHeader } = require('./coverLetter');
+const { getResumeTemplate, DEFAULT_TEMPLATE } = require('./documentTemplates');
+
+const CM_TO_TWIP = 567; // 1 cm ≈ 567 twips
+const LETTER_MARGIN = Math.round(2.5 * CM_TO_TWIP);
+
+const createWordCoverLetter = (letter, { contact, companyName, date = new Date(), template: templateId, highlightAdded = true } = {}) => {
+  const template = getResumeTemplate(templateId) || getResumeTemplate(DEFAULT_TEMPLATE);
+  const { fonts, sizes, colors } = template;
+  const header = getLetterHeader({ contact, companyName, date });
+  const run = (text, extra = {}) => new TextRun({ text, font: fonts.body, size: sizes.body, color: colors.body, noProof: true, ...extra });
+  const line = (children, after = 0) => new Paragraph({ children, spacing: { after } });
+
+  // Unsupported sentences use the template's "added" color, like [ADDED] items on the ideal resume
+  const bodyRuns = (text) => toDisplaySegments(text)
+    .map(segment => run(segment.text, segment.added && highlightAdded ? { color: colors.added } : {}));
+
+  const children = [
+    ...(header.name ? [new Paragraph({
+      children: [new TextRun({ text: header.name, font: fonts.heading, size: sizes.name, bold: true, color: colors.name })],
+      alignment: AlignmentType.LEFT,
+      spacing: { after: 80 },
+    })] : []),
+    ...(header.contactLine ? [line([run(header.contactLine, { size: sizes.contact, color: colors.muted })], 40)] : []),
+    ...(header.linkLine ? [line([run(header.linkLine, { size: sizes.links, color: colors.link })], 40)] : []),
+    line([run(header.date)], 240),
+    ...header.recipient.map((value, index) => line([run(value)], index === header.recipient.length - 1 ? 240 : 0)),
+    line([run(letter.greeting)], 200),
+    ...letter.paragraphs.map(paragraph => new Paragraph({
+      children: bodyRuns(paragraph),
+      alignment: AlignmentType.JUSTIFIED,
+      spacing: { after: 200, line: 276 },
+    })),
+    line([run(letter.closing)], 480),
+    ...(header.name ? [line([run(header.name, { bold: true })])] : []),
+  ];
+  if (highlightAdded && letter.paragraphs.some(paragraph => toDisplaySegments(paragraph).some(segment => segment.added))) {
+    children.push(line([run('Highlighted sentences are not backed by your resume - confirm or remove them before sending.', { size: sizes.detail, color: colors.added, italics: true })]));
+  }
+
+  return new Document({
+    sections: [
+      {
+        properties: {
+          page: {
+            margin: { top: LETTER_MARGIN, bottom: LETTER_MARGIN, left: LETTER_MARGIN, right: LETTER_MARGIN },
+          },
+        },
+        children,
+      },
+    ],
+  });
+};
+
+module.exports = {
+  createWordCoverLetter,
+};
@@ -0,0 +1,319 @@
+// DOCX renderer for the ideal resume, driven by a document template (see documentTemplates.js).
+
+const { Document, Paragraph, TextRun, HeadingLevel, AlignmentType, ExternalHyperlink, BorderStyle } = require('docx');
+const {
+  ensureArray,
+  ensureString,
+  isAddedText,
+  toDisplaySegments,
+  sanitizeUrlText,
+  getContactParts,
+  getSkillsSections,
+  normalizeCertifications,
+  getAdditionalRows,
+} = require('./resumeFormatting');
+const { getResumeTemplate, DEFAULT_TEMPLATE } = require('./documentTemplates');
+
+const CM_TO_TWIP = 567; // 1 cm ≈ 567 twips
+const ALIGNMENTS = { center: AlignmentType.CENTER, left: AlignmentType.LEFT };
+
+// Helper function to create Word document from resume data
+const createWordResume = (resumeData, jobRole, renderOptions = {}) => {
+  // highlightAdded: false renders [ADDED] items in the normal text color (final submission copy)
+  const highlightAdded = renderOptions.highlightAdded !== false;
+  const template = getResumeTemplate(renderOptions.template) || getResumeTemplate(DEFAULT_TEMPLATE);
+  const { fonts, sizes, colors, spacing } = template;
+  const bodyFont = fonts.body;
+
+  const createTextRunsWithAddedColor = (text, options = {}) => {
+    const segments = toDisplaySegments(text);
+    if (segments.length === 0) return [];
+    const useSegmentColor = segments.some(segment => segment.added);
+    const forceAddedColor = highlightAdded && options.forceAddedColor;
+    if (!useSegmentColor || options.highlightAdded === false || !highlightAdded) {
+      const cleaned = segments.map(segment => segment.text).join('');
+      return [new TextRun({ text: cleaned, ...options, noProof: options.noProof !== undefined ? options.noProof : true, color: forceAddedColor ? colors.added : options.color })];
+    }
+    return segments.map(segment => {
+      const isAdded = segment.added || forceAddedColor;
+      return new TextRun({ text: segment.text, ...options, noProof: options.noProof !== undefined ? options.noProof : true, color: isAdded ? colors.added : options.color });
+    });
+  };
+
+  const createHyperlinkRun = (text, url, options = {}) => {
+    if (!url) {
+      return createTextRunsWithAddedColor(text, options);
+    }
+    const hyperlinkRuns = createTextRunsWithAddedColor(text, { ...options, color: options.color || colors.link, underline: { type: 'single' } });
+    return [
+      new ExternalHyperlink({
+        link: url,
+        children: hyperlinkRuns,
+      }),
+    ];
+  };
+
+  const createSectionHeading = (text, options = {}) => new Paragraph({
+    children: [
+      new TextRun({
+        text,
+        font: fonts.heading,
+        size: sizes.heading,
+        bold: true,
+        color: options.color || colors.heading,
+        noProof: options.noProof !== undefined ? options.noProof : true,
+      }),
+    ],
+    heading: HeadingLevel.HEADING_2,
+    spacing: spacing.heading,
+    ...(colors.headingBorder ? {
+      border: { bottom: { color: colors.headingBorder, space: 1, style: BorderStyle.SINGLE, size: 6 } },
+    } : {}),
+  });
+
+  const createBulletParagraph = (text, options = {}) => new Paragraph({
+    children: [
+      new TextRun({ text: '• ', ...options, noProof: options.noProof !== undefined ? options.noProof : true, color: colors.bullet }),
+      ...createTextRunsWithAddedColor(text, options),
+    ],
+    indent: { left: spacing.indent },
+    spacing: spacing.bullet,
+  });
+
+  const formatLink = (value) => ensureString(value).trim();
+  const body = (size, extra = {}) => ({ font: bodyFont, size, color: colors.body, ...extra });
+
+  const personalInfo = resumeData.personalInfo || {};
+  const { contactParts, linkParts } = getContactParts(personalInfo);
+
+  const joinRuns = (parts, options) => {
+    const runs = [];
+    parts.forEach((part, index) => {
+      if (index > 0) {
+        runs.push(new TextRun({ text: ' | ', font: bodyFont, size: options.size, color: options.color }));
+      }
+      runs.push(...createHyperlinkRun(part.text, part.url, { font: bodyFont, ...options }));
+    });
+    return runs;
+  };
+  const contactRuns = joinRuns(contactParts, { size: sizes.contact, color: colors.muted });
+  const linkRuns = joinRuns(linkParts, { size: sizes.links, color: colors.link });
+
+  const skillsSections = getSkillsSections(resumeData.coreSkills);
+  const normalizedCerts = normalizeCertifications(resumeData.certifications);
+
+  const projects = ensureArray(resumeData.projects);
+  const experience = ensureArray(resumeData.experience);
+  const education = ensureArray(resumeData.education);
+  const additionalSections = resumeData.additionalSections || {};
+  const headerAlignment = ALIGNMENTS[template.headerAlignment] || AlignmentType.CENTER;
+  const titleFor = (sectionId) => template.sectionTitles[sectionId];
+
+  const header = [
+    // Header with name
+    new Paragraph({
+      children: [
+        new TextRun({
+          text: personalInfo.name || '[Your Name]',
+          font: fonts.heading,
+          size: sizes.name,
+          bold: true,
+          color: colors.name,
+        }),
+      ],
+      alignment: headerAlignment,
+      spacing: spacing.name,
+    }),
+
+    // Contact Information (plus LinkedIn/GitHub on the same line for templates that combine them)
+    new Paragraph({
+      children: [
+        ...(contactRuns.length > 0 ? contactRuns : [
+          new TextRun({
+            text: `${personalInfo.email || '[Email]'} | ${personalInfo.phone || '[Phone]'} | ${personalInfo.location || '[Location]'}`,
+            font: bodyFont,
+            size: sizes.contact,
+            color: colors.muted,
+          }),
+        ]),
+        ...(template.combineContactLines && linkRuns.length > 0 ? [
+          new TextRun({ text: ' | ', font: bodyFont, size: sizes.contact, color: colors.muted }),
+          ...linkRuns,
+        ] : []),
+      ],
+      alignment: headerAlignment,
+      spacing: template.combineContactLines ? spacing.links : spacing.contact,
+    }),
+
+    // LinkedIn/GitHub if available
+    ...(!template.combineContactLines && linkRuns.length > 0 ? [
+      new Paragraph({
+        children: linkRuns,
+        alignment: headerAlignment,
+        spacing: spacing.links,
+      })
+    ] : []),
+  ];
+
+  const sectionBuilders = {
+    // Professional Summary
+    summary: () => [
+      createSectionHeading(titleFor('summary')),
+      new Paragraph({
+        children: createTextRunsWithAddedColor(resumeData.professionalSummary || `Motivated ${jobRole} with relevant experience and skills.`, body(sizes.body, { highlightAdded: false })),
+        spacing: spacing.summary,
+      }),
+    ],
+
+    // Core Skills
+    skills: () => [
+      createSectionHeading(titleFor('skills')),
+      ...skillsSections.map(section => new Paragraph({
+        children: [
+          new TextRun({
+            text: `${section.title}: `,
+            font: bodyFont,
+            size: sizes.body,
+            bold: true,
+            color: colors.label,
+          }),
+          ...createTextRunsWithAddedColor(section.values.map(ensureString).join(', '), body(sizes.body, { highlightAdded: true })),
+        ],
+        spacing: spacing.skillRow,
+      })),
+    ],
+
+    // Professional Experience
+    experience: () => (experience.length > 0 ? [
+      createSectionHeading(titleFor('experience')),
+      ...experience.flatMap(exp => {
+        const titleLine = `${exp.company || '[Company]'} | ${exp.position || '[Position]'}${exp.duration ? ` | ${exp.duration}` : ''}`;
+        return [
+          new Paragraph({
+            children: createTextRunsWithAddedColor(titleLine, body(sizes.body, { bold: true })),
+            spacing: spacing.entryTitle,
+          }),
+          ...ensureArray(exp.achievements).map(achievement => createBulletParagraph(ensureString(achievement), body(sizes.detail, { highlightAdded: true }))),
+        ];
+      }),
+    ] : []),
+
+    // Projects
+    projects: () => (projects.length > 0 ? [
+      createSectionHeading(titleFor('projects')),
+      ...projects.flatMap(project => {
+        const projectName = ensureString(project.name || '[Project Name]');
+        const projectUrl = sanitizeUrlText(formatLink(project.url || project.link || ''));
+        return [
+          new Paragraph({
+            children: projectUrl
+              ? createHyperlinkRun(projectName, projectUrl, { font: bodyFont, size: sizes.body, bold: true, highlightAdded: true })
+              : createTextRunsWithAddedColor(projectName, body(sizes.body, { bold: true, highlightAdded: true })),
+            spacing: spacing.entryTitle,
+          }),
+          ...(project.description ? [
+            new Paragraph({
+              children: createTextRunsWithAddedColor(ensureString(project.description), body(sizes.detail, { highlightAdded: false })),
+              indent: { left: spacing.indent },
+              spacing: spacing.entryDetail,
+            })
+          ] : []),
+          ...(ensureArray(project.technologies).length > 0 ? [
+            new Paragraph({
+              children: createTextRunsWithAddedColor(`Technologies: ${ensureArray(project.technologies).join(', ')}`, body(sizes.detail, { italics: true, highlightAdded: true })),
+              indent: { left: spacing.indent },
+              spacing: spacing.entryDetail,
+            })
+          ] : []),
+          ...ensureArray(project.highlights).map(highlight => createBulletParagraph(ensureString(highlight), body(sizes.detail, { highlightAdded: true }))),
+        ];
+      }),
+    ] : []),
+
+    // Education
+    education: () => (education.length > 0 ? [
+      createSectionHeading(titleFor('education')),
+      ...education.flatMap(edu => {
+        const line = `${edu.degree || '[Degree]'} | ${edu.institution || '[Institution]'} | ${edu.year || '[Year]'}`;
+        const details = ensureString(edu.details || '');
+        return [
+          new Paragraph({
+            children: createTextRunsWithAddedColor(line, body(sizes.body, { bold: true })),
+            spacing: details ? spacing.educationLine : spacing.educationBlock,
+          }),
+          ...(details ? [
+            new Paragraph({
+              children: createTextRunsWithAddedColor(details, body(sizes.detail, { highlightAdded: true })),
+              indent: { left: spacing.indent },
+              spacing: spacing.educationBlock,
+            })
+          ] : []),
+        ];
+      }),
+    ] : []),
+
+    // Certifications
+    certifications: () => (normalizedCerts.length > 0 ? [
+      createSectionHeading(titleFor('certifications')),
+      ...normalizedCerts.map(cert => {
+        const certName = ensureString(cert.name);
+        const certUrl = sanitizeUrlText(formatLink(cert.url));
+        if (certUrl) {
+          return new Paragraph({
+            children: [
+              new TextRun({ text: '• ', font: bodyFont, size: sizes.detail, color: colors.bullet }),
+              ...createHyperlinkRun(certName, certUrl, { font: bodyFont, size: sizes.detail, highlightAdded: true }),
+            ],
+            spacing: spacing.bullet,
+          });
+        }
+        return createBulletParagraph(certName, body(sizes.detail, { highlightAdded: true }));
+      }),
+    ] : []),
+
+    // Languages / achievements / volunteering
+    additional: () => {
+      const rows = getAdditionalRows(additionalSections);
+      if (rows.length === 0) return [];
+      const hasAdded = highlightAdded && rows.some(row => isAddedText(row.values.join(' ')));
+      return [
+        createSectionHeading(titleFor('additional'), { color: hasAdded ? colors.added : colors.heading }),
+        ...rows.map(row => new Paragraph({
+          children: [
+            new TextRun({ text: `${row.label}: `, font: bodyFont, size: sizes.detail, bold: true, color: colors.label }),
+            ...createTextRunsWithAddedColor(row.values.join(', '), body(sizes.detail, { highlightAdded: true })),
+          ],
+          spacing: spacing.additionalRow,
+        })),
+      ];
+    },
+  };
+
+  const { margins } = template;
+  const doc = new Document({
+    sections: [
+      {
+        properties: {
+          page: {
+            margin: {
+              top: Math.round(margins.top * CM_TO_TWIP),
+              bottom: Math.round(margins.bottom * CM_TO_TWIP),
+              left: Math.round(margins.left * CM_TO_TWIP),
+              right: Math.round(margins.right * CM_TO_TWIP),
+            },
+          },
+        },
+        children: [
+          ...header,
+          ...template.sectionOrder.flatMap(sectionId => (sectionBuilders[sectionId] ? sectionBuilders[sectionId]() : [])),
+        ],
+      },
+    ],
+  });
+
+  return doc;
+};
+
+module.exports = {
+  createWordResume,
+};
@@ -0,0 +1,24 @@
+// Bounded reads from zip archives (DOCX files and zipped resume batches). Sizes in a zip directory can lie,
+// so entries are inflated as a stream with a running byte count and abandoned at the limit instead of read whole.
+
+// The entry's bytes as a Buffer, or null once it grows past limit bytes
+const inflateEntry = (entry, limit) => new Promise((resolve, reject) => {
+  const stream = entry.nodeStream('nodebuffer');
+  const chunks = [];
+  let size = 0;
+  stream.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > limit) {
+      stream.destroy();
+      resolve(null);
+      return;
+    }
+    chunks.push(chunk);
+  });
+  stream.on('end', () => resolve(Buffer.concat(chunks)));
+  stream.on('error', reject);
+});
+
+module.exports = {
+  inflateEntry,
+};